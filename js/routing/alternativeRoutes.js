@@ -0,0 +1,172 @@
+// Alternative routes: request options, ghost lines on the map and selection list
+
+import { routeState } from './routeState.js';
+import { formatTime } from './routeInfoFormatter.js';
+import { ALTERNATIVE_ROUTES, LAYER_IDS, UI_IDS } from '../utils/constants.js';
+
+// Map-level handlers survive style changes, so only register them once
+let alternativeHandlersRegistered = false;
+
+/**
+ * Check whether alternative routes can be requested for the given points
+ * GraphHopper only supports alternative_route for exactly two points (no waypoints)
+ * @param {Array} points - Array of [lng, lat] points
+ * @returns {boolean}
+ */
+export function canRequestAlternativeRoutes(points) {
+  return routeState.alternativeRoutesEnabled === true && Array.isArray(points) && points.length === 2;
+}
+
+/**
+ * Add alternative_route parameters to a POST request body
+ * @param {Object} requestBody - Request body built by buildPostRequestBodyWithCustomModel
+ * @returns {Object} The same request body (modified in place)
+ */
+export function applyAlternativeRouteOptions(requestBody) {
+  requestBody.algorithm = 'alternative_route';
+  requestBody['alternative_route.max_paths'] = ALTERNATIVE_ROUTES.MAX_PATHS;
+  requestBody['alternative_route.max_weight_factor'] = ALTERNATIVE_ROUTES.MAX_WEIGHT_FACTOR;
+  requestBody['alternative_route.max_share_factor'] = ALTERNATIVE_ROUTES.MAX_SHARE_FACTOR;
+  return requestBody;
+}
+
+/**
+ * Create source and ghost line layer for alternative routes (below the active route)
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function setupAlternativeRouteLayers(map) {
+  if (!map.getSource(LAYER_IDS.ROUTE_ALTERNATIVES)) {
+    map.addSource(LAYER_IDS.ROUTE_ALTERNATIVES, {
+      type: 'geojson',
+      data: {
+        type: 'FeatureCollection',
+        features: []
+      }
+    });
+  }
+
+  if (!map.getLayer(LAYER_IDS.ROUTE_ALTERNATIVES_LAYER)) {
+    const beforeId = map.getLayer(LAYER_IDS.ROUTE_LAYER) ? LAYER_IDS.ROUTE_LAYER : undefined;
+    map.addLayer({
+      id: LAYER_IDS.ROUTE_ALTERNATIVES_LAYER,
+      type: 'line',
+      source: LAYER_IDS.ROUTE_ALTERNATIVES,
+      layout: {
+        'line-join': 'round',
+        'line-cap': 'round',
+        'visibility': window.routeIsHidden ? 'none' : 'visible'
+      },
+      paint: {
+        'line-color': ALTERNATIVE_ROUTES.GHOST_COLOR,
+        'line-width': 6,
+        'line-opacity': 0.45
+      }
+    }, beforeId);
+  }
+
+  if (alternativeHandlersRegistered) return;
+  alternativeHandlersRegistered = true;
+
+  map.on('mouseenter', LAYER_IDS.ROUTE_ALTERNATIVES_LAYER, () => {
+    if (!window.routeIsHidden) {
+      map.getCanvas().style.cursor = 'pointer';
+    }
+  });
+
+  map.on('mouseleave', LAYER_IDS.ROUTE_ALTERNATIVES_LAYER, () => {
+    map.getCanvas().style.cursor = '';
+  });
+
+  map.on('click', LAYER_IDS.ROUTE_ALTERNATIVES_LAYER, (e) => {
+    // Don't interfere with point selection or area drawing
+    if (routeState.isSelectingStart || routeState.isSelectingEnd || routeState.isSelectingWaypoint ||
+        routeState.isDrawingArea) {
+      return;
+    }
+    if (!e.features || e.features.length === 0) return;
+
+    const index = e.features[0].properties.index;
+    if (typeof index !== 'number') return;
+
+    // Import dynamically to avoid circular dependency
+    import('./routing.js').then(({ selectAlternativeRoute }) => {
+      selectAlternativeRoute(map, index);
+    });
+  });
+}
+
+/**
+ * Draw all non-active alternatives as ghost lines and render the selection list
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function updateAlternativeRoutes(map) {
+  const alternatives = routeState.alternativeRoutes || [];
+  const activeIndex = routeState.activeAlternativeIndex;
+
+  const source = map ? map.getSource(LAYER_IDS.ROUTE_ALTERNATIVES) : null;
+  if (source) {
+    source.setData({
+      type: 'FeatureCollection',
+      features: alternatives
+        .map((alt, index) => ({
+          type: 'Feature',
+          geometry: {
+            type: 'LineString',
+            coordinates: alt.coordinates
+          },
+          properties: { index }
+        }))
+        .filter(feature => feature.properties.index !== activeIndex)
+    });
+  }
+
+  renderAlternativeRoutesList(map, alternatives, activeIndex);
+}
+
+/**
+ * Remove ghost lines and hide the selection list
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function clearAlternativeRoutes(map) {
+  routeState.alternativeRoutes = [];
+  routeState.activeAlternativeIndex = 0;
+  updateAlternativeRoutes(map);
+}
+
+// Render the list of alternatives with distance, time and km without mapillary_coverage
+function renderAlternativeRoutesList(map, alternatives, activeIndex) {
+  const list = document.getElementById(UI_IDS.ALTERNATIVE_ROUTES_LIST);
+  if (!list) return;
+
+  // A single path is not an alternative - nothing to choose from
+  if (alternatives.length < 2) {
+    list.innerHTML = '';
+    list.style.display = 'none';
+    return;
+  }
+
+  list.innerHTML = alternatives.map((alt, index) => {
+    const distanceKm = (alt.path.distance / 1000).toFixed(2);
+    const timeDisplay = formatTime(Math.round(alt.path.time / 1000));
+    const uncoveredKm = (alt.uncoveredDistance / 1000).toFixed(2);
+    return `
+      <div class="alternative-route-item${index === activeIndex ? ' active' : ''}" data-index="${index}" title="Route ${index + 1} auswählen">
+        <span class="alternative-route-name">Route ${index + 1}</span>
+        <span class="alternative-route-value">${distanceKm} km</span>
+        <span class="alternative-route-value">${timeDisplay}</span>
+        <span class="alternative-route-value alternative-route-uncovered" title="km ohne Mapillary-Abdeckung">${uncoveredKm} km</span>
+      </div>
+    `;
+  }).join('');
+  list.style.display = 'block';
+
+  list.querySelectorAll('.alternative-route-item').forEach(item => {
+    item.addEventListener('click', () => {
+      const index = parseInt(item.dataset.index, 10);
+      if (index === routeState.activeAlternativeIndex) return;
+      import('./routing.js').then(({ selectAlternativeRoute }) => {
+        selectAlternativeRoute(map, index);
+      });
+    });
+  });
+}
@@ -0,0 +1,89 @@
+// Routing backend registry: creates the configured backends and tracks the active one
+//
+// Every backend implements the same interface:
+//   id, type, name, url
+//   capabilities: { customModel, alternatives, roundTrip, elevation }
+//   buildRouteRequest({ points, profile, customModel, roundTrip, alternatives })
+//     -> { url, init, fallbackUrls }   (fallbackUrls are tried in order if a request fails)
+//   parseRouteResponse(data)
+//     -> [{ path, coordinates, elevations, hasElevation, encodedValues }]
+//        path is a summary in GraphHopper shape {distance, time, ascend, descend, weight, instructions}
+//   mapError(status, errorText) -> Error   ('OUT_OF_BOUNDS' for points outside the graph)
+//   mapNetworkError(error) -> Error
+//
+// Optional (servers that describe themselves, e.g. GraphHopper /info):
+//   fetchInfo(signal) -> Promise<{ profiles, bbox, encodedValues, supportedEncodedValues, encodedValueOptions }>
+//   info: result of the last successful fetchInfo (null before)
+
+import { createGraphHopperBackend } from './graphhopperBackend.js';
+import { createBRouterBackend } from './brouterBackend.js';
+import { ROUTING_BACKENDS, DEFAULT_ROUTING_BACKEND } from '../../utils/constants.js';
+
+const STORAGE_KEY = 'routing-backend';
+
+const BACKEND_FACTORIES = {
+  graphhopper: createGraphHopperBackend,
+  brouter: createBRouterBackend
+};
+
+const backends = ROUTING_BACKENDS
+  .filter(config => {
+    if (!BACKEND_FACTORIES[config.type]) {
+      console.warn(`Unknown routing backend type: ${config.type}`);
+      return false;
+    }
+    return true;
+  })
+  .map(config => BACKEND_FACTORIES[config.type](config));
+
+let activeBackendId = loadStoredBackendId();
+
+function loadStoredBackendId() {
+  try {
+    const storedId = localStorage.getItem(STORAGE_KEY);
+    if (storedId && backends.some(b => b.id === storedId)) {
+      return storedId;
+    }
+  } catch (e) {
+    // localStorage not available (e.g. privacy mode)
+  }
+  return DEFAULT_ROUTING_BACKEND;
+}
+
+/**
+ * Get all configured routing backends
+ * @returns {Array<Object>} Routing backends
+ */
+export function getRoutingBackends() {
+  return backends;
+}
+
+/**
+ * Get the currently active routing backend
+ * @returns {Object} Routing backend
+ */
+export function getActiveBackend() {
+  return backends.find(b => b.id === activeBackendId) || backends[0];
+}
+
+/**
+ * Switch the active routing backend (stored in localStorage)
+ * Dispatches 'routingBackendChanged' on window
+ * @param {string} backendId - Backend ID from ROUTING_BACKENDS
+ * @returns {boolean} True if the backend was switched
+ */
+export function setActiveBackend(backendId) {
+  if (!backends.some(b => b.id === backendId) || backendId === activeBackendId) {
+    return false;
+  }
+
+  activeBackendId = backendId;
+  try {
+    localStorage.setItem(STORAGE_KEY, backendId);
+  } catch (e) {
+    // Ignore - selection is only kept for this session
+  }
+
+  window.dispatchEvent(new CustomEvent('routingBackendChanged', { detail: { backend: getActiveBackend() } }));
+  return true;
+}
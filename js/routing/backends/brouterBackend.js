@@ -0,0 +1,180 @@
+// BRouter routing backend adapter (e.g. a local BRouter instance)
+// BRouter has no custom models - the Mapillary weight and rule toggles don't apply
+
+import { ERROR_MESSAGES } from '../../utils/constants.js';
+import { getBackendProfiles } from '../profileRegistry.js';
+
+// App profile -> BRouter profile (see profileRegistry.js, can be overridden per backend via config.profiles)
+const DEFAULT_PROFILES = getBackendProfiles('brouter');
+
+// BRouter highway values that map to a different GraphHopper road_class
+const ROAD_CLASS_ALIASES = {
+  motorway_link: 'motorway',
+  trunk_link: 'trunk',
+  primary_link: 'primary',
+  secondary_link: 'secondary',
+  tertiary_link: 'tertiary'
+};
+
+/**
+ * Create a BRouter backend
+ * @param {Object} config - Backend config {id, name, url, profiles?}
+ * @returns {Object} Routing backend (see backendRegistry.js for the interface)
+ */
+export function createBRouterBackend(config) {
+  const { id, name, url } = config;
+  const profiles = { ...DEFAULT_PROFILES, ...(config.profiles || {}) };
+
+  return {
+    id,
+    type: 'brouter',
+    name,
+    url,
+    capabilities: {
+      customModel: false,
+      alternatives: false,
+      roundTrip: false,
+      elevation: true
+    },
+
+    buildRouteRequest(options) {
+      const { points, profile } = options;
+      const lonlats = points.map(p => `${p[0]},${p[1]}`).join('|');
+      const brouterProfile = profiles[profile] || profile;
+
+      return {
+        url: `${url}/brouter?lonlats=${lonlats}&profile=${encodeURIComponent(brouterProfile)}&alternativeidx=0&format=geojson`,
+        init: {},
+        fallbackUrls: []
+      };
+    },
+
+    parseRouteResponse(data) {
+      if (!data || !Array.isArray(data.features) || data.features.length === 0) {
+        return [];
+      }
+      return data.features
+        .filter(feature => feature.geometry && feature.geometry.type === 'LineString')
+        .map(feature => parseBRouterFeature(feature));
+    },
+
+    mapError(status, errorText) {
+      const message = (errorText || '').trim();
+
+      // BRouter reports points outside the loaded segments like this
+      if (message.includes('not mapped') || message.includes('no data')) {
+        return new Error('OUT_OF_BOUNDS');
+      }
+
+      return new Error(`HTTP error! status: ${status}, message: ${message}`);
+    },
+
+    mapNetworkError(error) {
+      return new Error(`${ERROR_MESSAGES.NETWORK_ERROR}. Stelle sicher, dass ${name} auf ${url} läuft: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Parse a BRouter GeoJSON feature into the common route format
+ * @param {Object} feature - GeoJSON LineString feature from BRouter
+ * @returns {Object} {path, coordinates, elevations, hasElevation, encodedValues}
+ */
+function parseBRouterFeature(feature) {
+  const rawCoordinates = feature.geometry.coordinates || [];
+  const props = feature.properties || {};
+
+  // BRouter returns [lng, lat, elevation]
+  const coordinates = rawCoordinates.map(coord => [coord[0], coord[1]]);
+  const elevations = rawCoordinates.map(coord => (coord.length >= 3 ? coord[2] : null));
+  const hasElevation = elevations.some(e => e !== null);
+
+  // Descend is not part of the BRouter response - calculate it from elevations
+  let descend = 0;
+  for (let i = 1; i < elevations.length; i++) {
+    if (elevations[i] !== null && elevations[i - 1] !== null && elevations[i] < elevations[i - 1]) {
+      descend += elevations[i - 1] - elevations[i];
+    }
+  }
+
+  // 0 m is a valid ascent (flat route) - only a missing value means no elevation data
+  const filteredAscend = parseFloat(props['filtered ascend']);
+
+  // Summary in the shape of a GraphHopper path (used by route info and comparison)
+  const path = {
+    distance: parseFloat(props['track-length']) || 0,
+    time: (parseFloat(props['total-time']) || 0) * 1000,
+    ascend: Number.isNaN(filteredAscend) ? null : filteredAscend,
+    descend: hasElevation ? descend : null,
+    weight: parseFloat(props.cost) || null,
+    instructions: null
+  };
+
+  return {
+    path,
+    coordinates,
+    elevations: hasElevation ? elevations : [],
+    hasElevation,
+    encodedValues: extractEncodedValuesFromMessages(props.messages, coordinates)
+  };
+}
+
+// BRouter "messages" is a table (first row = header) with one row per way section
+// Each row ends at its Longitude/Latitude (micro degrees) and carries the WayTags of that section
+function extractEncodedValuesFromMessages(messages, coordinates) {
+  const encodedValues = {};
+  if (!Array.isArray(messages) || messages.length < 2 || coordinates.length === 0) {
+    return encodedValues;
+  }
+
+  const header = messages[0];
+  const lonIdx = header.indexOf('Longitude');
+  const latIdx = header.indexOf('Latitude');
+  const wayTagsIdx = header.indexOf('WayTags');
+  if (lonIdx === -1 || latIdx === -1 || wayTagsIdx === -1) {
+    return encodedValues;
+  }
+
+  const surface = new Array(coordinates.length).fill(null);
+  const roadClass = new Array(coordinates.length).fill(null);
+
+  let startIdx = 0;
+  messages.slice(1).forEach(row => {
+    const lng = parseInt(row[lonIdx], 10) / 1e6;
+    const lat = parseInt(row[latIdx], 10) / 1e6;
+    const tags = parseWayTags(row[wayTagsIdx]);
+
+    // Find the coordinate where this section ends
+    let endIdx = startIdx;
+    while (endIdx < coordinates.length - 1 &&
+           (Math.abs(coordinates[endIdx][0] - lng) > 1e-6 || Math.abs(coordinates[endIdx][1] - lat) > 1e-6)) {
+      endIdx++;
+    }
+
+    for (let i = startIdx; i <= endIdx; i++) {
+      surface[i] = tags.surface || null;
+      roadClass[i] = tags.highway ? (ROAD_CLASS_ALIASES[tags.highway] || tags.highway) : null;
+    }
+    startIdx = endIdx;
+  });
+
+  if (surface.some(v => v !== null)) {
+    encodedValues.surface = surface;
+  }
+  if (roadClass.some(v => v !== null)) {
+    encodedValues.road_class = roadClass;
+  }
+  return encodedValues;
+}
+
+// "highway=residential surface=asphalt" -> { highway: 'residential', surface: 'asphalt' }
+function parseWayTags(wayTags) {
+  const tags = {};
+  (wayTags || '').split(' ').forEach(pair => {
+    const [key, value] = pair.split('=');
+    if (key && value !== undefined) {
+      tags[key] = value;
+    }
+  });
+  return tags;
+}
@@ -0,0 +1,348 @@
+// GraphHopper routing backend adapter
+// Request building (POST with custom model, GET fallback), response parsing and error mapping
+
+import {
+  supportsCustomModel,
+  getGraphHopperProfile,
+  buildPostRequestBodyWithCustomModel
+} from '../customModel.js';
+import { isChDisabled } from '../profileRegistry.js';
+import { applyRoundTripOptions, getRoundTripUrlParams } from '../roundTrip.js';
+import { applyAlternativeRouteOptions } from '../alternativeRoutes.js';
+import { ERROR_MESSAGES, ROUTE_DETAILS } from '../../utils/constants.js';
+
+/**
+ * Create a GraphHopper backend
+ * @param {Object} config - Backend config {id, name, url}
+ * @returns {Object} Routing backend (see backendRegistry.js for the interface)
+ */
+export function createGraphHopperBackend(config) {
+  const { id, name, url } = config;
+
+  const backend = {
+    id,
+    type: 'graphhopper',
+    name,
+    url,
+    capabilities: {
+      customModel: true,
+      alternatives: true,
+      roundTrip: true,
+      elevation: true
+    },
+    // Server info from /info (null until fetchInfo succeeded)
+    info: null,
+
+    async fetchInfo(signal) {
+      const response = await fetch(`${url}/info`, { signal });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}, message: ${await response.text()}`);
+      }
+      backend.info = parseGraphHopperInfo(await response.json());
+      return backend.info;
+    },
+
+    buildRouteRequest(options) {
+      return buildGraphHopperRequest(url, options, getRequestDetails(backend.info));
+    },
+
+    parseRouteResponse(data) {
+      if (!data || !data.paths || data.paths.length === 0) {
+        return [];
+      }
+      return data.paths.map(path => parseGraphHopperPath(path));
+    },
+
+    mapError(status, errorText) {
+      let errorMessage = errorText;
+
+      // Try to parse JSON error message
+      try {
+        const errorJson = JSON.parse(errorText);
+        if (errorJson.message) {
+          errorMessage = errorJson.message;
+        }
+      } catch (e) {
+        // Not JSON, use text as is
+      }
+
+      // Check if it's a PointNotFoundException
+      if (errorMessage.includes('PointNotFoundException') || errorMessage.includes('Cannot find point')) {
+        return new Error('OUT_OF_BOUNDS');
+      }
+
+      return new Error(`HTTP error! status: ${status}, message: ${errorMessage}`);
+    },
+
+    mapNetworkError(error) {
+      return new Error(`${ERROR_MESSAGES.NETWORK_ERROR}. Stelle sicher, dass ${name} auf ${url} läuft: ${error.message}`);
+    }
+  };
+
+  return backend;
+}
+
+/**
+ * Parse the GraphHopper /info response
+ * @param {Object} data - JSON response of /info
+ * @returns {Object} {profiles, bbox, encodedValues, supportedEncodedValues, encodedValueOptions}
+ *   profiles: GraphHopper profile names
+ *   bbox: [minLng, minLat, maxLng, maxLat] or null
+ *   encodedValues: categorical encoded values that can be shown in the heightgraph
+ *   supportedEncodedValues: all encoded values of the server
+ *   encodedValueOptions: possible values per encoded value as reported by the server (e.g. road_class -> [MOTORWAY, ...])
+ */
+function parseGraphHopperInfo(data) {
+  const profiles = (data.profiles || [])
+    .map(profile => profile.name)
+    .filter(Boolean);
+
+  // GraphHopper reports [0, 0, 0, 0] if the bounds are unknown
+  const bbox = Array.isArray(data.bbox) && data.bbox.length === 4 && data.bbox.some(v => v !== 0)
+    ? data.bbox
+    : null;
+
+  const rawEncodedValues = data.encoded_values || {};
+  const supportedEncodedValues = Object.keys(rawEncodedValues);
+
+  // Numeric values (reported as ">number"/"<number") and subnetwork flags can't be shown as categories
+  const categorical = supportedEncodedValues.filter(key => {
+    const values = rawEncodedValues[key];
+    return !key.endsWith('_subnetwork') &&
+      !(Array.isArray(values) && values.some(v => typeof v === 'string' && v.includes('number')));
+  });
+
+  // Known details first (in the usual order), then the rest alphabetically
+  const encodedValues = [
+    ...ROUTE_DETAILS.filter(key => categorical.includes(key)),
+    ...categorical.filter(key => !ROUTE_DETAILS.includes(key)).sort()
+  ];
+
+  return { profiles, bbox, encodedValues, supportedEncodedValues, encodedValueOptions: rawEncodedValues };
+}
+
+// Path details for route requests: all encoded values the heightgraph can show, plus osm_way_id
+function getRequestDetails(info) {
+  if (!info || info.supportedEncodedValues.length === 0) {
+    return ROUTE_DETAILS;
+  }
+  const details = [...info.encodedValues];
+  if (info.supportedEncodedValues.includes('osm_way_id')) {
+    details.push('osm_way_id');
+  }
+  return details;
+}
+
+// Build POST request with custom model, or GET request with fallback URLs for the details format
+function buildGraphHopperRequest(baseUrl, options, details) {
+  const { points, profile, customModel, roundTrip = false, alternatives = false } = options;
+
+  if (supportsCustomModel(profile) && customModel) {
+    const requestBody = buildPostRequestBodyWithCustomModel(points, profile, customModel, details);
+
+    // Request a round trip or alternative routes with the same custom model
+    if (roundTrip) {
+      applyRoundTripOptions(requestBody);
+    } else if (alternatives) {
+      applyAlternativeRouteOptions(requestBody);
+    }
+
+    return {
+      url: `${baseUrl}/route`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody)
+      },
+      fallbackUrls: []
+    };
+  }
+
+  let url = buildGetRequestUrl(baseUrl, points, profile, details);
+  if (roundTrip) {
+    url += `&${getRoundTripUrlParams()}`;
+  }
+
+  // Fallbacks: comma-separated details format, then without details
+  const urlComma = url.replace(/details=[^&]+/g, 'details=' + details.filter(d => d !== 'osm_way_id').join(','));
+  const urlNoDetails = url.replace(/&details=[^&]+/g, '').replace(/details=[^&]+&/g, '');
+
+  return {
+    url,
+    init: {},
+    fallbackUrls: [urlComma, urlNoDetails]
+  };
+}
+
+// Build GET request URL for route calculation
+// points: Array of [lng, lat] coordinates, profile: app profile name
+function buildGetRequestUrl(baseUrl, points, profile, details) {
+  const profileParam = getGraphHopperProfile(profile);
+  // Build point parameters: point=lat,lng&point=lat,lng&...
+  const pointParams = points.map(p => `point=${p[1]},${p[0]}`).join('&');
+  const url = `${baseUrl}/route?${pointParams}&profile=${profileParam}&points_encoded=false&elevation=true&locale=de`;
+  const chDisableParam = isChDisabled(profile) ? '&ch.disable=true' : '';
+  const detailsParams = details.map(d => `details=${d}`).join('&');
+  return `${url}${chDisableParam}&${detailsParams}&type=json`;
+}
+
+/**
+ * Parse a GraphHopper path into coordinates, elevations and per-coordinate encoded values
+ * @param {Object} path - GraphHopper path object
+ * @returns {Object} {path, coordinates, elevations, hasElevation, encodedValues}
+ */
+function parseGraphHopperPath(path) {
+  // GraphHopper with points_encoded=false returns coordinates as GeoJSON LineString ([lng, lat] arrays)
+  const extracted = extractElevation(path, extractCoordinates(path));
+  const coordinates = normalizeCoordinates(extracted.coordinates);
+
+  return {
+    path,
+    coordinates,
+    elevations: extracted.hasElevation ? extracted.elevations : [],
+    hasElevation: extracted.hasElevation,
+    encodedValues: extractEncodedValues(path, coordinates)
+  };
+}
+
+// Extract coordinates from GraphHopper response
+function extractCoordinates(path) {
+  if (path.points && path.points.coordinates) {
+    return path.points.coordinates;
+  } else if (path.points && path.points.geometry && path.points.geometry.coordinates) {
+    return path.points.geometry.coordinates;
+  }
+  throw new Error('Route points format not recognized. Response: ' + JSON.stringify(path).substring(0, 200));
+}
+
+// Normalize coordinates to [lng, lat] format
+function normalizeCoordinates(coordinates) {
+  return coordinates.map(coord => {
+    if (Array.isArray(coord) && coord.length >= 2) {
+      // If first value is <= 90, it's likely latitude - swap to [lng, lat]
+      if (Math.abs(coord[0]) <= 90 && Math.abs(coord[1]) > 90) {
+        return [coord[1], coord[0]];
+      }
+      return [coord[0], coord[1]];
+    }
+    return coord;
+  });
+}
+
+// Extract elevation data from path
+function extractElevation(path, coordinates) {
+  let elevations = [];
+  let hasElevation = false;
+
+  // Check if coordinates include elevation (3rd value)
+  if (coordinates.length > 0 && coordinates[0].length >= 3) {
+    elevations = coordinates.map(coord => coord[2] || null);
+    hasElevation = elevations.some(e => e !== null);
+    // Remove elevation from coordinates for MapLibre
+    coordinates = coordinates.map(coord => [coord[0], coord[1]]);
+  } else if (path.points && path.points.elevation) {
+    elevations = path.points.elevation;
+    hasElevation = elevations && elevations.length > 0;
+  } else if (path.elevation) {
+    elevations = path.elevation;
+    hasElevation = elevations && elevations.length > 0;
+  }
+
+  return { elevations, hasElevation, coordinates };
+}
+
+// Map detail arrays ([[startIdx, endIdx, value], ...]) to coordinate arrays
+function mapDetailsToCoordinates(detailArray, coordinatesLength) {
+  if (!detailArray || !Array.isArray(detailArray)) return null;
+
+  const result = new Array(coordinatesLength).fill(null);
+  detailArray.forEach(([startIdx, endIdx, value]) => {
+    if (typeof startIdx === 'number' && typeof endIdx === 'number') {
+      for (let i = startIdx; i <= endIdx && i < coordinatesLength; i++) {
+        result[i] = value;
+      }
+    }
+  });
+  return result;
+}
+
+// Extract encoded values from path.details and path.instructions
+// mapillary_coverage and osm_way_id may come from both
+function extractEncodedValues(path, coordinates) {
+  const encodedValues = {};
+
+  // Extract from path.details
+  if (path.details && Object.keys(path.details).length > 0) {
+    Object.keys(path.details).forEach(detailKey => {
+      const detailArray = path.details[detailKey];
+      if (Array.isArray(detailArray) && detailArray.length > 0) {
+        encodedValues[detailKey] = mapDetailsToCoordinates(detailArray, coordinates.length);
+      }
+    });
+
+    // Also check for time and distance in details (if available)
+    if (path.details.time) {
+      encodedValues.time = mapDetailsToCoordinates(path.details.time, coordinates.length);
+    }
+    if (path.details.distance) {
+      encodedValues.distance = mapDetailsToCoordinates(path.details.distance, coordinates.length);
+    }
+  }
+
+  // Extract data from instructions - they contain per-segment information
+  if (path.instructions && path.instructions.length > 0) {
+    // Map instruction data to coordinates using intervals
+    const timeArray = new Array(coordinates.length).fill(0);
+    const distanceArray = new Array(coordinates.length).fill(0);
+    const streetNameArray = new Array(coordinates.length).fill('');
+    const customPresentArray = new Array(coordinates.length).fill(null);
+
+    const osmWayIdArray = new Array(coordinates.length).fill(null);
+
+    path.instructions.forEach((inst) => {
+      if (inst.interval && Array.isArray(inst.interval) && inst.interval.length === 2) {
+        const [startIdx, endIdx] = inst.interval;
+        // Fill the interval with instruction values
+        for (let i = startIdx; i <= endIdx && i < coordinates.length; i++) {
+          timeArray[i] = inst.time || 0;
+          distanceArray[i] = inst.distance || 0;
+          streetNameArray[i] = inst.street_name || '';
+          // Check if mapillary_coverage is in instruction
+          if (inst.mapillary_coverage !== undefined) {
+            customPresentArray[i] = inst.mapillary_coverage;
+          }
+          // Extract osm_way_id from instruction if available
+          if (inst.osm_way_id !== undefined) {
+            osmWayIdArray[i] = inst.osm_way_id;
+          }
+        }
+      }
+    });
+
+    // Also check osm_way_id in details
+    if (path.details && path.details.osm_way_id) {
+      const osmWayIdDetails = mapDetailsToCoordinates(path.details.osm_way_id, coordinates.length);
+      for (let i = 0; i < coordinates.length; i++) {
+        if (osmWayIdDetails[i] !== null && osmWayIdArray[i] === null) {
+          osmWayIdArray[i] = osmWayIdDetails[i];
+        }
+      }
+    }
+
+    // Store OSM way IDs if available
+    if (osmWayIdArray.some(id => id !== null)) {
+      encodedValues.osm_way_id = osmWayIdArray;
+    }
+
+    // Store as encoded values
+    encodedValues.time = timeArray;
+    encodedValues.distance = distanceArray;
+    encodedValues.street_name = streetNameArray;
+    // Only set mapillary_coverage if we have values
+    if (customPresentArray.some(v => v !== null)) {
+      encodedValues.mapillary_coverage = customPresentArray;
+    }
+  }
+
+  return encodedValues;
+}
@@ -0,0 +1,338 @@
+// Captured tracks: GPX/GeoJSON tracks of our own recent capture drives
+// Buffered into polygons and sent as custom model areas (see applyCapturedTracks in customModel.js),
+// so the router avoids streets that were driven but are not in the Mapillary coverage data yet
+
+import { routeState } from './routeState.js';
+import { recalculateRouteIfReady } from './routeRecalculator.js';
+import { CAPTURED_TRACKS, LAYER_IDS, UI_IDS } from '../utils/constants.js';
+import { createLocalProjection, distanceToSegment } from '../utils/geometry.js';
+
+let trackHandlersRegistered = false;
+let nextTrackId = 1;
+
+/**
+ * Create source and layer for the tracks, register the import handlers and render the current tracks
+ * Safe to call again after a style change
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function setupCapturedTracks(map) {
+  setupCapturedTracksLayer(map);
+  updateTracksSource(map);
+  renderTrackList();
+
+  if (trackHandlersRegistered) return;
+  trackHandlersRegistered = true;
+
+  const toggle = document.getElementById(UI_IDS.CAPTURED_TRACKS_TOGGLE);
+  const segment = document.getElementById(UI_IDS.CAPTURED_TRACKS_SEGMENT);
+  const segmentContent = document.getElementById(UI_IDS.CAPTURED_TRACKS_SEGMENT_CONTENT);
+  const fileInput = document.getElementById(UI_IDS.CAPTURED_TRACKS_INPUT);
+  const importBtn = document.getElementById(UI_IDS.CAPTURED_TRACKS_IMPORT_BTN);
+  const factorInput = document.getElementById(UI_IDS.CAPTURED_TRACKS_FACTOR);
+  const list = document.getElementById(UI_IDS.CAPTURED_TRACKS_LIST);
+
+  // Switch only changes the visibility - loaded tracks are always applied to the route
+  if (toggle) {
+    toggle.addEventListener('change', (e) => {
+      if (map.getLayer(LAYER_IDS.CAPTURED_TRACKS_LAYER)) {
+        map.setLayoutProperty(LAYER_IDS.CAPTURED_TRACKS_LAYER, 'visibility', e.target.checked ? 'visible' : 'none');
+      }
+      if (segmentContent && e.target.checked) {
+        segmentContent.classList.remove('collapsed');
+      }
+    });
+  }
+
+  // Click on header to expand/collapse
+  if (segment && segmentContent) {
+    segment.addEventListener('click', (e) => {
+      // Don't toggle if clicking on the switch itself
+      if (e.target.closest('.switch-toggle')) {
+        return;
+      }
+      segmentContent.classList.toggle('collapsed');
+    });
+  }
+
+  if (importBtn && fileInput) {
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      await importTrackFiles(map, Array.from(fileInput.files || []));
+      // Allow loading the same file again
+      fileInput.value = '';
+    });
+  }
+
+  if (factorInput) {
+    factorInput.value = routeState.capturedTracksFactor;
+    factorInput.addEventListener('change', () => {
+      const factor = parseFloat(factorInput.value);
+      routeState.capturedTracksFactor = isNaN(factor)
+        ? CAPTURED_TRACKS.DEFAULT_FACTOR
+        : Math.min(CAPTURED_TRACKS.MAX_FACTOR, Math.max(CAPTURED_TRACKS.MIN_FACTOR, factor));
+      factorInput.value = routeState.capturedTracksFactor;
+      if (routeState.capturedTracks.length > 0) {
+        recalculateRouteIfReady();
+      }
+    });
+  }
+
+  if (list) {
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('.captured-track-item');
+      if (!item) return;
+      const track = routeState.capturedTracks.find(t => t.id === item.dataset.trackId);
+      if (!track) return;
+
+      if (e.target.closest('.captured-track-remove')) {
+        routeState.capturedTracks = routeState.capturedTracks.filter(t => t !== track);
+        onTracksChanged(map);
+      } else {
+        const coordinates = track.lines.flat();
+        const bounds = coordinates.reduce((b, coord) => b.extend(coord),
+          new maplibregl.LngLatBounds(coordinates[0], coordinates[0]));
+        map.fitBounds(bounds, { padding: 60 });
+      }
+    });
+  }
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+async function importTrackFiles(map, files) {
+  if (files.length === 0) return;
+
+  const imported = [];
+  const failed = [];
+  for (const file of files) {
+    try {
+      const text = await file.text();
+      const { name, lines } = file.name.toLowerCase().endsWith('.gpx')
+        ? parseGpx(text)
+        : parseGeoJSON(text);
+      const validLines = lines.filter(line => line.length >= 2);
+      if (validLines.length === 0) {
+        throw new Error('Keine Linien gefunden');
+      }
+      const polygons = bufferLines(validLines, CAPTURED_TRACKS.BUFFER_DISTANCE);
+      if (polygons.length === 0) {
+        throw new Error('Track hat keine Länge');
+      }
+      imported.push({
+        id: `captured${nextTrackId++}`,
+        name: name || file.name,
+        lines: validLines,
+        polygons
+      });
+    } catch (error) {
+      console.warn(`Track ${file.name} could not be imported:`, error);
+      failed.push(file.name);
+    }
+  }
+
+  showStatus(failed.length > 0 ? `Nicht lesbar: ${failed.join(', ')}` : '');
+  if (imported.length === 0) return;
+
+  routeState.capturedTracks = [...routeState.capturedTracks, ...imported];
+
+  // Show the imported tracks
+  const toggle = document.getElementById(UI_IDS.CAPTURED_TRACKS_TOGGLE);
+  if (toggle && !toggle.checked) {
+    toggle.checked = true;
+    toggle.dispatchEvent(new Event('change'));
+  }
+
+  onTracksChanged(map);
+}
+
+// GPX: every track segment and route is a line
+function parseGpx(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Ungültiges GPX');
+  }
+
+  const toLine = points => Array.from(points)
+    .map(point => [parseFloat(point.getAttribute('lon')), parseFloat(point.getAttribute('lat'))])
+    .filter(([lng, lat]) => !isNaN(lng) && !isNaN(lat));
+
+  const lines = [
+    ...Array.from(doc.getElementsByTagName('trkseg')).map(seg => toLine(seg.getElementsByTagName('trkpt'))),
+    ...Array.from(doc.getElementsByTagName('rte')).map(rte => toLine(rte.getElementsByTagName('rtept')))
+  ];
+
+  const nameElement = doc.getElementsByTagName('name')[0];
+  return { name: nameElement ? nameElement.textContent.trim() : null, lines };
+}
+
+// GeoJSON: all LineStrings and MultiLineStrings (FeatureCollection, Feature, GeometryCollection or geometry)
+function parseGeoJSON(text) {
+  const data = JSON.parse(text);
+  const lines = [];
+
+  const collect = (object) => {
+    if (!object) return;
+    if (object.type === 'FeatureCollection') {
+      (object.features || []).forEach(collect);
+    } else if (object.type === 'Feature') {
+      collect(object.geometry);
+    } else if (object.type === 'GeometryCollection') {
+      (object.geometries || []).forEach(collect);
+    } else if (object.type === 'LineString') {
+      lines.push(object.coordinates.map(([lng, lat]) => [lng, lat]));
+    } else if (object.type === 'MultiLineString') {
+      object.coordinates.forEach(line => lines.push(line.map(([lng, lat]) => [lng, lat])));
+    }
+  };
+  collect(data);
+
+  const name = data.name || (data.properties && data.properties.name) || null;
+  return { name, lines };
+}
+
+// ============================================================================
+// BUFFER
+// ============================================================================
+
+// Buffer lines into a MultiPolygon: one rectangle per (simplified) segment, extended at both ends
+// so consecutive rectangles overlap at the joints
+function bufferLines(lines, distance) {
+  const { toXY, toLngLat } = createLocalProjection(lines[0][0][1]);
+
+  const polygons = [];
+  lines.forEach(line => {
+    const points = simplifyLine(line.map(toXY), CAPTURED_TRACKS.SIMPLIFY_TOLERANCE);
+    for (let i = 0; i < points.length - 1; i++) {
+      const [ax, ay] = points[i];
+      const [bx, by] = points[i + 1];
+      const length = Math.hypot(bx - ax, by - ay);
+      if (length === 0) continue;
+
+      // Direction and normal scaled to the buffer distance
+      const dx = (bx - ax) / length * distance;
+      const dy = (by - ay) / length * distance;
+      const ring = [
+        [ax - dx - dy, ay - dy + dx],
+        [bx + dx - dy, by + dy + dx],
+        [bx + dx + dy, by + dy - dx],
+        [ax - dx + dy, ay - dy - dx]
+      ].map(toLngLat);
+      polygons.push([[...ring, ring[0]]]);
+    }
+  });
+  return polygons;
+}
+
+// Douglas-Peucker simplification (points in meters)
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+    for (let i = start + 1; i < end; i++) {
+      const distance = distanceToSegment(points[i], points[start], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+    if (maxIndex !== -1 && maxDistance > tolerance) {
+      keep[maxIndex] = true;
+      stack.push([start, maxIndex], [maxIndex, end]);
+    }
+  }
+
+  return points.filter((_, index) => keep[index]);
+}
+
+// ============================================================================
+// MAP LAYER AND LIST
+// ============================================================================
+
+function setupCapturedTracksLayer(map) {
+  if (!map.getSource(LAYER_IDS.CAPTURED_TRACKS)) {
+    map.addSource(LAYER_IDS.CAPTURED_TRACKS, {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: [] }
+    });
+  }
+
+  if (!map.getLayer(LAYER_IDS.CAPTURED_TRACKS_LAYER)) {
+    const toggle = document.getElementById(UI_IDS.CAPTURED_TRACKS_TOGGLE);
+    const beforeId = [LAYER_IDS.ROUTE_ALTERNATIVES_LAYER, LAYER_IDS.ROUTE_LAYER].find(id => map.getLayer(id));
+    map.addLayer({
+      id: LAYER_IDS.CAPTURED_TRACKS_LAYER,
+      type: 'line',
+      source: LAYER_IDS.CAPTURED_TRACKS,
+      layout: {
+        'line-join': 'round',
+        'line-cap': 'round',
+        'visibility': toggle && toggle.checked ? 'visible' : 'none'
+      },
+      paint: {
+        'line-color': CAPTURED_TRACKS.COLOR,
+        'line-width': 4,
+        'line-opacity': 0.6
+      }
+    }, beforeId);
+  }
+}
+
+function updateTracksSource(map) {
+  const source = map.getSource(LAYER_IDS.CAPTURED_TRACKS);
+  if (!source) return;
+
+  source.setData({
+    type: 'FeatureCollection',
+    features: routeState.capturedTracks.map(track => ({
+      type: 'Feature',
+      geometry: { type: 'MultiLineString', coordinates: track.lines },
+      properties: { id: track.id, name: track.name }
+    }))
+  });
+}
+
+function renderTrackList() {
+  const list = document.getElementById(UI_IDS.CAPTURED_TRACKS_LIST);
+  if (!list) return;
+
+  list.innerHTML = routeState.capturedTracks.map(track => `
+    <div class="captured-track-item" data-track-id="${track.id}" title="Auf der Karte zeigen">
+      <span class="captured-track-name"></span>
+      <button class="captured-track-remove" title="Track entfernen">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <line x1="18" y1="6" x2="6" y2="18"></line>
+          <line x1="6" y1="6" x2="18" y2="18"></line>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+
+  // Track names come from the files - set as text
+  list.querySelectorAll('.captured-track-item').forEach((item, index) => {
+    item.querySelector('.captured-track-name').textContent = routeState.capturedTracks[index].name;
+  });
+}
+
+function showStatus(message) {
+  const status = document.getElementById(UI_IDS.CAPTURED_TRACKS_STATUS);
+  if (status) {
+    status.textContent = message;
+    status.style.display = message ? 'block' : 'none';
+  }
+}
+
+function onTracksChanged(map) {
+  updateTracksSource(map);
+  renderTrackList();
+  recalculateRouteIfReady();
+}
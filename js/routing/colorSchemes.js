@@ -1,6 +1,8 @@
 // Centralized color schemes for route visualization
 // Single source of truth for all color mappings
 
+import { COVERAGE_CONFLATION, GRADIENT_CLASSES } from '../utils/constants.js';
+
 // Helper function to convert hex to rgba
 function hexToRgba(hex, opacity = 1.0) {
   const r = parseInt(hex.slice(1, 3), 16);
@@ -54,6 +56,31 @@ export const CUSTOM_PRESENT_COLORS = {
   false: '#ec4899'   // Pink for false
 };
 
+// Conflated Mapillary coverage (same colors as the missing streets layers)
+export const COVERAGE_TYPE_COLORS = {
+  'pano': '#174ed9',    // Dark blue
+  'regular': '#0098f0', // Blue
+  'missing': '#e91e63'  // Pink
+};
+
+// Conflated Mapillary coverage descriptions
+export const COVERAGE_TYPE_DESCRIPTIONS = {
+  'pano': 'Panorama',
+  'regular': 'Regulär (ohne Panorama)',
+  'missing': 'Fehlend',
+  'unknown': 'Unbekannt (Kachel nicht geladen)'
+};
+
+// Gradient classes (keys see GRADIENT_CLASSES): downhill blue, flat green, uphill yellow to dark red
+export const GRADIENT_CLASS_COLORS = {
+  'descent_steep': '#1d4ed8',    // Dark blue
+  'descent': '#60a5fa',          // Light blue
+  'flat': '#22c55e',             // Green
+  'climb_moderate': '#facc15',   // Yellow
+  'climb_steep': '#f97316',      // Orange
+  'climb_very_steep': '#b91c1c'  // Dark red
+};
+
 // Bicycle infrastructure colors (base hex values)
 // Grouped by infrastructure type for logical color mapping
 export const BICYCLE_INFRA_COLORS = {
@@ -210,6 +237,73 @@ export function getCustomPresentColor(value) {
   return isTrue ? CUSTOM_PRESENT_COLORS.true : CUSTOM_PRESENT_COLORS.false;
 }
 
+/**
+ * Get conflated Mapillary coverage color (hex format)
+ * @param {string} value - 'pano', 'regular', 'missing' or 'unknown'
+ * @returns {string} Hex color
+ */
+export function getCoverageTypeColor(value) {
+  return COVERAGE_TYPE_COLORS[value] || DEFAULT_COLOR;
+}
+
+/**
+ * Get conflated Mapillary coverage color (rgba format)
+ * @param {string} value - 'pano', 'regular', 'missing' or 'unknown'
+ * @param {number} opacity - Opacity (0.0 - 1.0)
+ * @returns {string} RGBA color
+ */
+export function getCoverageTypeColorRgba(value, opacity = 0.3) {
+  return hexToRgba(getCoverageTypeColor(value), opacity);
+}
+
+/**
+ * Get conflated Mapillary coverage description
+ * @param {string} value - 'pano', 'regular', 'missing' or 'unknown'
+ * @returns {string|null} Description or null if not found
+ */
+export function getCoverageTypeDescription(value) {
+  return COVERAGE_TYPE_DESCRIPTIONS[value] || null;
+}
+
+/**
+ * Get gradient class color (hex format)
+ * @param {string} value - Gradient class key (see GRADIENT_CLASSES)
+ * @returns {string} Hex color
+ */
+export function getGradientClassColor(value) {
+  return GRADIENT_CLASS_COLORS[value] || DEFAULT_COLOR;
+}
+
+/**
+ * Get gradient class color (rgba format)
+ * @param {string} value - Gradient class key (see GRADIENT_CLASSES)
+ * @param {number} opacity - Opacity (0.0 - 1.0)
+ * @returns {string} RGBA color
+ */
+export function getGradientClassColorRgba(value, opacity = 0.3) {
+  return hexToRgba(getGradientClassColor(value), opacity);
+}
+
+/**
+ * Get gradient class description from the class bounds, e.g. "Steigung 3–6 %"
+ * @param {string} value - Gradient class key (see GRADIENT_CLASSES)
+ * @returns {string|null} Description or null if not found
+ */
+export function getGradientClassDescription(value) {
+  const index = GRADIENT_CLASSES.CLASSES.findIndex(gradientClass => gradientClass.key === value);
+  if (index === -1) return null;
+  
+  const min = index > 0 ? GRADIENT_CLASSES.CLASSES[index - 1].max : -Infinity;
+  const { max } = GRADIENT_CLASSES.CLASSES[index];
+  if (max <= 0) {
+    return min === -Infinity ? `Gefälle > ${-max} %` : `Gefälle ${-max}–${-min} %`;
+  }
+  if (min >= 0) {
+    return max === Infinity ? `Steigung > ${min} %` : `Steigung ${min}–${max} %`;
+  }
+  return min === -max ? `Flach (±${max} %)` : `Flach (${min} bis ${max} %)`;
+}
+
 /**
  * Get bicycle infrastructure color (hex format)
  * @param {string|number} value - Bicycle infrastructure value
@@ -262,6 +356,14 @@ export function getColorForEncodedValue(encodedType, value, allValues = []) {
     return getBicycleInfraColor(value);
   }
   
+  if (encodedType === COVERAGE_CONFLATION.ENCODED_TYPE) {
+    return getCoverageTypeColor(value);
+  }
+  
+  if (encodedType === GRADIENT_CLASSES.ENCODED_TYPE) {
+    return getGradientClassColor(value);
+  }
+  
   if (encodedType === 'elevation' || encodedType === 'time' || encodedType === 'distance') {
     // Numeric data - use gradient color
     const validValues = allValues.filter(v => v !== null && v !== undefined);
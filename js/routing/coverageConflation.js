@@ -0,0 +1,211 @@
+// Mapillary coverage conflation: matches the route segments against the rendered missing streets tiles
+// (roads, roadsPathClasses, bikelanes) and labels each segment pano, regular or missing -
+// the routing backend only knows the boolean mapillary_coverage detail
+// Stored as the client-side encoded value COVERAGE_CONFLATION.ENCODED_TYPE (heightgraph, stats, route colour)
+
+import { routeState } from './routeState.js';
+import { drawHeightgraph, updateHeightgraphStats } from './heightgraph.js';
+import { updateRouteColor } from './routeVisualization.js';
+import { COVERAGE_CONFLATION, UI_IDS } from '../utils/constants.js';
+import { createLocalProjection, distanceToSegment } from '../utils/geometry.js';
+
+let conflationHandlersRegistered = false;
+
+/**
+ * Register the handlers that keep the conflation up to date (once)
+ * The conflation is only computed while it is shown (selected encoded value or band) - selecting it
+ * matches the loaded tiles, tiles loaded later (panning, zooming, layer shown) fill in the segments
+ * that were unknown so far
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function setupCoverageConflation(map) {
+  if (conflationHandlersRegistered) return;
+  conflationHandlersRegistered = true;
+
+  // Registered before the heightgraph handlers (see setupRouting), which redraw with the labels
+  const select = document.getElementById(UI_IDS.ENCODED_SELECT);
+  if (select) {
+    select.addEventListener('change', () => {
+      if (select.value === COVERAGE_CONFLATION.ENCODED_TYPE) {
+        showMissingStreetsLayers();
+        ensureCoverageConflation(map);
+      }
+    });
+  }
+
+  const bandsPanel = document.getElementById(UI_IDS.HEIGHTGRAPH_BANDS_PANEL);
+  if (bandsPanel) {
+    bandsPanel.addEventListener('change', (e) => {
+      if (e.target.dataset.bandType === COVERAGE_CONFLATION.ENCODED_TYPE && e.target.checked) {
+        showMissingStreetsLayers();
+        ensureCoverageConflation(map);
+      }
+    });
+  }
+
+  map.on('idle', () => {
+    if (!isCoverageConflationShown()) return;
+    refreshCoverageConflation(map);
+  });
+}
+
+/**
+ * Whether the conflation is shown in the heightgraph (selected encoded value or attribute band)
+ * @returns {boolean}
+ */
+export function isCoverageConflationShown() {
+  const type = COVERAGE_CONFLATION.ENCODED_TYPE;
+  return routeState.currentEncodedType === type || routeState.heightgraphBands.includes(type);
+}
+
+/**
+ * Label every route segment with the coverage of the closest parallel tile feature
+ * @param {maplibregl.Map} map - Map instance
+ * @param {Array<Array<number>>} coordinates - Route coordinates [lng, lat]
+ * @param {Array<string>|null} previous - Earlier result, known labels are kept where no tile is loaded anymore
+ * @returns {Array<string>} Label per coordinate ('pano', 'regular', 'missing', 'unknown'), the segment
+ *   belongs to its start point
+ */
+export function conflateMapillaryCoverage(map, coordinates, previous = null) {
+  if (!coordinates || coordinates.length < 2) {
+    return [];
+  }
+
+  const { toXY } = createLocalProjection(coordinates[0][1]);
+
+  const grid = buildFeatureGrid(map, toXY);
+  const minParallel = Math.cos(COVERAGE_CONFLATION.MAX_ANGLE * Math.PI / 180);
+
+  const labels = [];
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const a = toXY(coordinates[i]);
+    const b = toXY(coordinates[i + 1]);
+    const label = grid ? matchSegment(grid, a, b, minParallel) : null;
+    const previousLabel = previous && previous[i] !== 'unknown' ? previous[i] : null;
+    labels.push(label || previousLabel || 'unknown');
+  }
+  // Last coordinate has no segment of its own
+  labels.push(labels[labels.length - 1]);
+  return labels;
+}
+
+/**
+ * Match the current route again (after new tiles were loaded) and redraw if labels changed
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function refreshCoverageConflation(map) {
+  const routeData = routeState.currentRouteData;
+  if (!routeData || !routeData.coordinates || !routeData.encodedValues) return;
+
+  const type = COVERAGE_CONFLATION.ENCODED_TYPE;
+  const previous = routeData.encodedValues[type] || null;
+  const labels = conflateMapillaryCoverage(map, routeData.coordinates, previous);
+  if (previous && labels.every((label, index) => label === previous[index])) return;
+
+  routeData.encodedValues[type] = labels;
+  drawHeightgraph(routeData.elevations || [], routeData.distance, routeData.encodedValues, routeData.coordinates);
+  updateRouteColor(routeState.currentEncodedType, routeData.encodedValues);
+  updateHeightgraphStats(routeState.currentEncodedType, routeData.encodedValues);
+}
+
+// Match the current route if it has no labels yet - the caller's handlers redraw
+function ensureCoverageConflation(map) {
+  const routeData = routeState.currentRouteData;
+  if (!routeData || !routeData.coordinates || !routeData.encodedValues) return;
+
+  const type = COVERAGE_CONFLATION.ENCODED_TYPE;
+  if (!routeData.encodedValues[type]) {
+    routeData.encodedValues[type] = conflateMapillaryCoverage(map, routeData.coordinates);
+  }
+}
+
+// Tiles of hidden layers aren't loaded - show the missing streets context layer for the conflation
+function showMissingStreetsLayers() {
+  const toggle = document.getElementById(COVERAGE_CONFLATION.LAYER_TOGGLE);
+  if (toggle && !toggle.checked) {
+    toggle.checked = true;
+    toggle.dispatchEvent(new Event('change'));
+  }
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+// Feature segments (in meters) by grid cell, null if no tile features are loaded
+function buildFeatureGrid(map, toXY) {
+  const cellSize = COVERAGE_CONFLATION.GRID_SIZE;
+  const maxDistance = COVERAGE_CONFLATION.MAX_DISTANCE;
+  const grid = new Map();
+  let segmentCount = 0;
+
+  COVERAGE_CONFLATION.SOURCES.forEach(({ source, sourceLayer }) => {
+    if (!map.getSource(source)) return;
+
+    map.querySourceFeatures(source, { sourceLayer }).forEach(feature => {
+      const label = getCoverageLabel(feature.properties);
+      getLines(feature.geometry).forEach(line => {
+        const points = line.map(toXY);
+        for (let j = 0; j < points.length - 1; j++) {
+          const segment = { a: points[j], b: points[j + 1], label };
+          // All cells within the match distance of the segment's bounding box
+          const minX = Math.floor((Math.min(segment.a[0], segment.b[0]) - maxDistance) / cellSize);
+          const maxX = Math.floor((Math.max(segment.a[0], segment.b[0]) + maxDistance) / cellSize);
+          const minY = Math.floor((Math.min(segment.a[1], segment.b[1]) - maxDistance) / cellSize);
+          const maxY = Math.floor((Math.max(segment.a[1], segment.b[1]) + maxDistance) / cellSize);
+          for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+              const key = `${x}:${y}`;
+              if (!grid.has(key)) grid.set(key, []);
+              grid.get(key).push(segment);
+            }
+          }
+          segmentCount++;
+        }
+      });
+    });
+  });
+
+  return segmentCount > 0 ? grid : null;
+}
+
+// Label of the closest roughly parallel feature segment near the route segment's midpoint
+function matchSegment(grid, a, b, minParallel) {
+  const midpoint = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+  const cellSize = COVERAGE_CONFLATION.GRID_SIZE;
+  const candidates = grid.get(`${Math.floor(midpoint[0] / cellSize)}:${Math.floor(midpoint[1] / cellSize)}`);
+  if (!candidates) return null;
+
+  let bestLabel = null;
+  let bestDistance = COVERAGE_CONFLATION.MAX_DISTANCE;
+  candidates.forEach(segment => {
+    const distance = distanceToSegment(midpoint, segment.a, segment.b);
+    if (distance > bestDistance) return;
+
+    // Direction check skips crossing streets (very short route segments have no reliable direction)
+    const segmentLength = Math.hypot(segment.b[0] - segment.a[0], segment.b[1] - segment.a[1]);
+    if (length > 1 && segmentLength > 0) {
+      const dot = ((b[0] - a[0]) * (segment.b[0] - segment.a[0]) + (b[1] - a[1]) * (segment.b[1] - segment.a[1])) /
+        (length * segmentLength);
+      if (Math.abs(dot) < minParallel) return;
+    }
+
+    bestDistance = distance;
+    bestLabel = segment.label;
+  });
+  return bestLabel;
+}
+
+// Same classification as the missing streets layers (no or empty value = missing)
+function getCoverageLabel(properties) {
+  const coverage = properties ? properties.mapillary_coverage : null;
+  return coverage === 'pano' || coverage === 'regular' ? coverage : 'missing';
+}
+
+function getLines(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+}
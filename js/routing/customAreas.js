@@ -0,0 +1,403 @@
+// Custom areas: polygons drawn on the map that avoid, block or prefer the roads inside them
+// Sent to GraphHopper as custom model areas (see applyCustomAreas in customModel.js)
+
+import { routeState } from './routeState.js';
+import { recalculateRouteIfReady } from './routeRecalculator.js';
+import { CUSTOM_AREAS, LAYER_IDS, UI_IDS } from '../utils/constants.js';
+
+// Map-level handlers survive style changes, so only register them once
+let areaHandlersRegistered = false;
+let nextAreaId = 1;
+
+// Polygon being drawn: {type, vertices: [[lng, lat], ...]} or null
+let sketch = null;
+let sketchCursor = null;
+
+/**
+ * Create sources and layers for the areas, register drawing handlers and render the current areas
+ * Safe to call again after a style change
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function setupCustomAreas(map) {
+  setupCustomAreaLayers(map);
+  updateAreasSource(map);
+  renderAreaList();
+
+  if (areaHandlersRegistered) return;
+  areaHandlersRegistered = true;
+
+  document.querySelectorAll('.btn-draw-area').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (sketch && sketch.type === btn.dataset.areaType) {
+        cancelAreaDrawing(map);
+      } else {
+        startAreaDrawing(map, btn.dataset.areaType);
+      }
+    });
+  });
+
+  const list = document.getElementById(UI_IDS.CUSTOM_AREAS_LIST);
+  if (list) {
+    list.addEventListener('change', (e) => {
+      const item = e.target.closest('.custom-area-item');
+      const area = item ? findArea(item.dataset.areaId) : null;
+      if (!area) return;
+
+      if (e.target.classList.contains('custom-area-type')) {
+        area.type = e.target.value;
+        area.factor = CUSTOM_AREAS.TYPES[area.type].defaultFactor;
+      } else if (e.target.classList.contains('custom-area-factor')) {
+        area.factor = clampFactor(area.type, parseFloat(e.target.value));
+      }
+      onAreasChanged(map);
+    });
+
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('.custom-area-item');
+      const area = item ? findArea(item.dataset.areaId) : null;
+      if (!area) return;
+
+      if (e.target.closest('.custom-area-remove')) {
+        routeState.customAreas = routeState.customAreas.filter(a => a !== area);
+        onAreasChanged(map);
+      } else if (e.target.closest('.custom-area-name')) {
+        const bounds = area.coordinates.reduce((b, coord) => b.extend(coord),
+          new maplibregl.LngLatBounds(area.coordinates[0], area.coordinates[0]));
+        map.fitBounds(bounds, { padding: 80, maxZoom: 17 });
+      }
+    });
+  }
+
+  map.on('click', (e) => {
+    if (!sketch) return;
+
+    const vertices = sketch.vertices;
+    if (vertices.length >= 3 && isNearVertex(map, e.point, vertices[0])) {
+      finishAreaDrawing(map);
+      return;
+    }
+    // Second click of a double click - the dblclick handler finishes the polygon
+    const last = vertices[vertices.length - 1];
+    if (last && isNearVertex(map, e.point, last)) return;
+
+    vertices.push([e.lngLat.lng, e.lngLat.lat]);
+    updateSketchSource(map);
+  });
+
+  map.on('dblclick', (e) => {
+    if (!sketch) return;
+    e.preventDefault();
+    finishAreaDrawing(map);
+  });
+
+  map.on('mousemove', (e) => {
+    if (!sketch) return;
+    sketchCursor = [e.lngLat.lng, e.lngLat.lat];
+    updateSketchSource(map);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (!sketch) return;
+    if (e.key === 'Escape') {
+      cancelAreaDrawing(map);
+    } else if (e.key === 'Enter') {
+      finishAreaDrawing(map);
+    }
+  });
+}
+
+/**
+ * Replace all areas (e.g. from the permalink) and redraw them
+ * @param {Array<Object>} areas - Areas {type, factor, coordinates} (IDs are assigned here)
+ */
+export function setCustomAreas(areas) {
+  routeState.customAreas = areas.map(area => ({ ...area, id: createAreaId() }));
+  if (routeState.mapInstance) {
+    updateAreasSource(routeState.mapInstance);
+  }
+  renderAreaList();
+}
+
+/**
+ * Serialize an area for the permalink: type/factor/lat,lng;lat,lng;...
+ * @param {Object} area - Area from routeState.customAreas
+ * @returns {string}
+ */
+export function serializeCustomArea(area) {
+  const factor = 10 ** CUSTOM_AREAS.URL_PRECISION;
+  const vertices = area.coordinates
+    .map(([lng, lat]) => `${Math.round(lat * factor) / factor},${Math.round(lng * factor) / factor}`)
+    .join(';');
+  return `${area.type}/${area.factor}/${vertices}`;
+}
+
+/**
+ * Parse an area from the permalink (see serializeCustomArea)
+ * @param {string} value - URL parameter value
+ * @returns {Object|null} Area {type, factor, coordinates} or null if invalid
+ */
+export function parseCustomAreaParam(value) {
+  const [type, factorValue, verticesValue] = (value || '').split('/');
+  if (!CUSTOM_AREAS.TYPES[type] || !verticesValue) return null;
+
+  const coordinates = verticesValue.split(';').map(vertex => {
+    const [lat, lng] = vertex.split(',').map(parseFloat);
+    return [lng, lat];
+  });
+  if (coordinates.length < 3 || coordinates.some(([lng, lat]) => isNaN(lng) || isNaN(lat))) {
+    return null;
+  }
+
+  return { type, factor: clampFactor(type, parseFloat(factorValue)), coordinates };
+}
+
+// ============================================================================
+// DRAWING
+// ============================================================================
+
+function startAreaDrawing(map, type) {
+  if (!CUSTOM_AREAS.TYPES[type]) return;
+
+  // Drawing replaces point selection
+  routeState.isSelectingStart = false;
+  routeState.isSelectingEnd = false;
+  routeState.isSelectingWaypoint = false;
+  document.querySelectorAll('.btn-set-start, .btn-set-start-header, .btn-set-end, .btn-set-end-header').forEach(btn => {
+    btn.classList.remove('active');
+  });
+
+  sketch = { type, vertices: [] };
+  sketchCursor = null;
+  routeState.isDrawingArea = true;
+  map.doubleClickZoom.disable();
+  map.getCanvas().style.cursor = 'crosshair';
+
+  updateDrawingUI();
+  updateSketchSource(map);
+}
+
+function finishAreaDrawing(map) {
+  if (!sketch) return;
+
+  if (sketch.vertices.length >= 3) {
+    routeState.customAreas = [...routeState.customAreas, {
+      id: createAreaId(),
+      type: sketch.type,
+      factor: CUSTOM_AREAS.TYPES[sketch.type].defaultFactor,
+      coordinates: sketch.vertices
+    }];
+    stopAreaDrawing(map);
+    onAreasChanged(map);
+  } else {
+    stopAreaDrawing(map);
+  }
+}
+
+function cancelAreaDrawing(map) {
+  stopAreaDrawing(map);
+}
+
+function stopAreaDrawing(map) {
+  sketch = null;
+  sketchCursor = null;
+  routeState.isDrawingArea = false;
+  map.getCanvas().style.cursor = '';
+  // Double click zoom is re-enabled after the dblclick event of the last click has passed
+  setTimeout(() => {
+    if (!sketch) map.doubleClickZoom.enable();
+  }, 300);
+
+  updateDrawingUI();
+  updateSketchSource(map);
+}
+
+function updateDrawingUI() {
+  document.querySelectorAll('.btn-draw-area').forEach(btn => {
+    btn.classList.toggle('active', Boolean(sketch) && btn.dataset.areaType === sketch.type);
+  });
+  const hint = document.getElementById(UI_IDS.CUSTOM_AREAS_HINT);
+  if (hint) {
+    hint.style.display = sketch ? 'block' : 'none';
+  }
+}
+
+function isNearVertex(map, point, vertex) {
+  const vertexPoint = map.project(vertex);
+  return Math.hypot(vertexPoint.x - point.x, vertexPoint.y - point.y) <= CUSTOM_AREAS.SNAP_DISTANCE;
+}
+
+// ============================================================================
+// MAP LAYERS
+// ============================================================================
+
+function setupCustomAreaLayers(map) {
+  [LAYER_IDS.CUSTOM_AREAS, LAYER_IDS.CUSTOM_AREA_SKETCH].forEach(sourceId => {
+    if (!map.getSource(sourceId)) {
+      map.addSource(sourceId, {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
+      });
+    }
+  });
+
+  // Areas below the route, the sketch on top
+  const beforeId = [LAYER_IDS.ROUTE_ALTERNATIVES_LAYER, LAYER_IDS.ROUTE_LAYER].find(id => map.getLayer(id));
+
+  if (!map.getLayer(LAYER_IDS.CUSTOM_AREAS_FILL_LAYER)) {
+    map.addLayer({
+      id: LAYER_IDS.CUSTOM_AREAS_FILL_LAYER,
+      type: 'fill',
+      source: LAYER_IDS.CUSTOM_AREAS,
+      paint: {
+        'fill-color': ['get', 'color'],
+        'fill-opacity': 0.15
+      }
+    }, beforeId);
+  }
+
+  if (!map.getLayer(LAYER_IDS.CUSTOM_AREAS_LINE_LAYER)) {
+    map.addLayer({
+      id: LAYER_IDS.CUSTOM_AREAS_LINE_LAYER,
+      type: 'line',
+      source: LAYER_IDS.CUSTOM_AREAS,
+      paint: {
+        'line-color': ['get', 'color'],
+        'line-width': 2,
+        'line-opacity': 0.8
+      }
+    }, beforeId);
+  }
+
+  if (!map.getLayer(LAYER_IDS.CUSTOM_AREA_SKETCH_LINE_LAYER)) {
+    map.addLayer({
+      id: LAYER_IDS.CUSTOM_AREA_SKETCH_LINE_LAYER,
+      type: 'line',
+      source: LAYER_IDS.CUSTOM_AREA_SKETCH,
+      filter: ['==', ['geometry-type'], 'LineString'],
+      paint: {
+        'line-color': ['get', 'color'],
+        'line-width': 2,
+        'line-dasharray': [2, 2]
+      }
+    });
+  }
+
+  if (!map.getLayer(LAYER_IDS.CUSTOM_AREA_SKETCH_POINT_LAYER)) {
+    map.addLayer({
+      id: LAYER_IDS.CUSTOM_AREA_SKETCH_POINT_LAYER,
+      type: 'circle',
+      source: LAYER_IDS.CUSTOM_AREA_SKETCH,
+      filter: ['==', ['geometry-type'], 'Point'],
+      paint: {
+        'circle-radius': 4,
+        'circle-color': '#ffffff',
+        'circle-stroke-width': 2,
+        'circle-stroke-color': ['get', 'color']
+      }
+    });
+  }
+}
+
+function updateAreasSource(map) {
+  const source = map.getSource(LAYER_IDS.CUSTOM_AREAS);
+  if (!source) return;
+
+  source.setData({
+    type: 'FeatureCollection',
+    features: routeState.customAreas.map(area => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[...area.coordinates, area.coordinates[0]]]
+      },
+      properties: {
+        id: area.id,
+        color: CUSTOM_AREAS.TYPES[area.type].color
+      }
+    }))
+  });
+}
+
+function updateSketchSource(map) {
+  const source = map.getSource(LAYER_IDS.CUSTOM_AREA_SKETCH);
+  if (!source) return;
+
+  if (!sketch) {
+    source.setData({ type: 'FeatureCollection', features: [] });
+    return;
+  }
+
+  const properties = { color: CUSTOM_AREAS.TYPES[sketch.type].color };
+  const line = sketchCursor ? [...sketch.vertices, sketchCursor] : sketch.vertices;
+  const features = sketch.vertices.map(vertex => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: vertex },
+    properties
+  }));
+  if (line.length >= 2) {
+    // Closing edge back to the first vertex as preview
+    const closedLine = line.length >= 3 ? [...line, line[0]] : line;
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: closedLine },
+      properties
+    });
+  }
+
+  source.setData({ type: 'FeatureCollection', features });
+}
+
+// ============================================================================
+// AREA LIST
+// ============================================================================
+
+function renderAreaList() {
+  const list = document.getElementById(UI_IDS.CUSTOM_AREAS_LIST);
+  if (!list) return;
+
+  list.innerHTML = routeState.customAreas.map((area, index) => {
+    const typeConfig = CUSTOM_AREAS.TYPES[area.type];
+    const typeOptions = Object.entries(CUSTOM_AREAS.TYPES)
+      .map(([type, config]) => `<option value="${type}"${type === area.type ? ' selected' : ''}>${config.label}</option>`)
+      .join('');
+    const factorInput = area.type === 'block'
+      ? ''
+      : `<input type="number" class="custom-area-factor" min="${typeConfig.minFactor}" max="${typeConfig.maxFactor}" step="${typeConfig.step}" value="${area.factor}" title="Faktor">`;
+    return `
+      <div class="custom-area-item" data-area-id="${area.id}" style="border-left-color: ${typeConfig.color};">
+        <span class="custom-area-name" title="Auf der Karte zeigen">Gebiet ${index + 1}</span>
+        <select class="custom-area-type heightgraph-select">${typeOptions}</select>
+        ${factorInput}
+        <button class="custom-area-remove" title="Gebiet entfernen">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      </div>
+    `;
+  }).join('');
+}
+
+function onAreasChanged(map) {
+  updateAreasSource(map);
+  renderAreaList();
+  recalculateRouteIfReady();
+}
+
+function findArea(id) {
+  return routeState.customAreas.find(area => area.id === id);
+}
+
+// Area IDs are used in `in_<id>` conditions and must be valid identifiers
+function createAreaId() {
+  return `area${nextAreaId++}`;
+}
+
+function clampFactor(type, factor) {
+  const config = CUSTOM_AREAS.TYPES[type];
+  if (type === 'block' || isNaN(factor)) {
+    return config.defaultFactor;
+  }
+  return Math.min(config.maxFactor, Math.max(config.minFactor, factor));
+}
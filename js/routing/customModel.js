@@ -1,6 +1,10 @@
-// Custom Model Management for car_customizable and bike_customizable profiles
+// Custom Model Management for the customizable profiles (see profileRegistry.js)
 // Handles custom routing models for GraphHopper API
 
+import { ROUTE_DETAILS, CAPTURE_SPEED } from '../utils/constants.js';
+import { getProfile, getBackendProfile, isChDisabled } from './profileRegistry.js';
+import { isRuleToggleRule } from './ruleToggles.js';
+
 // ============================================================================
 // DEFAULT CUSTOM MODELS
 // ============================================================================
@@ -43,7 +47,7 @@ export const defaultCarCustomModel = {
     {"if": "road_class==TRACK", "multiply_by": 0.4},
     
     // Oberflächenbewertung
-    // Diese Regeln werden dynamisch durch updateUnpavedRoadsRule() angepasst
+    // Diese Regeln werden dynamisch über den Rule Toggle avoidUnpavedRoads angepasst (ruleToggles.js)
     // Standard: unbefestigte Wege leicht abwerten (0.7-0.8)
     // Wenn "unbefestigte Wege meiden" aktiviert: stark abwerten (0.2-0.3)
     {"if": "surface==GRAVEL||surface==FINE_GRAVEL||surface==DIRT||surface==GROUND||surface==SAND", "multiply_by": 0.7},
@@ -63,7 +67,7 @@ export const defaultCarCustomModel = {
     {"if": "car_access==false", "limit_to": 0},
     
     // Durchfahrtsbeschränkungen (motor_vehicle=destination, private, no) sperren
-    // Diese Regel wird dynamisch aktiviert/deaktiviert über updateCarAccessRule()
+    // Diese Regel wird dynamisch aktiviert/deaktiviert über den Rule Toggle allowCarAccess (ruleToggles.js)
     // Standard: aktiviert (sperrt Wege mit road_access==DESTINATION, PRIVATE oder NO)
     {"if": "road_access==DESTINATION||road_access==PRIVATE||road_access==NO", "limit_to": 0},
     
@@ -123,10 +127,10 @@ export const defaultBikeCustomModel = {
     
     // Access-Logik
     {"if": "!bike_access && (!backward_bike_access || roundabout)", "multiply_by": 0},
-    // Gegen Einbahn/Fußwege gegen Richtung: Diese Regel wird dynamisch durch updateAvoidPushingRule() angepasst
+    // Gegen Einbahn/Fußwege gegen Richtung: Diese Regel wird dynamisch über den Rule Toggle avoidPushing angepasst
     // Standard: 0.2 (leicht abwerten), mit "Schieben verhindern": 0.01 (stark abwerten)
     {"else_if": "!bike_access && backward_bike_access && !roundabout", "multiply_by": 0.2},
-    // Fußwege ohne Radinfrastruktur: Diese Regel wird dynamisch durch updateAvoidPushingRule() verwaltet
+    // Fußwege ohne Radinfrastruktur: Diese Regel wird dynamisch über den Rule Toggle avoidPushing verwaltet
     // Standard: 0.2 (leicht abwerten in priority), mit "Schieben verhindern": limit_to: 0 (komplett sperren in speed)
     // Wichtig: Nur FOOTWAYs ohne bicycle_infra werden behandelt, nicht alle FOOTWAYs
     
@@ -223,6 +227,203 @@ export const defaultBikeCustomModel = {
   ]
 };
 
+// Bike type presets for bike_customizable (managed by updateBikeTypeRules())
+// mtbMax: highest allowed mtb_rating (GraphHopper: 1 = mtb:scale 0, 2 = mtb:scale 1, ...)
+// maxSpeed: km/h cap on top of bike_average_speed (null = profile speed only)
+// slope: [condition on average_slope, speed factor] as if/else_if chain (uphill factors are rescaled
+//        by the hill sensitivity, see HILL_SENSITIVITY_PRESETS)
+// "trekking" reproduces defaultBikeCustomModel exactly
+export const BIKE_TYPE_PRESETS = {
+  trekking: {
+    mtbMax: 2,
+    maxSpeed: null,
+    prioritySurface: [
+      {"if": "surface == GRAVEL || surface == FINE_GRAVEL || surface == COMPACTED", "multiply_by": 0.9},
+      {"if": "surface == GROUND || surface == DIRT", "multiply_by": 0.7},
+      {"if": "surface == SAND || surface == COBBLESTONE", "multiply_by": 0.4}
+    ],
+    slope: [
+      ['>= 15', 0.25], ['>= 10', 0.40], ['>= 8', 0.55], ['>= 6', 0.70], ['>= 4', 0.80], ['>= 2', 0.90],
+      ['<= -12', 0.90], ['<= -8', 1.0], ['<= -4', 1.0], ['<= -2', 1.00]
+    ],
+    speedSurface: [
+      {"if": "surface == SAND", "multiply_by": 0.5},
+      {"if": "surface == COBBLESTONE", "multiply_by": 0.7}
+    ]
+  },
+  road: {
+    mtbMax: 1,
+    maxSpeed: 30,
+    // Nur befestigte Wege, Schotter nur im Notfall
+    prioritySurface: [
+      {"if": "surface == GRAVEL || surface == FINE_GRAVEL || surface == COMPACTED", "multiply_by": 0.3},
+      {"if": "surface == GROUND || surface == DIRT || surface == SAND", "multiply_by": 0.05},
+      {"if": "surface == COBBLESTONE || surface == UNPAVED", "multiply_by": 0.2}
+    ],
+    slope: [
+      ['>= 15', 0.30], ['>= 10', 0.45], ['>= 8', 0.60], ['>= 6', 0.75], ['>= 4', 0.85], ['>= 2', 0.95],
+      ['<= -12', 0.85]
+    ],
+    speedSurface: [
+      {"if": "surface == GRAVEL || surface == FINE_GRAVEL || surface == COMPACTED", "multiply_by": 0.6},
+      {"if": "surface == GROUND || surface == DIRT || surface == SAND", "multiply_by": 0.4},
+      {"if": "surface == COBBLESTONE", "multiply_by": 0.6}
+    ]
+  },
+  mtb: {
+    mtbMax: 5,
+    maxSpeed: 20,
+    // Unbefestigte Wege sind kein Nachteil, nur Sand bremst
+    prioritySurface: [
+      {"if": "surface == SAND", "multiply_by": 0.7}
+    ],
+    slope: [
+      ['>= 15', 0.30], ['>= 10', 0.45], ['>= 8', 0.60], ['>= 6', 0.70], ['>= 4', 0.80], ['>= 2', 0.90],
+      ['<= -12', 0.70], ['<= -8', 0.90]
+    ],
+    speedSurface: [
+      {"if": "surface == SAND", "multiply_by": 0.6}
+    ]
+  },
+  cargo: {
+    mtbMax: 1,
+    maxSpeed: 18,
+    // Schwer und breit: unbefestigte Wege und steile Abfahrten meiden
+    prioritySurface: [
+      {"if": "surface == GRAVEL || surface == FINE_GRAVEL || surface == COMPACTED", "multiply_by": 0.6},
+      {"if": "surface == GROUND || surface == DIRT", "multiply_by": 0.3},
+      {"if": "surface == SAND || surface == COBBLESTONE", "multiply_by": 0.2}
+    ],
+    slope: [
+      ['>= 15', 0.10], ['>= 10', 0.25], ['>= 8', 0.40], ['>= 6', 0.55], ['>= 4', 0.70], ['>= 2', 0.85],
+      ['<= -12', 0.50], ['<= -8', 0.70], ['<= -4', 0.90]
+    ],
+    speedSurface: [
+      {"if": "surface == GRAVEL || surface == FINE_GRAVEL || surface == COMPACTED", "multiply_by": 0.8},
+      {"if": "surface == SAND", "multiply_by": 0.4},
+      {"if": "surface == COBBLESTONE", "multiply_by": 0.6}
+    ]
+  },
+  ebike: {
+    mtbMax: 2,
+    maxSpeed: 25,
+    prioritySurface: [
+      {"if": "surface == GRAVEL || surface == FINE_GRAVEL || surface == COMPACTED", "multiply_by": 0.9},
+      {"if": "surface == GROUND || surface == DIRT", "multiply_by": 0.7},
+      {"if": "surface == SAND || surface == COBBLESTONE", "multiply_by": 0.4}
+    ],
+    // Motorunterstützung: Steigungen bremsen kaum
+    slope: [
+      ['>= 15', 0.50], ['>= 10', 0.70], ['>= 8', 0.80], ['>= 6', 0.90], ['>= 4', 0.95],
+      ['<= -12', 0.90]
+    ],
+    speedSurface: [
+      {"if": "surface == SAND", "multiply_by": 0.5},
+      {"if": "surface == COBBLESTONE", "multiply_by": 0.7}
+    ]
+  }
+};
+
+// Hill sensitivity levels for bike_customizable (managed by updateHillSensitivityRules())
+// exponent: applied to the uphill factors of the bike type's slope chain (> 1 = slower, < 1 = closer to flat speed)
+// tolerance: steepest comfortable incline in % (the heightgraph marks steeper climbs)
+// steepPenalty: [condition on average_slope, priority factor] as if/else_if chain (avoids steep climbs)
+// "normal" leaves the bike type presets unchanged
+export const HILL_SENSITIVITY_PRESETS = {
+  normal: {
+    exponent: 1,
+    tolerance: 8,
+    steepPenalty: []
+  },
+  flat: {
+    exponent: 2,
+    tolerance: 4,
+    steepPenalty: [['>= 8', 0.3], ['>= 5', 0.6]]
+  },
+  relaxed: {
+    exponent: 1.5,
+    tolerance: 6,
+    steepPenalty: [['>= 8', 0.6]]
+  },
+  sporty: {
+    exponent: 0.6,
+    tolerance: 10,
+    steepPenalty: []
+  },
+  climber: {
+    exponent: 0.3,
+    tolerance: 15,
+    steepPenalty: []
+  }
+};
+
+/**
+ * Default custom model configuration for foot_customizable profile
+ * 
+ * ZWECK:
+ * Fußwege und Fußgängerzonen für die Erfassung zu Fuß (z.B. mit 360°-Kamera):
+ * - Fußgängerinfrastruktur bevorzugen, Hauptstraßen abwerten
+ * - Alpine Wege (hike_rating) sperren
+ * - Steigungen verlangsamen (realistische Gehzeit)
+ * - Mapillary Coverage (anpassbar über Slider)
+ * 
+ * Rollstuhl-Einschränkungen (Treppen, Steigung, Oberfläche) werden bei Bedarf durch
+ * updateWheelchairRule() ergänzt
+ */
+export const defaultFootCustomModel = {
+  "distance_influence": 70,
+  "priority": [
+    // Basis: Start mit einem mittleren Wert
+    {"if": "true", "multiply_by": 0.8},
+    
+    // Alpine Wege und Autobahnen sperren
+    {"if": "hike_rating > 2", "multiply_by": 0},
+    {"if": "road_class == MOTORWAY || road_class == TRUNK", "multiply_by": 0},
+    
+    // Hauptstraßen abwerten (Lärm, oft ohne Gehweg) - außer sie sind Teil eines Wanderwegs
+    {"if": "road_class == PRIMARY && foot_network == MISSING", "multiply_by": 0.4},
+    {"if": "road_class == SECONDARY && foot_network == MISSING", "multiply_by": 0.6},
+    {"if": "road_class == TERTIARY && foot_network == MISSING", "multiply_by": 0.8},
+    
+    // Mapillary coverage preference (anpassbar über Slider)
+    // Default: 1.0 (definiert in constants.js DEFAULTS.MAPILLARY_WEIGHT)
+    {"if": "mapillary_coverage==true", "multiply_by": 1.0}
+  ],
+  "speed": [
+    // Basis: eingebaute Gehgeschwindigkeit nutzen
+    {"if": "true", "limit_to": "foot_average_speed"},
+    
+    // Treppen langsamer
+    {"if": "road_class == STEPS", "multiply_by": 0.5},
+    
+    // Steigungs-basierte Geschwindigkeitsanpassungen
+    {"if": "average_slope >= 15", "multiply_by": 0.6},
+    {"else_if": "average_slope >= 10", "multiply_by": 0.75},
+    {"else_if": "average_slope >= 5", "multiply_by": 0.9},
+    {"else_if": "average_slope <= -15", "multiply_by": 0.7},
+    {"else_if": "average_slope <= -10", "multiply_by": 0.85},
+    
+    // Access-Logik
+    {"if": "foot_access==false", "limit_to": 0}
+  ]
+};
+
+// Wheelchair constraints for foot_customizable (managed by updateWheelchairRule())
+// Steps and loose surfaces are blocked, steep inclines (> 6 %) strongly avoided
+const WHEELCHAIR_RULES = {
+  priority: [
+    {"if": "road_class == STEPS", "multiply_by": 0},
+    {"if": "surface == SAND || surface == GRASS || surface == DIRT || surface == GROUND || surface == GRAVEL || surface == UNPAVED", "multiply_by": 0},
+    {"if": "surface == COBBLESTONE", "multiply_by": 0.2},
+    {"if": "surface == FINE_GRAVEL || surface == COMPACTED", "multiply_by": 0.6},
+    {"if": "average_slope > 6 || average_slope < -6", "multiply_by": 0.1}
+  ],
+  speed: [
+    // Rollstuhl: etwas langsamer als zu Fuß
+    {"if": "true", "limit_to": 4}
+  ]
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -233,18 +434,26 @@ export const defaultBikeCustomModel = {
  * @returns {boolean} True if profile supports custom models
  */
 export function supportsCustomModel(profile) {
-  return profile === 'car_customizable' || profile === 'bike_customizable';
+  return getProfile(profile) !== null;
 }
 
 /**
  * Get the actual GraphHopper profile name
- * @param {string} profile - Profile name (car_customizable or bike_customizable)
- * @returns {string} GraphHopper profile name (car or bike)
+ * @param {string} profile - Profile name (e.g. car_customizable, see profileRegistry.js)
+ * @returns {string} GraphHopper profile name (e.g. car, other profiles unchanged)
  */
 export function getGraphHopperProfile(profile) {
-  if (profile === 'car_customizable') return 'car';
-  if (profile === 'bike_customizable') return 'bike';
-  return profile;
+  return getBackendProfile(profile, 'graphhopper');
+}
+
+/**
+ * Get the default custom model of a customizable profile (not a copy - use ensureCustomModel to edit)
+ * @param {string} profile - Profile name
+ * @returns {Object} Default custom model (car model for unknown profiles)
+ */
+export function getDefaultCustomModel(profile) {
+  const registeredProfile = getProfile(profile);
+  return registeredProfile ? registeredProfile.defaultCustomModel : defaultCarCustomModel;
 }
 
 /**
@@ -255,10 +464,7 @@ export function getGraphHopperProfile(profile) {
  */
 export function ensureCustomModel(customModel, profile = 'car_customizable') {
   if (!customModel) {
-    if (profile === 'bike_customizable') {
-      return JSON.parse(JSON.stringify(defaultBikeCustomModel));
-    }
-    return JSON.parse(JSON.stringify(defaultCarCustomModel));
+    return JSON.parse(JSON.stringify(getDefaultCustomModel(profile)));
   }
   return customModel;
 }
@@ -271,8 +477,112 @@ export function ensureCustomModel(customModel, profile = 'car_customizable') {
  */
 export function isDefaultCustomModel(customModel, profile = 'car_customizable') {
   if (!customModel) return false;
-  const defaultModel = profile === 'bike_customizable' ? defaultBikeCustomModel : defaultCarCustomModel;
-  return JSON.stringify(customModel) === JSON.stringify(defaultModel);
+  return JSON.stringify(customModel) === JSON.stringify(getDefaultCustomModel(profile));
+}
+
+/**
+ * Validate the structure of a custom model (priority, speed, distance_influence, areas)
+ * Checks the GraphHopper schema only - expressions are not parsed
+ * @param {*} customModel - Custom model to check (e.g. parsed from the editor)
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function validateCustomModel(customModel) {
+  const errors = [];
+  if (!customModel || typeof customModel !== 'object' || Array.isArray(customModel)) {
+    return ['Custom Model muss ein JSON-Objekt sein'];
+  }
+  
+  Object.keys(customModel).forEach(key => {
+    if (!CUSTOM_MODEL_KEYS.includes(key)) {
+      errors.push(`Unbekannter Schlüssel "${key}" (erlaubt: ${CUSTOM_MODEL_KEYS.join(', ')})`);
+    }
+  });
+  
+  if (customModel.distance_influence !== undefined &&
+      (typeof customModel.distance_influence !== 'number' || customModel.distance_influence < 0)) {
+    errors.push('distance_influence muss eine Zahl ≥ 0 sein');
+  }
+  
+  ['priority', 'speed'].forEach(section => {
+    if (customModel[section] === undefined) return;
+    if (!Array.isArray(customModel[section])) {
+      errors.push(`${section} muss ein Array von Regeln sein`);
+      return;
+    }
+    customModel[section].forEach((rule, index) => {
+      validateRule(rule, index > 0 ? customModel[section][index - 1] : null)
+        .forEach(message => errors.push(`${section}[${index}]: ${message}`));
+    });
+  });
+  
+  if (customModel.areas !== undefined) {
+    const areas = customModel.areas;
+    if (!areas || areas.type !== 'FeatureCollection' || !Array.isArray(areas.features)) {
+      errors.push('areas muss eine GeoJSON FeatureCollection sein');
+    } else {
+      areas.features.forEach((feature, index) => {
+        if (!feature || typeof feature.id !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(feature.id)) {
+          errors.push(`areas.features[${index}]: id muss ein Bezeichner sein (Buchstaben, Ziffern, _)`);
+        }
+        const geometryType = feature && feature.geometry ? feature.geometry.type : null;
+        if (geometryType !== 'Polygon' && geometryType !== 'MultiPolygon') {
+          errors.push(`areas.features[${index}]: Geometrie muss Polygon oder MultiPolygon sein`);
+        }
+      });
+    }
+  }
+  
+  return errors;
+}
+
+const CUSTOM_MODEL_KEYS = ['priority', 'speed', 'distance_influence', 'areas'];
+const CONDITION_KEYS = ['if', 'else_if', 'else'];
+const OPERATION_KEYS = ['multiply_by', 'limit_to'];
+
+// Check a single priority/speed rule (previousRule is needed for else_if/else)
+function validateRule(rule, previousRule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return ['Regel muss ein Objekt sein'];
+  }
+  
+  const errors = [];
+  const keys = Object.keys(rule);
+  keys.filter(key => !CONDITION_KEYS.includes(key) && !OPERATION_KEYS.includes(key))
+    .forEach(key => errors.push(`unbekannter Schlüssel "${key}"`));
+  
+  const conditions = keys.filter(key => CONDITION_KEYS.includes(key));
+  if (conditions.length !== 1) {
+    errors.push('genau eine Bedingung erwartet (if, else_if oder else)');
+  } else {
+    const condition = conditions[0];
+    if (typeof rule[condition] !== 'string') {
+      errors.push(`${condition} muss ein String sein`);
+    } else if (condition === 'else' && rule.else !== '') {
+      errors.push('else muss ein leerer String sein');
+    } else if (condition !== 'else' && rule[condition].trim() === '') {
+      errors.push(`${condition} darf nicht leer sein`);
+    }
+    const previousIsChain = previousRule && (previousRule.if !== undefined || previousRule.else_if !== undefined);
+    if (condition !== 'if' && !previousIsChain) {
+      errors.push(`${condition} muss auf if oder else_if folgen`);
+    }
+  }
+  
+  const operations = keys.filter(key => OPERATION_KEYS.includes(key));
+  if (operations.length !== 1) {
+    errors.push('genau eine Operation erwartet (multiply_by oder limit_to)');
+  } else {
+    const value = rule[operations[0]];
+    if (typeof value === 'number') {
+      if (value < 0) {
+        errors.push(`${operations[0]} darf nicht negativ sein`);
+      }
+    } else if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`${operations[0]} muss eine Zahl oder ein Ausdruck sein`);
+    }
+  }
+  
+  return errors;
 }
 
 /**
@@ -280,27 +590,152 @@ export function isDefaultCustomModel(customModel, profile = 'car_customizable')
  * @param {Array<Array<number>>} points - Array of [lng, lat] coordinates
  * @param {string} profile - Profile name
  * @param {Object} customModel - Custom model configuration
+ * @param {Array<string>} details - Path details to request (defaults to ROUTE_DETAILS)
  * @returns {Object} Request body for GraphHopper API
  */
-export function buildPostRequestBodyWithCustomModel(points, profile, customModel) {
+export function buildPostRequestBodyWithCustomModel(points, profile, customModel, details = ROUTE_DETAILS) {
   const graphHopperProfile = getGraphHopperProfile(profile);
   const requestBody = {
     points: points,
     profile: graphHopperProfile,
     points_encoded: false,
     elevation: true,
-    details: ['surface', 'mapillary_coverage', 'road_class', 'road_access', 'bicycle_infra', 'osm_way_id'],
+    locale: 'de', // Instruction texts for the instruction list
+    details: details,
     custom_model: customModel
   };
   
-  // Add ch.disable for LM routing (car and bike profiles)
-  if (graphHopperProfile === 'car' || graphHopperProfile === 'bike') {
+  // Add ch.disable for LM routing (declared per profile)
+  if (isChDisabled(profile)) {
     requestBody['ch.disable'] = true;
   }
   
   return requestBody;
 }
 
+// ============================================================================
+// CUSTOM AREA FUNCTIONS
+// ============================================================================
+
+/**
+ * Add drawn areas to a custom model as GraphHopper `areas` with `in_<id>` priority rules
+ * Returns a copy - the areas are kept in routeState.customAreas, not in the custom model
+ * 
+ * - avoid: multiply_by factor (< 1) inside the area
+ * - block: multiply_by 0 inside the area
+ * - prefer: multiply_by kann nicht über 1.0 gehen, deshalb werden Wege außerhalb abgewertet
+ *   (Gebiet mit dem höchsten Faktor: 1.0, andere Gebiete: factor/max, außerhalb: 1/max)
+ * 
+ * @param {Object} customModel - Custom model
+ * @param {Array<Object>} areas - Areas {id, type: 'avoid'|'block'|'prefer', factor, coordinates: [[lng, lat], ...]}
+ * @returns {Object} Custom model with areas (the same object if there are no areas)
+ */
+export function applyCustomAreas(customModel, areas) {
+  if (!customModel || !Array.isArray(areas) || areas.length === 0) {
+    return customModel;
+  }
+  
+  const model = JSON.parse(JSON.stringify(customModel));
+  addAreaFeatures(model, areas.map(area => ({
+    type: 'Feature',
+    id: area.id,
+    properties: {},
+    geometry: {
+      type: 'Polygon',
+      coordinates: [closeRing(area.coordinates)]
+    }
+  })));
+  model.priority = model.priority || [];
+  
+  areas.filter(area => area.type !== 'prefer').forEach(area => {
+    model.priority.push({
+      "if": `in_${area.id}`,
+      "multiply_by": area.type === 'block' ? 0 : area.factor
+    });
+  });
+  
+  // Overlapping preferred areas: the one with the highest factor wins
+  const preferred = areas
+    .filter(area => area.type === 'prefer')
+    .sort((a, b) => b.factor - a.factor);
+  if (preferred.length > 0) {
+    const maxFactor = preferred[0].factor;
+    preferred.forEach((area, index) => {
+      model.priority.push({
+        [index === 0 ? 'if' : 'else_if']: `in_${area.id}`,
+        "multiply_by": roundFactor(area.factor / maxFactor)
+      });
+    });
+    model.priority.push({"else": "", "multiply_by": roundFactor(1 / maxFactor)});
+  }
+  
+  return model;
+}
+
+/**
+ * Add imported capture tracks to a custom model as areas with one priority rule next to the mapillary_coverage rule
+ * Returns a copy - the tracks are kept in routeState.capturedTracks, not in the custom model
+ * @param {Object} customModel - Custom model
+ * @param {Array<Object>} tracks - Tracks {id, polygons} (polygons: buffered track as MultiPolygon coordinates)
+ * @param {number} factor - Priority multiplier on streets within the tracks
+ * @returns {Object} Custom model with track areas (the same object if there are no tracks)
+ */
+export function applyCapturedTracks(customModel, tracks, factor) {
+  if (!customModel || !Array.isArray(tracks) || tracks.length === 0) {
+    return customModel;
+  }
+  
+  const model = JSON.parse(JSON.stringify(customModel));
+  addAreaFeatures(model, tracks.map(track => ({
+    type: 'Feature',
+    id: track.id,
+    properties: {},
+    geometry: {
+      type: 'MultiPolygon',
+      coordinates: track.polygons
+    }
+  })));
+  model.priority = model.priority || [];
+  
+  const trackRule = {
+    "if": tracks.map(track => `in_${track.id}`).join(' || '),
+    "multiply_by": factor
+  };
+  const mapillaryIndex = model.priority.findIndex(
+    r => r.if && r.if.includes('mapillary_coverage==true')
+  );
+  if (mapillaryIndex !== -1) {
+    model.priority.splice(mapillaryIndex + 1, 0, trackRule);
+  } else {
+    model.priority.push(trackRule);
+  }
+  
+  return model;
+}
+
+// Append area features, keeping areas already defined in the custom model
+function addAreaFeatures(model, features) {
+  const existingFeatures = model.areas && Array.isArray(model.areas.features) ? model.areas.features : [];
+  model.areas = {
+    type: 'FeatureCollection',
+    features: [...existingFeatures, ...features]
+  };
+}
+
+// GeoJSON polygon rings must end with their first position
+function closeRing(coordinates) {
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+  if (first[0] === last[0] && first[1] === last[1]) {
+    return coordinates;
+  }
+  return [...coordinates, first];
+}
+
+function roundFactor(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
 // ============================================================================
 // MAPILLARY PRIORITY FUNCTIONS
 // ============================================================================
@@ -357,325 +792,347 @@ export function getMapillaryPriority(customModel) {
   return isNaN(value) ? null : value;
 }
 
-// ============================================================================
-// CAR ACCESS RULE FUNCTIONS (for car_customizable profile)
-// ============================================================================
-
 /**
- * Update car access rule in custom model
- * Controls whether restricted roads (DESTINATION, PRIVATE, NO) are blocked
+ * Update the capture speed limit for car_customizable
+ * Adds a speed limit_to rule (after the base speed rules) and down-weights road classes whose typical
+ * speed (CAPTURE_SPEED.ROAD_CLASS_SPEEDS) is above the limit, so the route and the time estimate
+ * match driving at capture speed
  * @param {Object} customModel - Custom model to update
- * @param {boolean} allowCarAccess - True = allow restricted roads, false = block them (default)
+ * @param {number|null} maxCaptureSpeed - Limit in km/h, null = no limit (default)
  * @returns {Object} Updated custom model
  */
-export function updateCarAccessRule(customModel, allowCarAccess) {
-  if (!customModel || !customModel.speed) {
+export function updateCaptureSpeedRule(customModel, maxCaptureSpeed) {
+  if (!customModel || !customModel.priority || !customModel.speed) {
     return customModel;
   }
-  
-  const carAccessRuleIndex = customModel.speed.findIndex(
-    r => r.if && (r.if.includes('road_access==DESTINATION') || 
-                  r.if.includes('road_access==PRIVATE') || 
-                  r.if.includes('road_access==NO'))
-  );
-  
-  if (carAccessRuleIndex === -1) {
-    // Rule doesn't exist, add it if we want to block restricted roads
-    if (!allowCarAccess) {
-      const carAccessIndex = customModel.speed.findIndex(
-        r => r.if && r.if.includes('car_access==false')
-      );
-      if (carAccessIndex !== -1) {
-        customModel.speed.splice(carAccessIndex + 1, 0, {
-          "if": "road_access==DESTINATION||road_access==PRIVATE||road_access==NO",
-          "limit_to": 0
-        });
-      } else {
-        customModel.speed.unshift({
-          "if": "road_access==DESTINATION||road_access==PRIVATE||road_access==NO",
-          "limit_to": 0
-        });
-      }
-    }
-  } else {
-    // Rule exists, update or remove it
-    if (allowCarAccess) {
-      customModel.speed.splice(carAccessRuleIndex, 1);
-    } else {
-      customModel.speed[carAccessRuleIndex] = {
-        "if": "road_access==DESTINATION||road_access==PRIVATE||road_access==NO",
-        "limit_to": 0
-      };
-    }
+
+  customModel.speed = customModel.speed.filter(r => !isSpeedCapRule(r));
+  customModel.priority = customModel.priority.filter(r => !isCaptureSpeedPriorityRule(r));
+  if (maxCaptureSpeed === null || maxCaptureSpeed === undefined) {
+    return customModel;
   }
-  
+
+  // After the base rules ("if": "true"), before access and surface rules
+  const speedInsertIndex = customModel.speed.findIndex(r => r.if !== 'true');
+  customModel.speed.splice(
+    speedInsertIndex !== -1 ? speedInsertIndex : customModel.speed.length,
+    0,
+    { "if": "true", "limit_to": maxCaptureSpeed }
+  );
+
+  // Before the Mapillary rule (slider stays the last factor)
+  const penaltyRules = Object.entries(CAPTURE_SPEED.ROAD_CLASS_SPEEDS)
+    .filter(([, typicalSpeed]) => typicalSpeed > maxCaptureSpeed)
+    .map(([roadClass, typicalSpeed]) => ({
+      "if": `road_class == ${roadClass}`,
+      "multiply_by": getCaptureSpeedFactor(maxCaptureSpeed, typicalSpeed)
+    }));
+  const mapillaryIndex = customModel.priority.findIndex(
+    r => r.if && r.if.includes('mapillary_coverage')
+  );
+  customModel.priority.splice(
+    mapillaryIndex !== -1 ? mapillaryIndex : customModel.priority.length,
+    0,
+    ...penaltyRules
+  );
+
   return customModel;
 }
 
 /**
- * Get car access rule state from custom model
+ * Get the capture speed limit from custom model
  * @param {Object} customModel - Custom model to read from
- * @returns {boolean} True if restricted roads are allowed, false if blocked
+ * @returns {number|null} Limit in km/h, null if not set
  */
-export function getCarAccessRule(customModel) {
+export function getCaptureSpeedRule(customModel) {
   if (!customModel || !customModel.speed) {
-    return false; // Default: block restricted roads
+    return null;
   }
-  
-  const carAccessRule = customModel.speed.find(
-    r => r.if && (r.if.includes('road_access==DESTINATION') || 
-                  r.if.includes('road_access==PRIVATE') || 
-                  r.if.includes('road_access==NO'))
-  );
-  
-  // If rule exists, restricted roads are blocked (return false)
-  // If rule doesn't exist, restricted roads are allowed (return true)
-  return carAccessRule === undefined;
+  const capRule = customModel.speed.find(isSpeedCapRule);
+  return capRule ? capRule.limit_to : null;
 }
 
-// ============================================================================
-// UNPAVED ROADS RULE FUNCTIONS (for car_customizable profile)
-// ============================================================================
+function getCaptureSpeedFactor(maxCaptureSpeed, typicalSpeed) {
+  const factor = Math.pow(maxCaptureSpeed / typicalSpeed, CAPTURE_SPEED.PENALTY_EXPONENT);
+  return Math.max(CAPTURE_SPEED.MIN_FACTOR, Math.round(factor * 100) / 100);
+}
+
+// "road_class == X" with spaces - the default car model writes its road class rules as "road_class==X"
+function isCaptureSpeedPriorityRule(rule) {
+  const match = rule.if && /^road_class == ([A-Z_]+)$/.exec(rule.if);
+  return Boolean(match) && match[1] in CAPTURE_SPEED.ROAD_CLASS_SPEEDS && rule.multiply_by !== undefined;
+}
 
 /**
- * Update unpaved roads rule in custom model
- * Controls how strongly unpaved roads are avoided
+ * Update wheelchair constraints for foot_customizable (see WHEELCHAIR_RULES)
+ * Priority rules go before the Mapillary rule, the speed limit after the base speed rule
  * @param {Object} customModel - Custom model to update
- * @param {boolean} avoidUnpavedRoads - True = strongly avoid (0.2-0.3), false = slightly reduce (0.7-0.8, default)
+ * @param {boolean} wheelchair - True = add constraints, false = remove them (default)
  * @returns {Object} Updated custom model
  */
-export function updateUnpavedRoadsRule(customModel, avoidUnpavedRoads) {
-  if (!customModel || !customModel.priority) {
+export function updateWheelchairRule(customModel, wheelchair) {
+  if (!customModel || !customModel.priority || !customModel.speed) {
     return customModel;
   }
-  
-  // Surface type definitions (only valid GraphHopper Surface values)
-  const unpavedSurfaces = "surface==GRAVEL||surface==FINE_GRAVEL||surface==DIRT||surface==GROUND||surface==SAND";
-  const semiPavedSurfaces = "surface==PAVING_STONES||surface==COBBLESTONE||surface==COMPACTED";
-  const missingSurface = "surface==null";
-  
-  // Find existing rules
-  const unpavedRuleIndex = customModel.priority.findIndex(
-    r => r.if && (r.if.includes('GRAVEL') || r.if.includes('DIRT') || 
-                  r.if.includes('GROUND') || r.if.includes('SAND'))
+
+  customModel.priority = customModel.priority.filter(r => !isWheelchairRule(r, WHEELCHAIR_RULES.priority));
+  customModel.speed = customModel.speed.filter(r => !isWheelchairRule(r, WHEELCHAIR_RULES.speed));
+  if (!wheelchair) {
+    return customModel;
+  }
+
+  const mapillaryIndex = customModel.priority.findIndex(
+    r => r.if && r.if.includes('mapillary_coverage')
   );
-  const semiPavedRuleIndex = customModel.priority.findIndex(
-    r => r.if && (r.if.includes('PAVING_STONES') || 
-                  r.if.includes('COBBLESTONE') || r.if.includes('COMPACTED'))
+  customModel.priority.splice(
+    mapillaryIndex !== -1 ? mapillaryIndex : customModel.priority.length,
+    0,
+    ...clone(WHEELCHAIR_RULES.priority)
   );
-  const missingSurfaceRuleIndex = customModel.priority.findIndex(
-    r => r.if && r.if.includes('surface==null')
+  const baseIndex = customModel.speed.findIndex(
+    r => r.if === 'true' && r.limit_to === 'foot_average_speed'
   );
-  
-  if (avoidUnpavedRoads) {
-    // Strongly avoid unpaved roads
-    const newUnpavedRule = {"if": unpavedSurfaces, "multiply_by": 0.25};
-    if (unpavedRuleIndex !== -1) {
-      customModel.priority[unpavedRuleIndex] = newUnpavedRule;
-    } else {
-      const mapillaryIndex = customModel.priority.findIndex(
-        r => r.if && r.if.includes('mapillary_coverage')
-      );
-      if (mapillaryIndex !== -1) {
-        customModel.priority.splice(mapillaryIndex, 0, newUnpavedRule);
-      } else {
-        customModel.priority.push(newUnpavedRule);
-      }
-    }
-    
-    const newSemiPavedRule = {"if": semiPavedSurfaces, "multiply_by": 0.5};
-    if (semiPavedRuleIndex !== -1) {
-      customModel.priority[semiPavedRuleIndex] = newSemiPavedRule;
-    } else {
-      const unpavedIndex = customModel.priority.findIndex(
-        r => r.if && (r.if.includes('GRAVEL') || r.if.includes('DIRT'))
-      );
-      if (unpavedIndex !== -1) {
-        customModel.priority.splice(unpavedIndex + 1, 0, newSemiPavedRule);
-      } else {
-        customModel.priority.push(newSemiPavedRule);
-      }
-    }
-    
-    const newMissingSurfaceRule = {"if": missingSurface, "multiply_by": 0.3};
-    if (missingSurfaceRuleIndex !== -1) {
-      customModel.priority[missingSurfaceRuleIndex] = newMissingSurfaceRule;
-    } else {
-      const unpavedIndex = customModel.priority.findIndex(
-        r => r.if && (r.if.includes('GRAVEL') || r.if.includes('DIRT'))
-      );
-      if (unpavedIndex !== -1) {
-        customModel.priority.splice(unpavedIndex + 1, 0, newMissingSurfaceRule);
-      } else {
-        customModel.priority.push(newMissingSurfaceRule);
-      }
-    }
-  } else {
-    // Default: slightly reduce unpaved roads
-    if (unpavedRuleIndex !== -1) {
-      customModel.priority[unpavedRuleIndex] = {"if": unpavedSurfaces, "multiply_by": 0.7};
-    }
-    if (semiPavedRuleIndex !== -1) {
-      customModel.priority[semiPavedRuleIndex] = {"if": semiPavedSurfaces, "multiply_by": 0.8};
-    }
-    if (missingSurfaceRuleIndex !== -1) {
-      customModel.priority[missingSurfaceRuleIndex] = {"if": missingSurface, "multiply_by": 0.6};
-    }
-  }
-  
+  customModel.speed.splice(baseIndex + 1, 0, ...clone(WHEELCHAIR_RULES.speed));
+
   return customModel;
 }
 
 /**
- * Get unpaved roads rule state from custom model
+ * Get wheelchair constraint state from custom model
  * @param {Object} customModel - Custom model to read from
- * @returns {boolean} True if unpaved roads are strongly avoided, false if slightly reduced
+ * @returns {boolean} True if all wheelchair rules are present
  */
-export function getUnpavedRoadsRule(customModel) {
-  if (!customModel || !customModel.priority) {
-    return false; // Default: slightly reduce
-  }
-  
-  const unpavedRule = customModel.priority.find(
-    r => r.if && (r.if.includes('GRAVEL') || r.if.includes('DIRT') || 
-                  r.if.includes('GROUND') || r.if.includes('SAND'))
-  );
-  
-  if (unpavedRule && unpavedRule.multiply_by !== undefined) {
-    return unpavedRule.multiply_by <= 0.3;
+export function getWheelchairRule(customModel) {
+  if (!customModel || !customModel.priority || !customModel.speed) {
+    return false;
   }
-  
-  return false; // Default: slightly reduce
+  return WHEELCHAIR_RULES.priority.every(rule => customModel.priority.some(r => sameRule(r, rule))) &&
+    WHEELCHAIR_RULES.speed.every(rule => customModel.speed.some(r => sameRule(r, rule)));
 }
 
-// ============================================================================
-// AVOID PUSHING RULE FUNCTIONS (for bike_customizable profile)
-// ============================================================================
+// Matched by condition and operation, so edited factors are replaced as well
+// (the value type keeps "limit_to": "foot_average_speed" apart from the numeric wheelchair limit)
+function isWheelchairRule(rule, wheelchairRules) {
+  const operation = rule.multiply_by !== undefined ? 'multiply_by' : 'limit_to';
+  return wheelchairRules.some(r => r.if === rule.if &&
+    r[operation] !== undefined && typeof r[operation] === typeof rule[operation]);
+}
+
+function sameRule(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
 
 /**
- * Update avoid pushing rule in custom model
- * Controls whether routes that require pushing are blocked
- * - Blocks: road_class==FOOTWAY && bicycle_infra==NONE (via speed limit_to: 0)
- * - Strongly avoids: !bike_access && backward_bike_access (via priority multiply_by: 0.01)
+ * Apply a bike type preset (see BIKE_TYPE_PRESETS) to a bike custom model
+ * Replaces the mtb_rating limit, the surface rules (priority and speed), the average_slope chain
+ * (keeping its hill sensitivity scaling) and the speed cap. Mapillary, access and rule toggle rules are left untouched.
  * @param {Object} customModel - Custom model to update
- * @param {boolean} avoidPushing - True = completely block, false = slightly allow (default)
+ * @param {string} bikeType - Key of BIKE_TYPE_PRESETS
  * @returns {Object} Updated custom model
  */
-export function updateAvoidPushingRule(customModel, avoidPushing) {
-  if (!customModel || !customModel.priority || !customModel.speed) {
+export function updateBikeTypeRules(customModel, bikeType) {
+  const preset = BIKE_TYPE_PRESETS[bikeType];
+  if (!preset || !customModel || !customModel.priority || !customModel.speed) {
     return customModel;
   }
-  
-  // Find existing rules
-  const againstDirectionIndex = customModel.priority.findIndex(
-    r => r.if && r.if.includes('!bike_access && backward_bike_access')
+
+  // Allowed mtb_rating range
+  const mtbRule = { "if": `mtb_rating > ${preset.mtbMax}`, "multiply_by": 0 };
+  const mtbIndex = customModel.priority.findIndex(isMtbRatingRule);
+  if (mtbIndex !== -1) {
+    customModel.priority[mtbIndex] = mtbRule;
+  } else {
+    customModel.priority.splice(Math.min(1, customModel.priority.length), 0, mtbRule);
+  }
+
+  // Surface priority before the Mapillary rule (slider stays the last factor)
+  customModel.priority = customModel.priority.filter(r => !isSurfaceRule(r, 'priority'));
+  const mapillaryIndex = customModel.priority.findIndex(
+    r => r.if && r.if.includes('mapillary_coverage')
   );
-  const footwayNoInfraIndex = customModel.priority.findIndex(
-    r => r.if && r.if.includes('road_class == FOOTWAY') && r.if.includes('bicycle_infra == NONE')
+  customModel.priority.splice(
+    mapillaryIndex !== -1 ? mapillaryIndex : customModel.priority.length,
+    0,
+    ...clone(preset.prioritySurface)
   );
-  const footwayNoInfraSpeedIndex = customModel.speed.findIndex(
-    r => r.if && r.if.includes('road_class == FOOTWAY') && r.if.includes('bicycle_infra == NONE')
+
+  // Slope chain at its old position (default: after the steps rule), scaled by the current hill sensitivity
+  const slopeMatch = matchSlopeRules(customModel.speed.filter(isSlopeRule));
+  const hillSensitivity = slopeMatch ? slopeMatch.hillSensitivity : 'normal';
+  replaceSlopeRules(customModel, buildSlopeRules(scaleSlope(preset.slope, hillSensitivity)));
+
+  // Surface speed before the access rule
+  customModel.speed = customModel.speed.filter(r => !isSurfaceRule(r, 'speed'));
+  const bikeAccessIndex = customModel.speed.findIndex(
+    r => r.if && r.if.includes('bike_access==false')
   );
-  
-  if (avoidPushing) {
-    // Strongly avoid routes that require pushing (gegen Einbahn/Fußwege) - priority only
-    if (againstDirectionIndex !== -1) {
-      customModel.priority[againstDirectionIndex] = {
-        "if": "!bike_access && backward_bike_access && !roundabout",
-        "multiply_by": 0.01
-      };
-    }
-    
-    // Completely block footways without bicycle infrastructure - use speed section with limit_to: 0
-    if (footwayNoInfraSpeedIndex !== -1) {
-      customModel.speed[footwayNoInfraSpeedIndex] = {
-        "if": "road_class == FOOTWAY && bicycle_infra == NONE",
-        "limit_to": 0
-      };
-    } else {
-      const bikeAccessIndex = customModel.speed.findIndex(
-        r => r.if && r.if.includes('bike_access==false')
-      );
-      if (bikeAccessIndex !== -1) {
-        customModel.speed.splice(bikeAccessIndex + 1, 0, {
-          "if": "road_class == FOOTWAY && bicycle_infra == NONE",
-          "limit_to": 0
-        });
-      } else {
-        customModel.speed.unshift({
-          "if": "road_class == FOOTWAY && bicycle_infra == NONE",
-          "limit_to": 0
-        });
-      }
-    }
-    
-    // Remove priority rule for footways (speed rule is sufficient for blocking)
-    if (footwayNoInfraIndex !== -1) {
-      customModel.priority.splice(footwayNoInfraIndex, 1);
-    }
-  } else {
-    // Default: slightly allow (but still reduce priority)
-    if (againstDirectionIndex !== -1) {
-      customModel.priority[againstDirectionIndex] = {
-        "if": "!bike_access && backward_bike_access && !roundabout",
-        "multiply_by": 0.2
-      };
-    }
-    
-    // Remove speed rule to allow footways without bicycle infrastructure
-    if (footwayNoInfraSpeedIndex !== -1) {
-      customModel.speed.splice(footwayNoInfraSpeedIndex, 1);
-    }
-    
-    // Add priority rule back (slightly reduce priority, but don't block)
-    if (footwayNoInfraIndex === -1) {
-      const mapillaryIndex = customModel.priority.findIndex(
-        r => r.if && r.if.includes('mapillary_coverage')
-      );
-      const insertPosition = mapillaryIndex !== -1 ? mapillaryIndex : customModel.priority.length;
-      customModel.priority.splice(insertPosition, 0, {
-        "if": "road_class == FOOTWAY && bicycle_infra == NONE",
-        "multiply_by": 0.2
-      });
-    } else {
-      customModel.priority[footwayNoInfraIndex] = {
-        "if": "road_class == FOOTWAY && bicycle_infra == NONE",
-        "multiply_by": 0.2
-      };
-    }
+  customModel.speed.splice(
+    bikeAccessIndex !== -1 ? bikeAccessIndex : customModel.speed.length,
+    0,
+    ...clone(preset.speedSurface)
+  );
+
+  // Speed cap right after the bike_average_speed base rule
+  customModel.speed = customModel.speed.filter(r => !isSpeedCapRule(r));
+  if (preset.maxSpeed !== null) {
+    const baseIndex = customModel.speed.findIndex(
+      r => r.if === 'true' && r.limit_to === 'bike_average_speed'
+    );
+    customModel.speed.splice(baseIndex + 1, 0, { "if": "true", "limit_to": preset.maxSpeed });
   }
-  
+
   return customModel;
 }
 
 /**
- * Get avoid pushing rule state from custom model
+ * Get the bike type whose preset rules the custom model contains
  * @param {Object} customModel - Custom model to read from
- * @returns {boolean} True if pushing is strongly avoided, false if slightly allowed
+ * @returns {string|null} Key of BIKE_TYPE_PRESETS, null if the rules were changed by hand
  */
-export function getAvoidPushingRule(customModel) {
-  if (!customModel || !customModel.priority) {
-    return false; // Default: slightly allow
+export function getBikeType(customModel) {
+  if (!customModel || !customModel.priority || !customModel.speed) {
+    return null;
   }
-  
-  const againstDirectionRule = customModel.priority.find(
-    r => r.if && r.if.includes('!bike_access && backward_bike_access')
-  );
-  const footwayNoInfraRule = customModel.priority.find(
-    r => r.if && r.if.includes('road_class == FOOTWAY') && r.if.includes('bicycle_infra == NONE')
+
+  // The slope chain may be scaled by the hill sensitivity
+  const slopeMatch = matchSlopeRules(customModel.speed.filter(isSlopeRule));
+  if (!slopeMatch) {
+    return null;
+  }
+
+  const current = JSON.stringify({
+    mtb: customModel.priority.filter(isMtbRatingRule),
+    prioritySurface: customModel.priority.filter(r => isSurfaceRule(r, 'priority')),
+    speedSurface: customModel.speed.filter(r => isSurfaceRule(r, 'speed')),
+    cap: customModel.speed.filter(isSpeedCapRule)
+  });
+
+  const match = Object.entries(BIKE_TYPE_PRESETS).find(([bikeType, preset]) => bikeType === slopeMatch.bikeType && JSON.stringify({
+    mtb: [{ "if": `mtb_rating > ${preset.mtbMax}`, "multiply_by": 0 }],
+    prioritySurface: preset.prioritySurface,
+    speedSurface: preset.speedSurface,
+    cap: preset.maxSpeed !== null ? [{ "if": "true", "limit_to": preset.maxSpeed }] : []
+  }) === current);
+
+  return match ? match[0] : null;
+}
+
+/**
+ * Apply a hill sensitivity level (see HILL_SENSITIVITY_PRESETS) to a bike custom model
+ * Rescales the uphill factors of the bike type's average_slope chain and replaces the steep
+ * climb penalties (priority, before the Mapillary rule). A slope chain changed by hand is left untouched.
+ * @param {Object} customModel - Custom model to update
+ * @param {string} hillSensitivity - Key of HILL_SENSITIVITY_PRESETS
+ * @returns {Object} Updated custom model
+ */
+export function updateHillSensitivityRules(customModel, hillSensitivity) {
+  const level = HILL_SENSITIVITY_PRESETS[hillSensitivity];
+  if (!level || !customModel || !customModel.priority || !customModel.speed) {
+    return customModel;
+  }
+
+  const slopeMatch = matchSlopeRules(customModel.speed.filter(isSlopeRule));
+  if (slopeMatch) {
+    const preset = BIKE_TYPE_PRESETS[slopeMatch.bikeType];
+    replaceSlopeRules(customModel, buildSlopeRules(scaleSlope(preset.slope, hillSensitivity)));
+  }
+
+  customModel.priority = customModel.priority.filter(r => !isSteepPenaltyRule(r));
+  const mapillaryIndex = customModel.priority.findIndex(
+    r => r.if && r.if.includes('mapillary_coverage')
   );
-  
-  const againstDirectionStronglyAvoided = againstDirectionRule && 
-    againstDirectionRule.multiply_by !== undefined && 
-    againstDirectionRule.multiply_by <= 0.01;
-  const footwayNoInfraStronglyAvoided = footwayNoInfraRule && 
-    footwayNoInfraRule.multiply_by !== undefined && 
-    footwayNoInfraRule.multiply_by <= 0.01;
-  
-  // Also check if speed rule exists (which means pushing is blocked)
-  const footwayNoInfraSpeedRule = customModel.speed && customModel.speed.find(
-    r => r.if && r.if.includes('road_class == FOOTWAY') && r.if.includes('bicycle_infra == NONE')
+  customModel.priority.splice(
+    mapillaryIndex !== -1 ? mapillaryIndex : customModel.priority.length,
+    0,
+    ...buildSlopeRules(level.steepPenalty)
   );
-  
-  return againstDirectionStronglyAvoided || footwayNoInfraStronglyAvoided || !!footwayNoInfraSpeedRule;
+
+  return customModel;
+}
+
+/**
+ * Get the hill sensitivity level whose rules the custom model contains
+ * @param {Object} customModel - Custom model to read from
+ * @returns {string|null} Key of HILL_SENSITIVITY_PRESETS, null if the rules were changed by hand
+ */
+export function getHillSensitivity(customModel) {
+  if (!customModel || !customModel.priority || !customModel.speed) {
+    return null;
+  }
+
+  const slopeMatch = matchSlopeRules(customModel.speed.filter(isSlopeRule));
+  if (!slopeMatch) {
+    return null;
+  }
+  const penalty = JSON.stringify(customModel.priority.filter(isSteepPenaltyRule));
+  const expected = JSON.stringify(buildSlopeRules(HILL_SENSITIVITY_PRESETS[slopeMatch.hillSensitivity].steepPenalty));
+  return penalty === expected ? slopeMatch.hillSensitivity : null;
+}
+
+// Bike type and hill sensitivity whose (scaled) slope chain equals the given rules, null if changed by hand
+function matchSlopeRules(slopeRules) {
+  const current = JSON.stringify(slopeRules);
+  for (const [bikeType, preset] of Object.entries(BIKE_TYPE_PRESETS)) {
+    for (const hillSensitivity of Object.keys(HILL_SENSITIVITY_PRESETS)) {
+      if (JSON.stringify(buildSlopeRules(scaleSlope(preset.slope, hillSensitivity))) === current) {
+        return { bikeType, hillSensitivity };
+      }
+    }
+  }
+  return null;
+}
+
+// Only climbs are rescaled - descents keep the bike type's factors
+function scaleSlope(slope, hillSensitivity) {
+  const { exponent } = HILL_SENSITIVITY_PRESETS[hillSensitivity];
+  if (exponent === 1) return slope;
+  return slope.map(([condition, factor]) => [
+    condition,
+    condition.startsWith('>=') ? Math.round(Math.pow(factor, exponent) * 100) / 100 : factor
+  ]);
+}
+
+// Slope chain at its old position (default: after the steps rule)
+function replaceSlopeRules(customModel, slopeRules) {
+  let slopeIndex = customModel.speed.findIndex(isSlopeRule);
+  customModel.speed = customModel.speed.filter(r => !isSlopeRule(r));
+  if (slopeIndex === -1) {
+    const stepsIndex = customModel.speed.findIndex(r => r.if && r.if.includes('road_class == STEPS'));
+    slopeIndex = stepsIndex !== -1 ? stepsIndex + 1 : customModel.speed.length;
+  }
+  customModel.speed.splice(slopeIndex, 0, ...slopeRules);
+}
+
+function buildSlopeRules(slope) {
+  return slope.map(([condition, factor], index) => ({
+    [index === 0 ? 'if' : 'else_if']: `average_slope ${condition}`,
+    "multiply_by": factor
+  }));
+}
+
+function isMtbRatingRule(rule) {
+  return Boolean(rule.if) && rule.if.startsWith('mtb_rating >') && rule.multiply_by === 0;
+}
+
+// Surface rules of rule toggles (e.g. avoid cobblestone) aren't part of the preset
+function isSurfaceRule(rule, section) {
+  return Boolean(rule.if) && rule.if.startsWith('surface ==') && !isRuleToggleRule(rule, section);
+}
+
+function isSlopeRule(rule) {
+  const condition = rule.if || rule.else_if;
+  return Boolean(condition) && condition.startsWith('average_slope');
+}
+
+// Priority rules on average_slope only come from the hill sensitivity
+function isSteepPenaltyRule(rule) {
+  return isSlopeRule(rule) && rule.multiply_by !== undefined;
+}
+
+function isSpeedCapRule(rule) {
+  return rule.if === 'true' && typeof rule.limit_to === 'number';
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
 }
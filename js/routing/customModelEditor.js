@@ -0,0 +1,284 @@
+// Custom model editor: full JSON of routeState.customModel with highlighting, validation,
+// diff against the profile default and reset - valid edits are applied and recalculated live
+
+import { routeState } from './routeState.js';
+import {
+  supportsCustomModel,
+  ensureCustomModel,
+  validateCustomModel,
+  getMapillaryPriority
+} from './customModel.js';
+import { recalculateRouteIfReady } from './routeRecalculator.js';
+import { syncProfileTogglesFromCustomModel } from './profileToggles.js';
+import { updateCustomModelLint } from './customModelLinter.js';
+import { ROUTE_CALCULATION, UI_IDS } from '../utils/constants.js';
+
+let editorHandlersRegistered = false;
+let isEditorOpen = false;
+let isDiffVisible = false;
+let applyTimeout = null;
+
+/**
+ * Register the editor handlers (once)
+ */
+export function setupCustomModelEditor() {
+  if (editorHandlersRegistered) return;
+  editorHandlersRegistered = true;
+
+  const toggle = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_TOGGLE);
+  const editorBody = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_BODY);
+  const textarea = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_INPUT);
+  const highlight = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_HIGHLIGHT);
+  const resetBtn = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_RESET);
+  const diffBtn = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_DIFF_BTN);
+  if (!toggle || !editorBody || !textarea || !highlight) return;
+
+  toggle.addEventListener('click', () => {
+    isEditorOpen = !isEditorOpen;
+    toggle.classList.toggle('expanded', isEditorOpen);
+    editorBody.style.display = isEditorOpen ? 'block' : 'none';
+    if (isEditorOpen) {
+      refreshCustomModelEditor();
+    }
+    // Panel height changed
+    window.dispatchEvent(new CustomEvent('routingPanelToggled'));
+  });
+
+  textarea.addEventListener('input', () => {
+    updateHighlight(textarea.value);
+    // Apply after a short pause so every keystroke doesn't start a request
+    clearTimeout(applyTimeout);
+    applyTimeout = setTimeout(() => applyEditorText(textarea.value), ROUTE_CALCULATION.DEBOUNCE_DELAY);
+  });
+
+  textarea.addEventListener('scroll', () => {
+    highlight.scrollTop = textarea.scrollTop;
+    highlight.scrollLeft = textarea.scrollLeft;
+  });
+
+  // Tab inserts spaces instead of leaving the editor
+  textarea.addEventListener('keydown', (e) => {
+    if (e.key !== 'Tab') return;
+    e.preventDefault();
+    textarea.setRangeText('  ', textarea.selectionStart, textarea.selectionEnd, 'end');
+    textarea.dispatchEvent(new Event('input'));
+  });
+
+  if (resetBtn) {
+    resetBtn.addEventListener('click', resetCustomModelToDefault);
+  }
+
+  if (diffBtn) {
+    diffBtn.addEventListener('click', () => {
+      isDiffVisible = !isDiffVisible;
+      diffBtn.classList.toggle('active', isDiffVisible);
+      updateDiff();
+    });
+  }
+
+  // Slider, switches and profile buttons change the model - show their result unless the user is typing
+  const sliderContainer = document.getElementById('customizable-slider-container');
+  if (sliderContainer) {
+    ['input', 'change'].forEach(eventName => {
+      sliderContainer.addEventListener(eventName, (e) => {
+        if (e.target.closest('.custom-model-editor')) return;
+        setTimeout(refreshCustomModelEditor, 0);
+      });
+    });
+  }
+  const profileSelector = document.querySelector('.profile-selector');
+  if (profileSelector) {
+    profileSelector.addEventListener('click', () => setTimeout(refreshCustomModelEditor, 0));
+  }
+  window.addEventListener('customModelChanged', refreshCustomModelEditor);
+}
+
+/**
+ * Show the current routeState.customModel in the editor (skipped while the editor has focus)
+ */
+export function refreshCustomModelEditor() {
+  const textarea = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_INPUT);
+  if (!isEditorOpen || !textarea || document.activeElement === textarea) return;
+
+  const text = routeState.customModel ? formatCustomModel(routeState.customModel) : '';
+  textarea.value = text;
+  updateHighlight(text);
+  showValidation([]);
+  updateDiff();
+}
+
+// ============================================================================
+// APPLY / RESET
+// ============================================================================
+
+function applyEditorText(text) {
+  if (!supportsCustomModel(routeState.selectedProfile)) return;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    showValidation([`JSON-Fehler: ${error.message}`]);
+    return;
+  }
+
+  const errors = validateCustomModel(parsed);
+  showValidation(errors);
+  if (errors.length > 0) return;
+
+  routeState.customModel = parsed;
+  syncControlsFromCustomModel();
+  updateDiff();
+  // Lint right away - without route points no request (and no lint before it) follows
+  import('./routing.js').then(({ buildRequestCustomModel }) => {
+    updateCustomModelLint(buildRequestCustomModel(routeState.customModel));
+  });
+  window.dispatchEvent(new CustomEvent('customModelChanged'));
+  recalculateRouteIfReady();
+}
+
+function resetCustomModelToDefault() {
+  if (!supportsCustomModel(routeState.selectedProfile)) return;
+
+  routeState.customModel = ensureCustomModel(null, routeState.selectedProfile);
+  syncControlsFromCustomModel();
+
+  const textarea = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_INPUT);
+  if (textarea) {
+    // Not focused while clicking the button, but make sure the refresh isn't skipped
+    textarea.blur();
+  }
+  refreshCustomModelEditor();
+  window.dispatchEvent(new CustomEvent('customModelChanged'));
+  recalculateRouteIfReady();
+}
+
+/**
+ * Derive the switch flags and the slider from routeState.customModel
+ * The switches are applied to the model before every request, so they must match a model
+ * that was replaced as a whole (editor, presets)
+ */
+export function syncControlsFromCustomModel() {
+  // null (e.g. hand-edited bike type rules) shows "Angepasst"
+  syncProfileTogglesFromCustomModel();
+
+  const weight = getMapillaryPriority(routeState.customModel);
+  if (weight !== null && window.setMapillarySliderValue) {
+    window.setMapillarySliderValue(weight);
+  }
+}
+
+// ============================================================================
+// FORMATTING AND HIGHLIGHTING
+// ============================================================================
+
+// One rule per line, so the diff shows changed rules instead of changed brackets
+function formatCustomModel(model) {
+  const entries = Object.entries(model).map(([key, value]) => {
+    if (Array.isArray(value)) {
+      const items = value.map(item => `    ${JSON.stringify(item)}`).join(',\n');
+      return `  ${JSON.stringify(key)}: [\n${items}\n  ]`;
+    }
+    return `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+  });
+  return `{\n${entries.join(',\n')}\n}`;
+}
+
+function updateHighlight(text) {
+  const highlight = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_HIGHLIGHT);
+  if (!highlight) return;
+  // Trailing newline keeps the last line visible when the textarea ends with an empty line
+  highlight.innerHTML = `${highlightJSON(text)}\n`;
+}
+
+function highlightJSON(text) {
+  const tokenPattern = /("(?:\\.|[^"\\])*")(\s*:)?|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|\b(true|false|null)\b/g;
+  let html = '';
+  let lastIndex = 0;
+  let match;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    html += escapeHtml(text.slice(lastIndex, match.index));
+    if (match[1] !== undefined) {
+      const className = match[2] !== undefined ? 'json-key' : 'json-string';
+      html += `<span class="${className}">${escapeHtml(match[1])}</span>${match[2] ? escapeHtml(match[2]) : ''}`;
+    } else if (match[3] !== undefined) {
+      html += `<span class="json-number">${match[3]}</span>`;
+    } else {
+      html += `<span class="json-literal">${match[4]}</span>`;
+    }
+    lastIndex = tokenPattern.lastIndex;
+  }
+  return html + escapeHtml(text.slice(lastIndex));
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ============================================================================
+// VALIDATION AND DIFF
+// ============================================================================
+
+function showValidation(errors) {
+  const container = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_ERRORS);
+  if (!container) return;
+
+  container.classList.toggle('valid', errors.length === 0);
+  container.innerHTML = errors.length === 0
+    ? 'Gültig'
+    : errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+}
+
+function updateDiff() {
+  const container = document.getElementById(UI_IDS.CUSTOM_MODEL_EDITOR_DIFF);
+  if (!container) return;
+
+  if (!isDiffVisible || !routeState.customModel || !supportsCustomModel(routeState.selectedProfile)) {
+    container.style.display = 'none';
+    return;
+  }
+
+  const defaultLines = formatCustomModel(routeState.defaultCustomModel).split('\n');
+  const currentLines = formatCustomModel(routeState.customModel).split('\n');
+  const diff = diffLines(defaultLines, currentLines);
+  const changes = diff.filter(line => line.type !== 'same');
+
+  container.style.display = 'block';
+  if (changes.length === 0) {
+    container.innerHTML = '<div class="diff-empty">Keine Abweichung vom Standard</div>';
+    return;
+  }
+  container.innerHTML = changes
+    .map(line => `<div class="diff-line diff-${line.type}">${line.type === 'added' ? '+' : '−'} ${escapeHtml(line.text.trim())}</div>`)
+    .join('');
+}
+
+// Line diff via longest common subsequence (models are ~100 lines)
+function diffLines(oldLines, newLines) {
+  const lcs = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'same', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: oldLines[i++] });
+    } else {
+      result.push({ type: 'added', text: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) result.push({ type: 'removed', text: oldLines[i++] });
+  while (j < newLines.length) result.push({ type: 'added', text: newLines[j++] });
+  return result;
+}
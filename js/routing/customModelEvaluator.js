@@ -0,0 +1,230 @@
+// Client-side evaluator for custom model priority/speed rules
+// Replays the rules on the encoded values of one route segment to explain which rules applied.
+// Values that are not part of the route details are unknown - rules depending on them are reported as such
+
+import { parseCustomModelExpression } from './customModelLinter.js';
+
+const UNKNOWN = null;
+
+/**
+ * Collect the encoded values of one route segment
+ * @param {Object} encodedValues - Per-coordinate encoded values (see extractEncodedValues)
+ * @param {number} index - Segment start index
+ * @returns {Object} Values by encoded value name (only names present in the route details)
+ */
+export function getSegmentValues(encodedValues, index) {
+  const values = {};
+  Object.entries(encodedValues || {}).forEach(([key, array]) => {
+    if (Array.isArray(array) && index < array.length) {
+      values[key] = array[index];
+    }
+  });
+  return values;
+}
+
+/**
+ * Evaluate the priority and speed rules of a custom model for one segment
+ * Priority starts at 1. Speed starts at the (unknown) base speed of the profile, so it is described
+ * as factor (product of multiply_by) and limit (smallest limit_to, scaled by later multiply_by).
+ * @param {Object} customModel - Custom model as sent with the request (incl. areas)
+ * @param {Object} values - Segment values (see getSegmentValues)
+ * @param {Array<number>} point - Segment midpoint [lng, lat] (for in_<area> conditions)
+ * @returns {Object} {priority: {value, steps}, speed: {factor, limit, steps}, uncertain}
+ *   steps: [{index, rule, status: 'applied'|'not_matched'|'unknown'|'skipped', before, after, missing}]
+ *   (missing: names of the values an unknown rule depends on)
+ */
+export function evaluateCustomModel(customModel, values, point) {
+  const context = { values, point, areas: customModel && customModel.areas ? customModel.areas.features : [] };
+
+  let priority = 1;
+  const prioritySteps = evaluateRules(customModel ? customModel.priority : null, context, (operation, value) => {
+    const before = priority;
+    priority = operation === 'multiply_by' ? priority * value : Math.min(priority, value);
+    return { before, after: priority };
+  });
+
+  let factor = 1;
+  let limit = null;
+  const speedSteps = evaluateRules(customModel ? customModel.speed : null, context, (operation, value) => {
+    const before = { factor, limit };
+    if (operation === 'multiply_by') {
+      factor *= value;
+      limit = limit === null ? null : limit * value;
+    } else {
+      limit = limit === null ? value : Math.min(limit, value);
+    }
+    return { before, after: { factor, limit } };
+  });
+
+  return {
+    priority: { value: priority, steps: prioritySteps },
+    speed: { factor, limit, steps: speedSteps },
+    uncertain: [...prioritySteps, ...speedSteps].some(step => step.status === 'unknown')
+  };
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+// Apply the rules in order; in an if/else_if/else chain only the first matching branch applies
+function evaluateRules(rules, context, apply) {
+  if (!Array.isArray(rules)) return [];
+
+  let chainMatched = false;
+  return rules.map((rule, index) => {
+    const conditionKey = ['if', 'else_if', 'else'].find(key => rule[key] !== undefined);
+    const operation = rule.multiply_by !== undefined ? 'multiply_by' : 'limit_to';
+    if (conditionKey === 'if') {
+      chainMatched = false;
+    }
+
+    if (conditionKey !== 'if' && chainMatched) {
+      return { index, rule, status: 'skipped' };
+    }
+
+    const missing = new Set();
+    const matches = conditionKey === 'else' ? true : evaluateSafely(rule[conditionKey], context, missing);
+    if (matches === UNKNOWN) {
+      // Treated as not matching, later branches of the chain are still evaluated
+      return { index, rule, status: 'unknown', missing: Array.from(missing) };
+    }
+    if (!matches) {
+      return { index, rule, status: 'not_matched' };
+    }
+
+    chainMatched = true;
+    const value = typeof rule[operation] === 'number'
+      ? rule[operation]
+      : evaluateSafely(rule[operation], context, missing);
+    if (typeof value !== 'number' || isNaN(value)) {
+      return { index, rule, status: 'unknown', missing: Array.from(missing) };
+    }
+    return { index, rule, status: 'applied', value, ...apply(operation, value) };
+  });
+}
+
+function evaluateSafely(expression, context, missing) {
+  try {
+    return evaluateNode(parseCustomModelExpression(expression), { ...context, missing });
+  } catch (error) {
+    return UNKNOWN;
+  }
+}
+
+// ============================================================================
+// EXPRESSIONS (three-valued: true/false/number/string or UNKNOWN)
+// ============================================================================
+
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'or': {
+      const results = node.items.map(item => toBoolean(evaluateNode(item, context)));
+      if (results.includes(true)) return true;
+      return results.includes(UNKNOWN) ? UNKNOWN : false;
+    }
+    case 'and': {
+      const results = node.items.map(item => toBoolean(evaluateNode(item, context)));
+      if (results.includes(false)) return false;
+      return results.includes(UNKNOWN) ? UNKNOWN : true;
+    }
+    case 'not': {
+      const result = toBoolean(evaluateNode(node.item, context));
+      return result === UNKNOWN ? UNKNOWN : !result;
+    }
+    case 'cmp':
+      return compare(node.op, evaluateNode(node.left, context), evaluateNode(node.right, context));
+    case 'arith': {
+      const left = evaluateNode(node.left, context);
+      const right = evaluateNode(node.right, context);
+      if (typeof left !== 'number' || typeof right !== 'number') return UNKNOWN;
+      if (node.op === '+') return left + right;
+      if (node.op === '-') return left - right;
+      if (node.op === '*') return left * right;
+      return right === 0 ? UNKNOWN : left / right;
+    }
+    case 'neg': {
+      const value = evaluateNode(node.item, context);
+      return typeof value === 'number' ? -value : UNKNOWN;
+    }
+    case 'num':
+      return node.value;
+    default:
+      return resolveIdentifier(node.name, context);
+  }
+}
+
+function resolveIdentifier(name, { values, point, areas, missing }) {
+  if (name === 'true') return true;
+  if (name === 'false') return false;
+  // Enum constants are compared by name
+  if (/^[A-Z]/.test(name)) return { constant: name };
+  if (name === 'null') return { constant: null };
+
+  if (name.startsWith('in_')) {
+    const area = areas.find(feature => feature.id === name.substring(3));
+    return area && point ? isPointInGeometry(point, area.geometry) : UNKNOWN;
+  }
+
+  // Not requested as path detail (or direction dependent like backward_*)
+  if (!(name in values)) {
+    missing.add(name);
+    return UNKNOWN;
+  }
+  const value = values[name];
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value === null ? { constant: null } : value;
+}
+
+function compare(op, left, right) {
+  if (left === UNKNOWN || right === UNKNOWN) return UNKNOWN;
+
+  if (op === '==' || op === '!=') {
+    const equal = normalizeForEquality(left) === normalizeForEquality(right);
+    return op === '==' ? equal : !equal;
+  }
+  if (typeof left !== 'number' || typeof right !== 'number') return UNKNOWN;
+  if (op === '<') return left < right;
+  if (op === '<=') return left <= right;
+  if (op === '>') return left > right;
+  return left >= right;
+}
+
+// Path details return enum values in lower case (e.g. "primary"), custom models use PRIMARY
+function normalizeForEquality(value) {
+  if (value && typeof value === 'object' && 'constant' in value) {
+    return value.constant === null ? null : value.constant.toUpperCase();
+  }
+  return typeof value === 'string' ? value.toUpperCase() : value;
+}
+
+function toBoolean(value) {
+  if (value === UNKNOWN || typeof value === 'boolean') return value;
+  // Non-boolean values in a boolean position can't be judged
+  return UNKNOWN;
+}
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+
+function isPointInGeometry(point, geometry) {
+  if (!geometry) return false;
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(rings => isPointInRing(point, rings[0]) &&
+    !rings.slice(1).some(hole => isPointInRing(point, hole)));
+}
+
+// Ray casting
+function isPointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -0,0 +1,358 @@
+// Custom model linter: static checks for dead, conflicting or invalid rules
+// Checks expression syntax, encoded values and areas against the server, and rules that are shadowed
+// or unreachable - edited models and the rules of ruleToggles.js are combined into one request model,
+// which is checked before every route request
+
+import { validateCustomModel } from './customModel.js';
+import { getServerEncodedValues } from './serverInfo.js';
+import { UI_IDS } from '../utils/constants.js';
+
+const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+const LITERALS = ['true', 'false', 'null'];
+const TOKEN_PATTERN = /(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|&&|\|\||[<>!()+\-*/])/y;
+
+/**
+ * Check a custom model for invalid expressions, unknown encoded values and dead rules
+ * @param {Object} customModel - Custom model as sent to the server (including areas)
+ * @param {Object|null} encodedValues - {names, options} of the server (see getServerEncodedValues), null skips the name checks
+ * @returns {Array<Object>} Issues {severity: 'error'|'warning', section, index, message} (section/index null for the whole model)
+ */
+export function lintCustomModel(customModel, encodedValues = null) {
+  const structureErrors = validateCustomModel(customModel);
+  if (structureErrors.length > 0) {
+    // Rules can't be analysed reliably if the structure is broken
+    return structureErrors.map(message => ({ severity: 'error', section: null, index: null, message }));
+  }
+
+  const areaIds = customModel.areas ? customModel.areas.features.map(feature => feature.id) : [];
+  const issues = [];
+  ['priority', 'speed'].forEach(section => {
+    lintSection(section, customModel[section] || [], { areaIds, encodedValues })
+      .forEach(issue => issues.push({ ...issue, section }));
+  });
+  return issues;
+}
+
+/**
+ * Lint the request model with the encoded values of the active backend and show the result in the panel
+ * @param {Object|null} customModel - Custom model as sent to the server (null hides the warnings)
+ * @returns {Array<Object>} Issues (see lintCustomModel)
+ */
+export function updateCustomModelLint(customModel) {
+  const issues = customModel ? lintCustomModel(customModel, getServerEncodedValues()) : [];
+  renderLintIssues(issues);
+  return issues;
+}
+
+// ============================================================================
+// RULE CHECKS
+// ============================================================================
+
+function lintSection(section, rules, context) {
+  const issues = [];
+  // Standalone if rules that set priority/speed to 0 - later rules for the same edges have no effect
+  const blockers = [];
+  // Conditions of the current if/else_if chain
+  let chain = [];
+  // Canonical conditions of standalone if rules
+  const ifConditions = [];
+
+  rules.forEach((rule, index) => {
+    const report = (severity, message) => issues.push({ severity, index, message });
+    const conditionKey = ['if', 'else_if', 'else'].find(key => rule[key] !== undefined);
+    const operationKey = rule.multiply_by !== undefined ? 'multiply_by' : 'limit_to';
+    const value = rule[operationKey];
+
+    if (operationKey === 'multiply_by' && typeof value === 'number' && value > 1) {
+      report('warning', `multiply_by ${value} ist größer als 1 (vom Server nicht erlaubt bzw. wirkungslos)`);
+    }
+
+    let condition = null;
+    if (conditionKey !== 'else') {
+      try {
+        condition = parseCustomModelExpression(rule[conditionKey]);
+        checkIdentifiers(condition, context).forEach(message => report('error', `${conditionKey}: ${message}`));
+      } catch (error) {
+        report('error', `${conditionKey}: ${error.message}`);
+      }
+    }
+    if (typeof value === 'string') {
+      try {
+        checkIdentifiers(parseCustomModelExpression(value), context).forEach(message => report('error', `${operationKey}: ${message}`));
+      } catch (error) {
+        report('error', `${operationKey}: ${error.message}`);
+      }
+    }
+
+    if (conditionKey === 'if') {
+      chain = [];
+    }
+    if (!condition) return;
+
+    const disjuncts = toDisjuncts(condition);
+    const blocker = blockers.find(b => implies(disjuncts, b.disjuncts));
+    if (blocker) {
+      report('warning', `wirkungslos: ${section}[${blocker.index}] setzt diese Kanten bereits auf 0`);
+    }
+
+    if (conditionKey === 'else_if') {
+      const covering = chain.find(c => implies(disjuncts, c.disjuncts));
+      if (covering) {
+        report('warning', `else_if wird nie erreicht: ${section}[${covering.index}] derselben Kette deckt die Bedingung ab`);
+      }
+    } else {
+      const canonical = serialize(condition);
+      // "true" is the usual base rule and may appear more than once; limit_to followed by
+      // multiply_by on the same condition can't be merged into one rule
+      const duplicate = canonical !== 'true' &&
+        ifConditions.find(c => c.canonical === canonical && c.operationKey === operationKey);
+      if (duplicate) {
+        report('warning', `doppelte Bedingung (wie ${section}[${duplicate.index}])`);
+      }
+      ifConditions.push({ index, canonical, operationKey });
+      if (value === 0) {
+        blockers.push({ index, disjuncts });
+      }
+    }
+    chain.push({ index, disjuncts });
+  });
+
+  return issues;
+}
+
+// Encoded values, area references and enum constants against the server's lists
+function checkIdentifiers(node, { areaIds, encodedValues }) {
+  const messages = new Set();
+  walk(node, current => {
+    if (current.type === 'id') {
+      const name = current.name;
+      if (LITERALS.includes(name) || /^[A-Z]/.test(name)) return;
+      if (name.startsWith('in_')) {
+        if (!areaIds.includes(name.substring(3))) {
+          messages.add(`unbekanntes Gebiet "${name.substring(3)}" (fehlt in areas)`);
+        }
+        return;
+      }
+      if (encodedValues && !isKnownEncodedValue(name, encodedValues.names)) {
+        messages.add(`unbekannter Encoded Value "${name}"`);
+      }
+    }
+
+    if (current.type === 'cmp' && (current.op === '==' || current.op === '!=') && encodedValues) {
+      const sides = [current.left, current.right].filter(side => side.type === 'id');
+      const field = sides.find(side => /^[a-z]/.test(side.name) && !LITERALS.includes(side.name));
+      const constant = sides.find(side => /^[A-Z]/.test(side.name));
+      const options = field ? encodedValues.options[field.name.replace(/^backward_/, '')] : null;
+      if (constant && isEnumOptionList(options) && !options.includes(constant.name)) {
+        messages.add(`"${constant.name}" ist kein Wert von ${field.name}`);
+      }
+    }
+  });
+  return Array.from(messages);
+}
+
+function isKnownEncodedValue(name, names) {
+  return names.includes(name) || (name.startsWith('backward_') && names.includes(name.substring(9)));
+}
+
+// Numeric encoded values are reported as ">number"/"<number", booleans as "true"/"false"
+function isEnumOptionList(options) {
+  return Array.isArray(options) && options.length > 0 &&
+    options.every(option => typeof option === 'string' && /^[A-Z0-9_]+$/.test(option));
+}
+
+// ============================================================================
+// IMPLICATION (shadowed and unreachable rules)
+// ============================================================================
+
+// Condition as top-level disjunction of conjunctions: a || (b && c) -> [['a'], ['b', 'c']]
+// "true" conjuncts are dropped, so "true" becomes [[]] (implied by everything)
+function toDisjuncts(node) {
+  const disjuncts = node.type === 'or' ? node.items : [node];
+  return disjuncts.map(disjunct => {
+    const conjuncts = disjunct.type === 'and' ? disjunct.items : [disjunct];
+    return conjuncts.map(serialize).filter(conjunct => conjunct !== 'true');
+  });
+}
+
+// Syntactic check: every disjunct of the condition contains all conjuncts of some disjunct of the other
+function implies(condition, other) {
+  return condition.every(conjuncts =>
+    other.some(otherConjuncts => otherConjuncts.every(c => conjuncts.includes(c))));
+}
+
+// ============================================================================
+// EXPRESSION PARSER
+// ============================================================================
+
+/**
+ * Parse a GraphHopper custom model expression (condition or value) into a syntax tree
+ * Nodes: or/and {items}, not/neg {item}, cmp/arith {op, left, right}, num {value}, id {name}
+ * @param {string} expression - Expression, e.g. "road_class == PRIMARY && !roundabout"
+ * @returns {Object} Syntax tree
+ * @throws {Error} Malformed expression (German message)
+ */
+export function parseCustomModelExpression(expression) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const peekOperator = (operators) => {
+    const token = tokens[pos];
+    return token && token.type === 'operator' && operators.includes(token.value) ? token.value : null;
+  };
+  const combine = (type, items) => {
+    if (items.length === 1) return items[0];
+    return { type, items: items.flatMap(item => (item.type === type ? item.items : [item])) };
+  };
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (peekOperator(['||'])) {
+      pos++;
+      items.push(parseAnd());
+    }
+    return combine('or', items);
+  };
+  const parseAnd = () => {
+    const items = [parseNot()];
+    while (peekOperator(['&&'])) {
+      pos++;
+      items.push(parseNot());
+    }
+    return combine('and', items);
+  };
+  const parseNot = () => {
+    if (peekOperator(['!'])) {
+      pos++;
+      return { type: 'not', item: parseNot() };
+    }
+    return parseComparison();
+  };
+  const parseComparison = () => {
+    const left = parseArithmetic(['+', '-'], parseProduct);
+    const op = peekOperator(COMPARISON_OPERATORS);
+    if (!op) return left;
+    pos++;
+    return { type: 'cmp', op, left, right: parseArithmetic(['+', '-'], parseProduct) };
+  };
+  const parseArithmetic = (operators, parseOperand) => {
+    let left = parseOperand();
+    let op;
+    while ((op = peekOperator(operators))) {
+      pos++;
+      left = { type: 'arith', op, left, right: parseOperand() };
+    }
+    return left;
+  };
+  const parseProduct = () => parseArithmetic(['*', '/'], parseAtom);
+  const parseAtom = () => {
+    const token = tokens[pos++];
+    if (!token) {
+      throw new Error('Ausdruck endet unerwartet');
+    }
+    if (token.type === 'number') return { type: 'num', value: Number(token.value) };
+    if (token.type === 'identifier') return { type: 'id', name: token.value };
+    if (token.value === '-') return { type: 'neg', item: parseAtom() };
+    if (token.value === '(') {
+      const node = parseOr();
+      if (!peekOperator([')'])) {
+        throw new Error('schließende Klammer fehlt');
+      }
+      pos++;
+      return node;
+    }
+    throw new Error(`unerwartetes "${token.value}"`);
+  };
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`unerwartetes "${tokens[pos].value}"`);
+  }
+  return ast;
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < expression.length) {
+    if (/\s/.test(expression[pos])) {
+      pos++;
+      continue;
+    }
+    TOKEN_PATTERN.lastIndex = pos;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      const char = expression[pos];
+      if (char === '=' || char === '&' || char === '|') {
+        throw new Error(`"${char}" an Position ${pos + 1} - gemeint ist "${char}${char}"?`);
+      }
+      throw new Error(`unerwartetes Zeichen "${char}" an Position ${pos + 1}`);
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: match[1] });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'identifier', value: match[2] });
+    } else {
+      tokens.push({ type: 'operator', value: match[3] });
+    }
+    pos = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+}
+
+// Canonical form of a parsed expression (whitespace and redundant parentheses removed)
+function serialize(node) {
+  const wrap = (child) => (['or', 'and', 'cmp'].includes(child.type) ? `(${serialize(child)})` : serialize(child));
+  switch (node.type) {
+    case 'or': return node.items.map(wrap).join(' || ');
+    case 'and': return node.items.map(wrap).join(' && ');
+    case 'not': return `!${wrap(node.item)}`;
+    case 'cmp': return `${serialize(node.left)} ${node.op} ${serialize(node.right)}`;
+    case 'arith': return `(${serialize(node.left)} ${node.op} ${serialize(node.right)})`;
+    case 'neg': return `-${serialize(node.item)}`;
+    case 'num': return String(node.value);
+    default: return node.name;
+  }
+}
+
+function walk(node, visit) {
+  visit(node);
+  if (node.items) node.items.forEach(item => walk(item, visit));
+  if (node.item) walk(node.item, visit);
+  if (node.left) walk(node.left, visit);
+  if (node.right) walk(node.right, visit);
+}
+
+// ============================================================================
+// UI
+// ============================================================================
+
+function renderLintIssues(issues) {
+  const container = document.getElementById(UI_IDS.CUSTOM_MODEL_LINT);
+  if (!container) return;
+
+  if (issues.length === 0) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const title = errorCount > 0
+    ? `Custom Model: ${errorCount} Fehler, ${issues.length - errorCount} Warnung(en)`
+    : `Custom Model: ${issues.length} Warnung(en)`;
+
+  container.innerHTML = '';
+  const header = document.createElement('div');
+  header.className = 'custom-model-lint-title';
+  header.textContent = title;
+  container.appendChild(header);
+
+  issues.forEach(issue => {
+    const item = document.createElement('div');
+    item.className = `custom-model-lint-item lint-${issue.severity}`;
+    item.textContent = issue.section ? `${issue.section}[${issue.index}]: ${issue.message}` : issue.message;
+    container.appendChild(item);
+  });
+  container.style.display = 'block';
+}
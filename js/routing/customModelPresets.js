@@ -0,0 +1,318 @@
+// Named custom model presets (e.g. "city capture car", "gravel bike recon")
+// Stored in localStorage, switchable from the profile header, shareable as JSON files
+
+import { routeState } from './routeState.js';
+import {
+  supportsCustomModel,
+  ensureCustomModel,
+  isDefaultCustomModel,
+  validateCustomModel
+} from './customModel.js';
+import { refreshCustomModelEditor, syncControlsFromCustomModel } from './customModelEditor.js';
+import { recalculateRouteIfReady } from './routeRecalculator.js';
+import { getActiveBackend } from './backends/backendRegistry.js';
+import { UI_IDS } from '../utils/constants.js';
+
+const STORAGE_KEY = 'custom-model-presets';
+const DEFAULT_OPTION_VALUE = '';
+const MODIFIED_OPTION_VALUE = '__modified__';
+
+let presetHandlersRegistered = false;
+
+/**
+ * Register the preset handlers (once) and fill the header select
+ */
+export function setupCustomModelPresets() {
+  if (presetHandlersRegistered) return;
+  presetHandlersRegistered = true;
+
+  const select = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_SELECT);
+  const nameInput = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_NAME);
+  const saveBtn = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_SAVE);
+  const deleteBtn = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_DELETE);
+  const exportBtn = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_EXPORT);
+  const importBtn = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_IMPORT);
+  const fileInput = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_INPUT);
+
+  if (select) {
+    select.addEventListener('change', () => {
+      if (select.value === DEFAULT_OPTION_VALUE) {
+        applyDefaultModel();
+      } else if (select.value !== MODIFIED_OPTION_VALUE) {
+        applyPreset(select.value);
+      }
+    });
+  }
+
+  if (saveBtn && nameInput) {
+    const save = () => {
+      if (saveCurrentAsPreset(nameInput.value)) {
+        nameInput.value = '';
+      }
+    };
+    saveBtn.addEventListener('click', save);
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') save();
+    });
+  }
+
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', deleteActivePreset);
+  }
+
+  if (exportBtn) {
+    exportBtn.addEventListener('click', exportPresets);
+  }
+
+  if (importBtn && fileInput) {
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      await importPresetFiles(Array.from(fileInput.files || []));
+      // Allow loading the same file again
+      fileInput.value = '';
+    });
+  }
+
+  // Slider, switches, editor and profile buttons change the model - keep the header select in sync
+  const sliderContainer = document.getElementById('customizable-slider-container');
+  if (sliderContainer) {
+    sliderContainer.addEventListener('change', () => setTimeout(updatePresetSelect, 0));
+  }
+  const profileSelector = document.querySelector('.profile-selector');
+  if (profileSelector) {
+    profileSelector.addEventListener('click', () => setTimeout(updatePresetSelect, 0));
+  }
+  window.addEventListener('customModelChanged', updatePresetSelect);
+  window.addEventListener('routingBackendChanged', () => setTimeout(updatePresetSelect, 0));
+
+  updatePresetSelect();
+}
+
+/**
+ * Rebuild the header select and mark the preset that matches the current model
+ * Shows "Standard" for the profile default and "Angepasst" for unsaved changes
+ */
+export function updatePresetSelect() {
+  const select = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_SELECT);
+  if (!select) return;
+
+  const profile = routeState.selectedProfile;
+  if (!supportsCustomModel(profile) || !getActiveBackend().capabilities.customModel) {
+    select.style.display = 'none';
+    return;
+  }
+
+  // No model yet means the profile default (set on the first route request)
+  const customModel = ensureCustomModel(routeState.customModel, profile);
+  const presets = loadPresets().filter(preset => preset.profile === profile);
+  const currentJson = JSON.stringify(customModel);
+  const activePreset = presets.find(preset => JSON.stringify(preset.customModel) === currentJson);
+  const isDefault = isDefaultCustomModel(customModel, profile);
+
+  select.innerHTML = '';
+  select.appendChild(createOption(DEFAULT_OPTION_VALUE, 'Standard'));
+  presets.forEach(preset => select.appendChild(createOption(preset.name, preset.name)));
+  if (!activePreset && !isDefault) {
+    const modifiedOption = createOption(MODIFIED_OPTION_VALUE, 'Angepasst');
+    modifiedOption.disabled = true;
+    select.appendChild(modifiedOption);
+  }
+
+  if (activePreset) {
+    select.value = activePreset.name;
+  } else {
+    select.value = isDefault ? DEFAULT_OPTION_VALUE : MODIFIED_OPTION_VALUE;
+  }
+  select.title = activePreset ? `Preset: ${activePreset.name}` : 'Custom-Model-Preset wählen';
+  select.style.display = '';
+
+  const deleteBtn = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_DELETE);
+  if (deleteBtn) {
+    deleteBtn.disabled = !activePreset;
+  }
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+// Presets: [{name, profile, customModel}]
+function loadPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(isValidPreset) : [];
+  } catch (e) {
+    // localStorage not available (e.g. privacy mode) or corrupt entry
+    return [];
+  }
+}
+
+function storePresets(presets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    return true;
+  } catch (e) {
+    alert('Presets konnten nicht gespeichert werden (Speicher nicht verfügbar).');
+    return false;
+  }
+}
+
+function isValidPreset(preset) {
+  return Boolean(preset) &&
+    typeof preset.name === 'string' && preset.name.trim() !== '' &&
+    supportsCustomModel(preset.profile) &&
+    validateCustomModel(preset.customModel).length === 0;
+}
+
+// Add or replace presets by name and profile
+function mergePresets(presets, newPresets) {
+  const merged = [...presets];
+  newPresets.forEach(preset => {
+    const index = merged.findIndex(p => p.name === preset.name && p.profile === preset.profile);
+    if (index >= 0) {
+      merged[index] = preset;
+    } else {
+      merged.push(preset);
+    }
+  });
+  return merged;
+}
+
+// ============================================================================
+// SAVE / APPLY / DELETE
+// ============================================================================
+
+function saveCurrentAsPreset(name) {
+  const trimmedName = name.trim();
+  const profile = routeState.selectedProfile;
+  if (!trimmedName || !supportsCustomModel(profile)) return false;
+
+  const presets = loadPresets();
+  const exists = presets.some(p => p.name === trimmedName && p.profile === profile);
+  if (exists && !confirm(`Preset "${trimmedName}" überschreiben?`)) {
+    return false;
+  }
+
+  const preset = {
+    name: trimmedName,
+    profile,
+    customModel: JSON.parse(JSON.stringify(ensureCustomModel(routeState.customModel, profile)))
+  };
+  if (!storePresets(mergePresets(presets, [preset]))) return false;
+
+  updatePresetSelect();
+  return true;
+}
+
+function applyPreset(name) {
+  const preset = loadPresets().find(p => p.name === name && p.profile === routeState.selectedProfile);
+  if (!preset) return;
+  applyCustomModel(JSON.parse(JSON.stringify(preset.customModel)));
+}
+
+function applyDefaultModel() {
+  applyCustomModel(ensureCustomModel(null, routeState.selectedProfile));
+}
+
+function applyCustomModel(customModel) {
+  routeState.customModel = customModel;
+  syncControlsFromCustomModel();
+  refreshCustomModelEditor();
+  updatePresetSelect();
+  recalculateRouteIfReady();
+}
+
+function deleteActivePreset() {
+  const select = document.getElementById(UI_IDS.CUSTOM_MODEL_PRESET_SELECT);
+  if (!select || select.value === DEFAULT_OPTION_VALUE || select.value === MODIFIED_OPTION_VALUE) return;
+
+  const name = select.value;
+  if (!confirm(`Preset "${name}" löschen?`)) return;
+
+  const profile = routeState.selectedProfile;
+  storePresets(loadPresets().filter(p => !(p.name === name && p.profile === profile)));
+  updatePresetSelect();
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+function exportPresets() {
+  const presets = loadPresets();
+  if (presets.length === 0) {
+    alert('Keine Presets gespeichert.');
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify(presets, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `custom_model_presets_${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+async function importPresetFiles(files) {
+  if (files.length === 0) return;
+
+  const imported = [];
+  const failed = [];
+  for (const file of files) {
+    try {
+      const presets = parsePresetFile(JSON.parse(await file.text()), file.name);
+      if (presets.length === 0) {
+        throw new Error('Keine gültigen Presets gefunden');
+      }
+      imported.push(...presets);
+    } catch (error) {
+      failed.push(`${file.name}: ${error.message}`);
+    }
+  }
+
+  if (imported.length > 0) {
+    storePresets(mergePresets(loadPresets(), imported));
+    updatePresetSelect();
+  }
+
+  const messages = [];
+  if (imported.length > 0) {
+    messages.push(`${imported.length} Preset(s) importiert: ${imported.map(p => p.name).join(', ')}`);
+  }
+  messages.push(...failed);
+  alert(messages.join('\n'));
+}
+
+// Accepts an exported preset list, a single preset or a bare custom model
+// (bare models get the file name and the current profile)
+function parsePresetFile(data, fileName) {
+  if (Array.isArray(data)) {
+    return data.filter(isValidPreset);
+  }
+  if (data && data.customModel) {
+    return isValidPreset(data) ? [data] : [];
+  }
+
+  const errors = validateCustomModel(data);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+  if (!supportsCustomModel(routeState.selectedProfile)) {
+    throw new Error('Custom Model ohne Profil - zuerst ein anpassbares Profil wählen');
+  }
+  return [{
+    name: fileName.replace(/\.json$/i, ''),
+    profile: routeState.selectedProfile,
+    customModel: data
+  }];
+}
+
+function createOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
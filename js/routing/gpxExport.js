@@ -10,18 +10,45 @@ export function exportRouteToGPX() {
     return;
   }
 
-  const { coordinates, elevations, distance } = currentRouteData;
+  const { coordinates, elevations } = currentRouteData;
+  const gpx = buildGPX('Route', coordinates, elevations);
+  downloadGPX(gpx, `route_${new Date().toISOString().split('T')[0]}.gpx`);
+}
+
+/**
+ * Export a part of the current route (e.g. the heightgraph selection) as its own GPX track
+ * @param {number} startIndex - First coordinate index
+ * @param {number} endIndex - Last coordinate index (inclusive)
+ */
+export function exportRouteRangeToGPX(startIndex, endIndex) {
+  const { currentRouteData } = routeState;
+
+  if (!currentRouteData || !currentRouteData.coordinates || endIndex <= startIndex) {
+    alert('Keine Auswahl zum Exportieren vorhanden');
+    return;
+  }
+
+  const { coordinates, elevations } = currentRouteData;
+  const gpx = buildGPX(
+    'Routenabschnitt',
+    coordinates.slice(startIndex, endIndex + 1),
+    elevations ? elevations.slice(startIndex, endIndex + 1) : []
+  );
+  downloadGPX(gpx, `route_${new Date().toISOString().split('T')[0]}_abschnitt.gpx`);
+}
+
+function buildGPX(name, coordinates, elevations) {
   const now = new Date().toISOString();
   
   // Generate GPX XML
   let gpx = `<?xml version="1.0" encoding="UTF-8"?>
 <gpx version="1.1" creator="MapLibre GraphHopper Routing" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
   <metadata>
-    <name>Route</name>
+    <name>${name}</name>
     <time>${now}</time>
   </metadata>
   <trk>
-    <name>Route</name>
+    <name>${name}</name>
     <trkseg>
 `;
 
@@ -43,12 +70,16 @@ export function exportRouteToGPX() {
   </trk>
 </gpx>`;
 
+  return gpx;
+}
+
+function downloadGPX(gpx, filename) {
   // Create download
   const blob = new Blob([gpx], { type: 'application/gpx+xml' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `route_${new Date().toISOString().split('T')[0]}.gpx`;
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
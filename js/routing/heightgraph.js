@@ -3,15 +3,21 @@
 
 import { routeState } from './routeState.js';
 import { updateRouteColor } from './routeVisualization.js';
+import { getProfileToggles } from './profileRegistry.js';
+import { HILL_SENSITIVITY_PRESETS } from './customModel.js';
+import { COVERAGE_CONFLATION, GRADIENT_CLASSES, UI_IDS } from '../utils/constants.js';
 import { HEIGHTGRAPH_CONFIG } from './heightgraph/heightgraphConfig.js';
-import { getLabelForEncodedType, validateHeightgraphData, getContainerWidth, calculateCumulativeDistances } from './heightgraph/heightgraphUtils.js';
+import { getLabelForEncodedType, validateHeightgraphData, getContainerWidth, calculateCumulativeDistances, calculateSegmentSlopes, calculateGradientClasses } from './heightgraph/heightgraphUtils.js';
 import { setupCanvas, setupIndicatorCanvas } from './heightgraph/heightgraphCanvas.js';
-import { drawBackground, drawGrid, drawElevationLine, drawXAxisLabels, fillSegmentsByValue, getSurfaceColor, getRoadClassColor, getBicycleInfraColor } from './heightgraph/heightgraphDrawing.js';
+import { drawBackground, drawGrid, drawElevationLine, drawSteepSegments, drawXAxisLabels, fillSegmentsByValue, getSurfaceColor, getRoadClassColor, getBicycleInfraColor, getCoverageTypeColor, getGradientClassColor, drawEncodedBands, getBandsHeight } from './heightgraph/heightgraphDrawing.js';
 import { setupHeightgraphInteractivity, cleanupInteractivityHandlers } from './heightgraph/heightgraphInteractivity.js';
 import { updateHeightgraphStats } from './heightgraph/heightgraphStats.js';
+import { setupHeightgraphSelection } from './heightgraph/heightgraphSelection.js';
+import { setupHeightgraphBands, getHeightgraphBands } from './heightgraph/heightgraphBands.js';
 
 // Store resize handler to prevent duplicate listeners
 let heightgraphResizeHandler = null;
+let smoothingHandlersRegistered = false;
 
 // ============================================================================
 // Main Drawing Function
@@ -86,14 +92,51 @@ export function drawHeightgraph(elevations, totalDistance, encodedValues = {}, c
   }
   
   const width = Math.max(HEIGHTGRAPH_CONFIG.canvas.minWidth, containerWidth);
-  const height = HEIGHTGRAPH_CONFIG.canvas.height;
+  const height = getHeightgraphHeight(HEIGHTGRAPH_CONFIG.canvas.height, encodedValues);
   
   // Setup canvas
   const ctx = setupCanvas(canvas, width, height);
   ctx.clearRect(0, 0, width, height);
   
   // Get selected visualization type
-  const selectedType = select ? select.value : 'elevation';
+  const selectedType = select ? select.value : 'mapillary_coverage';
+  
+  // Smoothing control belongs to the gradient classes only
+  const smoothingSelect = document.getElementById(UI_IDS.GRADIENT_SMOOTHING_SELECT);
+  if (smoothingSelect) {
+    smoothingSelect.style.display = selectedType === GRADIENT_CLASSES.ENCODED_TYPE ? '' : 'none';
+  }
+  
+  const result = renderHeightgraph(ctx, width, height, elevations, totalDistance, encodedValues, coordinates, selectedType);
+  if (!result) return;
+  const { baseData, actualTotalDistance, cumulativeDistances } = result;
+  
+  // Setup interactivity
+  if (!skipInteractivity) {
+    setupIndicatorCanvas(indicatorCanvas, width, height);
+    setupHeightgraphInteractivity(canvas, baseData, actualTotalDistance, coordinates, cumulativeDistances, width, height);
+  }
+  
+  // Update stats
+  updateHeightgraphStats(selectedType, encodedValues);
+}
+
+/**
+ * Canvas height for a graph area of baseHeight plus the attribute bands below it
+ */
+export function getHeightgraphHeight(baseHeight, encodedValues) {
+  return baseHeight + getBandsHeight(getHeightgraphBands(encodedValues).length);
+}
+
+/**
+ * Draw the heightgraph (grid, elevation line, encoded value fill, bands, axis labels) into a prepared context
+ * Used for the visible canvas and the image export
+ * Returns { baseData, actualTotalDistance, cumulativeDistances }, null if there was nothing to draw
+ */
+export function renderHeightgraph(ctx, width, height, elevations, totalDistance, encodedValues, coordinates, selectedType) {
+  // Attribute bands extend the canvas below the elevation area (the graph keeps its height)
+  const bands = getHeightgraphBands(encodedValues);
+  const bandsHeight = getBandsHeight(bands.length);
   
   // Determine data to visualize
   let baseData = elevations.length > 0 ? elevations : [];
@@ -129,10 +172,10 @@ export function drawHeightgraph(elevations, totalDistance, encodedValues = {}, c
     ctx.font = '12px sans-serif';
     ctx.textAlign = 'center';
     ctx.fillText('Keine Daten verfügbar', width / 2, height / 2);
-    return;
+    return null;
   }
   
-  if (dataToVisualize.length < 2) return;
+  if (dataToVisualize.length < 2) return null;
   
   // Process data
   let processedData = [];
@@ -140,7 +183,7 @@ export function drawHeightgraph(elevations, totalDistance, encodedValues = {}, c
   
   if (isNumeric) {
     const validValues = dataToVisualize.filter(v => v !== null && v !== undefined);
-    if (validValues.length === 0) return;
+    if (validValues.length === 0) return null;
     
     minValue = Math.min(...validValues);
     maxValue = Math.max(...validValues);
@@ -162,7 +205,7 @@ export function drawHeightgraph(elevations, totalDistance, encodedValues = {}, c
   // Calculate graph dimensions
   const padding = HEIGHTGRAPH_CONFIG.padding;
   const graphWidth = width - padding.left - padding.right;
-  const graphHeight = height - padding.top - padding.bottom;
+  const graphHeight = height - padding.top - padding.bottom - bandsHeight;
   
   // Draw background and grid
   drawBackground(ctx, padding, graphWidth, graphHeight);
@@ -209,36 +252,48 @@ export function drawHeightgraph(elevations, totalDistance, encodedValues = {}, c
       drawElevationLine(ctx, points);
       
       // Fill area under elevation curve based on selected encoded value
-      const currentSelectedType = select ? select.value : 'mapillary_coverage';
-      
-      if (currentSelectedType === 'mapillary_coverage' && encodedValues.mapillary_coverage && encodedValues.mapillary_coverage.length > 0 && points.length > 0) {
+      if (selectedType === 'mapillary_coverage' && encodedValues.mapillary_coverage && encodedValues.mapillary_coverage.length > 0 && points.length > 0) {
         const getCustomPresentColor = (value) => {
           const isTrue = value === true || value === 'True' || value === 'true';
           return isTrue ? 'rgba(59, 130, 246, 0.3)' : 'rgba(236, 72, 153, 0.3)';
         };
         fillSegmentsByValue(ctx, points, encodedValues.mapillary_coverage, getCustomPresentColor, padding, graphHeight);
-      } else if (currentSelectedType === 'surface' && encodedValues.surface && encodedValues.surface.length > 0 && points.length > 0) {
+      } else if (selectedType === 'surface' && encodedValues.surface && encodedValues.surface.length > 0 && points.length > 0) {
         fillSegmentsByValue(ctx, points, encodedValues.surface, getSurfaceColor, padding, graphHeight);
-      } else if (currentSelectedType === 'road_class' && encodedValues.road_class && encodedValues.road_class.length > 0 && points.length > 0) {
+      } else if (selectedType === 'road_class' && encodedValues.road_class && encodedValues.road_class.length > 0 && points.length > 0) {
         fillSegmentsByValue(ctx, points, encodedValues.road_class, getRoadClassColor, padding, graphHeight);
-      } else if (currentSelectedType === 'bicycle_infra' && encodedValues.bicycle_infra && encodedValues.bicycle_infra.length > 0 && points.length > 0) {
+      } else if (selectedType === 'bicycle_infra' && encodedValues.bicycle_infra && encodedValues.bicycle_infra.length > 0 && points.length > 0) {
         fillSegmentsByValue(ctx, points, encodedValues.bicycle_infra, getBicycleInfraColor, padding, graphHeight);
+      } else if (selectedType === COVERAGE_CONFLATION.ENCODED_TYPE && encodedValues[selectedType] && encodedValues[selectedType].length > 0 && points.length > 0) {
+        fillSegmentsByValue(ctx, points, encodedValues[selectedType], getCoverageTypeColor, padding, graphHeight);
+      } else if (selectedType === GRADIENT_CLASSES.ENCODED_TYPE && encodedValues[selectedType] && encodedValues[selectedType].length > 0 && points.length > 0) {
+        fillSegmentsByValue(ctx, points, encodedValues[selectedType], getGradientClassColor, padding, graphHeight);
+      }
+      
+      // Climbs above the hill sensitivity tolerance (profiles with that toggle only)
+      const steepTolerance = getSteepTolerance();
+      if (steepTolerance !== null) {
+        const slopes = calculateSegmentSlopes(baseData, cumulativeDistances, HEIGHTGRAPH_CONFIG.slopeSmoothingDistance);
+        drawSteepSegments(ctx, points, slopes, steepTolerance, padding, graphWidth);
       }
     }
   }
   
-  // Draw X-axis labels
-  drawXAxisLabels(ctx, padding, graphWidth, graphHeight, actualTotalDistance, height);
+  // Attribute bands between graph and X-axis labels
+  drawEncodedBands(ctx, bands, padding, graphWidth, padding.top + graphHeight, cumulativeDistances, actualTotalDistance);
   
-  // Setup interactivity
-  if (!skipInteractivity) {
-    setupIndicatorCanvas(indicatorCanvas, width, height);
-    setupHeightgraphInteractivity(canvas, baseData, actualTotalDistance, coordinates, cumulativeDistances, width, height);
-  }
+  // Draw X-axis labels (below the bands)
+  drawXAxisLabels(ctx, padding, graphWidth, graphHeight + bandsHeight, actualTotalDistance, height);
   
-  // Update stats
-  const statsSelectedType = select ? select.value : 'mapillary_coverage';
-  updateHeightgraphStats(statsSelectedType, encodedValues);
+  return { baseData, actualTotalDistance, cumulativeDistances };
+}
+
+// Tolerance (%) of the selected hill sensitivity, null if the profile has none
+function getSteepTolerance() {
+  const hasHillSensitivity = getProfileToggles(routeState.selectedProfile)
+    .some(toggle => toggle.state === 'hillSensitivity');
+  const level = HILL_SENSITIVITY_PRESETS[routeState.hillSensitivity];
+  return hasHillSensitivity && level ? level.tolerance : null;
 }
 
 // ============================================================================
@@ -259,6 +314,34 @@ export function setupHeightgraphHandlers() {
     });
   }
   
+  // Smoothing distance of the gradient classes - recompute them from the elevations
+  const smoothingSelect = document.getElementById(UI_IDS.GRADIENT_SMOOTHING_SELECT);
+  if (smoothingSelect && !smoothingHandlersRegistered) {
+    smoothingHandlersRegistered = true;
+    smoothingSelect.value = String(routeState.gradientSmoothing);
+    smoothingSelect.addEventListener('change', () => {
+      routeState.gradientSmoothing = Number(smoothingSelect.value);
+      const routeData = routeState.currentRouteData;
+      if (!routeData || !routeData.elevations || routeData.elevations.length === 0) return;
+      
+      const { elevations, distance, encodedValues, coordinates } = routeData;
+      encodedValues[GRADIENT_CLASSES.ENCODED_TYPE] = calculateGradientClasses(elevations, coordinates, routeState.gradientSmoothing);
+      drawHeightgraph(elevations, distance, encodedValues, coordinates || []);
+      updateRouteColor(routeState.currentEncodedType, encodedValues);
+      updateHeightgraphStats(routeState.currentEncodedType, encodedValues);
+    });
+  }
+  
+  // Panel of the range selection (zoom, GPX export, clear)
+  setupHeightgraphSelection();
+  
+  // Attribute bands below the graph (chosen in the bands panel)
+  setupHeightgraphBands(() => {
+    if (!routeState.currentRouteData) return;
+    const { elevations, distance, encodedValues, coordinates } = routeState.currentRouteData;
+    drawHeightgraph(elevations || [], distance, encodedValues || {}, coordinates || []);
+  });
+  
   if (heightgraphResizeHandler) {
     window.removeEventListener('resize', heightgraphResizeHandler);
   }
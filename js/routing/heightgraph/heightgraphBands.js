@@ -0,0 +1,94 @@
+// Heightgraph attribute bands: thin strips for several encoded values below the elevation area
+// Chosen and ordered in the bands panel, stored in routeState.heightgraphBands
+
+import { routeState } from '../routeState.js';
+import { HEIGHTGRAPH_CONFIG } from './heightgraphConfig.js';
+import { UI_IDS } from '../../utils/constants.js';
+
+let bandsHandlersRegistered = false;
+
+/**
+ * Register the toggle and panel handlers (once)
+ * @param {Function} onChange - Called after bands were added, removed or moved (redraws the heightgraph)
+ */
+export function setupHeightgraphBands(onChange) {
+  if (bandsHandlersRegistered) return;
+  bandsHandlersRegistered = true;
+
+  const toggle = document.getElementById(UI_IDS.HEIGHTGRAPH_BANDS_TOGGLE);
+  const panel = document.getElementById(UI_IDS.HEIGHTGRAPH_BANDS_PANEL);
+  if (!toggle || !panel) return;
+
+  toggle.addEventListener('click', () => {
+    const isOpen = panel.style.display === 'none';
+    panel.style.display = isOpen ? 'flex' : 'none';
+    toggle.classList.toggle('active', isOpen);
+    if (isOpen) {
+      renderBandsPanel();
+    }
+  });
+
+  panel.addEventListener('change', (e) => {
+    const type = e.target.dataset.bandType;
+    if (!type) return;
+    const bands = routeState.heightgraphBands.filter(band => band !== type);
+    routeState.heightgraphBands = e.target.checked ? [...bands, type] : bands;
+    renderBandsPanel();
+    onChange();
+  });
+
+  panel.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-band-move]');
+    if (!button) return;
+    const type = button.dataset.bandType;
+    const bands = [...routeState.heightgraphBands];
+    const index = bands.indexOf(type);
+    const target = index + Number(button.dataset.bandMove);
+    if (index === -1 || target < 0 || target >= bands.length) return;
+    [bands[index], bands[target]] = [bands[target], bands[index]];
+    routeState.heightgraphBands = bands;
+    renderBandsPanel();
+    onChange();
+  });
+}
+
+/**
+ * Bands to draw for the current route (chosen types that have data), in display order
+ * @param {Object} encodedValues - Encoded values of the route
+ * @returns {Array<{type: string, label: string, shortLabel: string, values: Array}>}
+ */
+export function getHeightgraphBands(encodedValues) {
+  if (!encodedValues) return [];
+  return routeState.heightgraphBands
+    .map(type => HEIGHTGRAPH_CONFIG.bands.types.find(band => band.type === type))
+    .filter(band => band && Array.isArray(encodedValues[band.type]) && encodedValues[band.type].length > 0)
+    .map(band => ({ ...band, values: encodedValues[band.type] }));
+}
+
+// Chosen bands first (in display order), then the remaining types
+function renderBandsPanel() {
+  const panel = document.getElementById(UI_IDS.HEIGHTGRAPH_BANDS_PANEL);
+  if (!panel) return;
+
+  const chosen = routeState.heightgraphBands;
+  const types = HEIGHTGRAPH_CONFIG.bands.types;
+  const ordered = [
+    ...chosen.map(type => types.find(band => band.type === type)).filter(Boolean),
+    ...types.filter(band => !chosen.includes(band.type))
+  ];
+
+  panel.innerHTML = ordered.map(band => {
+    const index = chosen.indexOf(band.type);
+    const isChosen = index !== -1;
+    return `<div class="heightgraph-band-row">
+      <label>
+        <input type="checkbox" data-band-type="${band.type}"${isChosen ? ' checked' : ''}>
+        ${band.label}
+      </label>
+      <button type="button" class="btn-heightgraph-band" data-band-type="${band.type}" data-band-move="-1"
+        title="Nach oben"${!isChosen || index === 0 ? ' disabled' : ''}>↑</button>
+      <button type="button" class="btn-heightgraph-band" data-band-type="${band.type}" data-band-move="1"
+        title="Nach unten"${!isChosen || index === chosen.length - 1 ? ' disabled' : ''}>↓</button>
+    </div>`;
+  }).join('');
+}
@@ -2,10 +2,11 @@
 
 /**
  * Setup canvas with proper dimensions and high-DPI support
+ * pixelRatio defaults to the screen's (the image export passes the chosen resolution)
  * Returns the context
  */
-export function setupCanvas(canvas, width, height) {
-  const dpr = window.devicePixelRatio || 1;
+export function setupCanvas(canvas, width, height, pixelRatio = window.devicePixelRatio || 1) {
+  const dpr = pixelRatio;
   
   // Set CSS size (logical size)
   canvas.style.width = width + 'px';
@@ -25,7 +25,9 @@ function getHeightgraphColors() {
       grid: '#4b5563',         // Lighter grid lines for visibility
       text: '#d1d5db',          // Light text
       elevationLine: '#60a5fa', // Lighter blue for dark mode
-      indicatorLine: '#f87171'  // Lighter red for dark mode
+      indicatorLine: '#f87171', // Lighter red for dark mode
+      selection: 'rgba(250, 204, 21, 0.25)',
+      steepLine: '#fb923c'      // Lighter orange for dark mode
     };
   } else {
     return {
@@ -33,7 +35,9 @@ function getHeightgraphColors() {
       grid: '#e5e7eb',
       text: '#6b7280',
       elevationLine: '#3b82f6',
-      indicatorLine: '#ef4444'
+      indicatorLine: '#ef4444',
+      selection: 'rgba(234, 179, 8, 0.2)',
+      steepLine: '#ea580c'
     };
   }
 }
@@ -94,7 +98,40 @@ export const HEIGHTGRAPH_CONFIG = {
   lineWidth: {
     grid: 1,
     elevation: 2,
-    indicator: 2
+    indicator: 2,
+    steep: 3
+  },
+  // Slopes are averaged over at least this distance (m), single elevation steps would be too noisy
+  slopeSmoothingDistance: 100,
+  // Range selection (click and drag)
+  selection: {
+    minDragWidth: 5, // px - shorter drags count as a click (clears the selection)
+    mapColor: '#facc15'
+  },
+  // Attribute bands below the elevation area (shortLabel must fit into padding.left)
+  bands: {
+    height: 8,
+    gap: 3,
+    font: '9px',
+    types: [
+      { type: 'mapillary_coverage', label: 'Mapillary Coverage', shortLabel: 'Cov.' },
+      { type: 'surface', label: 'Belag', shortLabel: 'Belag' },
+      { type: 'road_class', label: 'Straßenklasse', shortLabel: 'Str.' },
+      { type: 'bicycle_infra', label: 'Radinfrastruktur', shortLabel: 'Rad' }
+    ]
+  },
+  // Legend of the image export
+  legend: {
+    rowHeight: 16,
+    columnWidth: 190,
+    swatchSize: 10,
+    maxLabelLength: 22 // characters - longer labels are cut (fixed columns, no text measuring)
+  },
+  // Image export: logical size of the graph area (PNG is scaled by the chosen resolution)
+  export: {
+    width: 800,
+    height: 240,
+    legendMargin: 8
   }
 };
 
@@ -1,7 +1,7 @@
 // Drawing functions for heightgraph
 
 import { HEIGHTGRAPH_CONFIG } from './heightgraphConfig.js';
-import { getSurfaceColorRgba, getRoadClassColorRgba, getBicycleInfraColorRgba } from '../colorSchemes.js';
+import { getSurfaceColorRgba, getRoadClassColorRgba, getBicycleInfraColorRgba, getCoverageTypeColorRgba, getGradientClassColorRgba, getColorForEncodedValue } from '../colorSchemes.js';
 
 /**
  * Draw background rectangle
@@ -116,6 +116,44 @@ export function drawElevationLine(ctx, points) {
   ctx.stroke();
 }
 
+/**
+ * Highlight climbs steeper than the tolerance on the elevation line
+ * slopes: per segment (see calculateSegmentSlopes), tolerance in %
+ */
+export function drawSteepSegments(ctx, points, slopes, tolerance, padding, graphWidth) {
+  if (points.length < 2 || !slopes || slopes.length === 0) return;
+  
+  ctx.strokeStyle = HEIGHTGRAPH_CONFIG.colors.steepLine;
+  ctx.lineWidth = HEIGHTGRAPH_CONFIG.lineWidth.steep;
+  ctx.beginPath();
+  
+  let hasSteepSegment = false;
+  let isDrawing = false;
+  for (let i = 0; i < points.length - 1; i++) {
+    const slope = slopes[points[i].index];
+    if (slope !== null && slope !== undefined && slope > tolerance) {
+      if (!isDrawing) {
+        ctx.moveTo(points[i].x, points[i].y);
+        isDrawing = true;
+      }
+      ctx.lineTo(points[i + 1].x, points[i + 1].y);
+      hasSteepSegment = true;
+    } else {
+      isDrawing = false;
+    }
+  }
+  
+  ctx.stroke();
+  
+  // Legend in the top padding, only when something is marked
+  if (hasSteepSegment) {
+    ctx.fillStyle = HEIGHTGRAPH_CONFIG.colors.steepLine;
+    ctx.font = `${HEIGHTGRAPH_CONFIG.font.size} ${HEIGHTGRAPH_CONFIG.font.family}`;
+    ctx.textAlign = 'right';
+    ctx.fillText(`Steigung > ${tolerance} %`, padding.left + graphWidth, padding.top - 6);
+  }
+}
+
 /**
  * Draw X-axis distance labels
  */
@@ -271,6 +309,89 @@ export function fillSegmentsByValue(ctx, points, values, getColor, padding, grap
   }
 }
 
+/**
+ * Draw one horizontal strip per band below the graph area (same x-axis as the elevation profile)
+ * bands: [{ type, shortLabel, values }] in display order, top: y of the first strip
+ */
+export function drawEncodedBands(ctx, bands, padding, graphWidth, top, cumulativeDistances, totalDistance) {
+  if (!bands || bands.length === 0 || !cumulativeDistances || cumulativeDistances.length < 2 || !totalDistance) return;
+  
+  const { height, gap, font } = HEIGHTGRAPH_CONFIG.bands;
+  const toX = (index) => padding.left + (cumulativeDistances[index] / totalDistance) * graphWidth;
+  
+  bands.forEach((band, bandIndex) => {
+    const y = top + gap + bandIndex * (height + gap);
+    
+    ctx.fillStyle = HEIGHTGRAPH_CONFIG.colors.background;
+    ctx.fillRect(padding.left, y, graphWidth, height);
+    
+    // One rectangle per run of equal values (the segment belongs to its start point)
+    const lastIndex = Math.min(band.values.length, cumulativeDistances.length) - 1;
+    let runStart = 0;
+    for (let i = 1; i <= lastIndex; i++) {
+      if (i < lastIndex && band.values[i] === band.values[runStart]) continue;
+      const value = band.values[runStart];
+      if (value !== null && value !== undefined) {
+        ctx.fillStyle = getColorForEncodedValue(band.type, value, band.values);
+        ctx.fillRect(toX(runStart), y, toX(i) - toX(runStart), height);
+      }
+      runStart = i;
+    }
+    
+    ctx.fillStyle = HEIGHTGRAPH_CONFIG.colors.text;
+    ctx.font = `${font} ${HEIGHTGRAPH_CONFIG.font.family}`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(band.shortLabel, padding.left - HEIGHTGRAPH_CONFIG.labels.yAxisMargin, y + height / 2);
+    ctx.textBaseline = 'alphabetic';
+  });
+}
+
+/**
+ * Draw a legend (color swatch, label, distance) in columns below the graph
+ * items: [{ color, label, distance }] with distance in m, top: y of the first row
+ */
+export function drawLegend(ctx, title, items, padding, graphWidth, top) {
+  const { rowHeight, columnWidth, swatchSize, maxLabelLength } = HEIGHTGRAPH_CONFIG.legend;
+  const columns = Math.max(1, Math.floor(graphWidth / columnWidth));
+  
+  ctx.font = `${HEIGHTGRAPH_CONFIG.font.size} ${HEIGHTGRAPH_CONFIG.font.family}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = HEIGHTGRAPH_CONFIG.colors.text;
+  ctx.fillText(title, padding.left, top + rowHeight / 2);
+  
+  items.forEach((item, index) => {
+    const x = padding.left + (index % columns) * columnWidth;
+    const y = top + (Math.floor(index / columns) + 1) * rowHeight;
+    
+    ctx.fillStyle = item.color;
+    ctx.fillRect(x, y + (rowHeight - swatchSize) / 2, swatchSize, swatchSize);
+    
+    const label = item.label.length > maxLabelLength ? `${item.label.slice(0, maxLabelLength - 1)}…` : item.label;
+    ctx.fillStyle = HEIGHTGRAPH_CONFIG.colors.text;
+    ctx.fillText(`${label} (${(item.distance / 1000).toFixed(2)} km)`, x + swatchSize + 4, y + rowHeight / 2);
+  });
+  ctx.textBaseline = 'alphabetic';
+}
+
+/**
+ * Height of the legend (title row plus item rows) for the given number of items
+ */
+export function getLegendHeight(itemCount, graphWidth) {
+  const { rowHeight, columnWidth } = HEIGHTGRAPH_CONFIG.legend;
+  const columns = Math.max(1, Math.floor(graphWidth / columnWidth));
+  return (Math.ceil(itemCount / columns) + 1) * rowHeight;
+}
+
+/**
+ * Height of the band area for the given number of bands
+ */
+export function getBandsHeight(bandCount) {
+  const { height, gap } = HEIGHTGRAPH_CONFIG.bands;
+  return bandCount > 0 ? bandCount * (height + gap) + gap : 0;
+}
+
 // ============================================================================
 // Color Helper Functions
 // ============================================================================
@@ -299,3 +420,18 @@ export function getBicycleInfraColorForStats(bicycleInfraValue) {
   return getBicycleInfraColorRgba(bicycleInfraValue, HEIGHTGRAPH_CONFIG.opacity.stats);
 }
 
+export function getCoverageTypeColor(coverageTypeValue) {
+  return getCoverageTypeColorRgba(coverageTypeValue, HEIGHTGRAPH_CONFIG.opacity.segments);
+}
+
+export function getCoverageTypeColorForStats(coverageTypeValue) {
+  return getCoverageTypeColorRgba(coverageTypeValue, HEIGHTGRAPH_CONFIG.opacity.stats);
+}
+
+export function getGradientClassColor(gradientClassValue) {
+  return getGradientClassColorRgba(gradientClassValue, HEIGHTGRAPH_CONFIG.opacity.segments);
+}
+
+export function getGradientClassColorForStats(gradientClassValue) {
+  return getGradientClassColorRgba(gradientClassValue, HEIGHTGRAPH_CONFIG.opacity.stats);
+}
@@ -1,15 +1,26 @@
-// Heightgraph interactivity (hover, tooltip, indicator line)
+// Heightgraph interactivity (hover, tooltip, indicator line, range selection by dragging)
 
 import { routeState } from '../routeState.js';
 import { HEIGHTGRAPH_CONFIG } from './heightgraphConfig.js';
 import { calculateCumulativeDistances } from './heightgraphUtils.js';
 import { getBicycleInfraDescription } from '../colorSchemes.js';
+import { setHeightgraphSelection, clearHeightgraphSelection } from './heightgraphSelection.js';
+import { getHeightgraphBands } from './heightgraphBands.js';
 
 // Store event handlers to prevent duplicate listeners
 let heightgraphMouseMoveHandler = null;
 let heightgraphMouseLeaveHandler = null;
+let heightgraphMouseDownHandler = null;
+let heightgraphMouseUpHandler = null;
 let routeHighlightMarker = null;
 
+// Range selection in progress (logical x coordinates), null while not dragging
+let dragStartX = null;
+let dragCurrentX = null;
+
+// Geometry of the current heightgraph (to show the indicator from outside, e.g. the instruction list)
+let indicatorGeometry = null;
+
 /**
  * Draw indicator line on indicator canvas
  * x is in logical coordinates (same coordinate system as the main canvas)
@@ -34,6 +45,7 @@ function drawIndicatorLine(indicatorCanvas, x, padding, graphHeight, canvasWidth
   
   // Clear previous line (use logical dimensions)
   ctx.clearRect(0, 0, indicatorLogicalWidth, canvasHeight);
+  drawSelectionShading(ctx, padding, graphHeight);
   
   // Draw new line - x is already in the correct coordinate system
   ctx.strokeStyle = HEIGHTGRAPH_CONFIG.colors.indicatorLine;
@@ -65,6 +77,58 @@ function clearIndicatorLine(indicatorCanvas, canvasWidth, canvasHeight) {
   
   // Clear using logical dimensions
   ctx.clearRect(0, 0, indicatorLogicalWidth, canvasHeight);
+  
+  // The selection stays visible without the indicator line
+  if (indicatorGeometry) {
+    drawSelectionShading(ctx, indicatorGeometry.padding, indicatorGeometry.graphHeight);
+  }
+}
+
+/**
+ * Shade the range being dragged, otherwise the stored heightgraph selection
+ */
+function drawSelectionShading(ctx, padding, graphHeight) {
+  let startX = null;
+  let endX = null;
+  
+  if (dragStartX !== null && dragCurrentX !== null) {
+    startX = Math.min(dragStartX, dragCurrentX);
+    endX = Math.max(dragStartX, dragCurrentX);
+  } else if (routeState.heightgraphSelection && indicatorGeometry) {
+    startX = indexToX(routeState.heightgraphSelection.startIndex);
+    endX = indexToX(routeState.heightgraphSelection.endIndex);
+  }
+  if (startX === null || endX === null) return;
+  
+  ctx.fillStyle = HEIGHTGRAPH_CONFIG.colors.selection;
+  ctx.fillRect(startX, padding.top, endX - startX, graphHeight);
+}
+
+/**
+ * x position (logical coordinates) of a coordinate index in the current heightgraph
+ */
+function indexToX(index) {
+  const { padding, graphWidth, cumulativeDistances, totalDistance } = indicatorGeometry;
+  if (!cumulativeDistances || !totalDistance) return null;
+  const distance = cumulativeDistances[Math.min(index, cumulativeDistances.length - 1)];
+  return padding.left + (distance / totalDistance) * graphWidth;
+}
+
+/**
+ * Coordinate index closest to an x position (logical coordinates) of the current heightgraph
+ */
+function xToIndex(x) {
+  const { padding, graphWidth, cumulativeDistances, totalDistance } = indicatorGeometry;
+  if (!cumulativeDistances || cumulativeDistances.length === 0) return 0;
+  
+  const relativeX = Math.max(0, Math.min(1, (x - padding.left) / graphWidth));
+  const targetDistance = relativeX * totalDistance;
+  for (let i = 1; i < cumulativeDistances.length; i++) {
+    if (cumulativeDistances[i] >= targetDistance) {
+      return targetDistance - cumulativeDistances[i - 1] < cumulativeDistances[i] - targetDistance ? i - 1 : i;
+    }
+  }
+  return cumulativeDistances.length - 1;
 }
 
 /**
@@ -113,6 +177,17 @@ export function setupHeightgraphInteractivity(canvas, elevations, totalDistance,
     actualTotalDistance = computedCumulativeDistances[computedCumulativeDistances.length - 1];
   }
   
+  indicatorGeometry = {
+    indicatorCanvas,
+    padding,
+    graphWidth,
+    graphHeight,
+    canvasWidth: actualCanvasWidth,
+    canvasHeight: actualCanvasHeight,
+    cumulativeDistances: computedCumulativeDistances,
+    totalDistance: actualTotalDistance
+  };
+  
   // Remove existing event listeners
   if (heightgraphMouseMoveHandler) {
     canvas.removeEventListener('mousemove', heightgraphMouseMoveHandler);
@@ -122,6 +197,7 @@ export function setupHeightgraphInteractivity(canvas, elevations, totalDistance,
     canvas.removeEventListener('mouseleave', heightgraphMouseLeaveHandler);
     heightgraphMouseLeaveHandler = null;
   }
+  removeSelectionHandlers(canvas);
   
   // Create or get tooltip
   let tooltip = document.getElementById('heightgraph-tooltip');
@@ -157,6 +233,11 @@ export function setupHeightgraphInteractivity(canvas, elevations, totalDistance,
     // Check boundaries
     const leftBoundary = padding.left;
     const rightBoundary = padding.left + storedGraphWidth;
+    
+    // Dragging continues outside the graph area (clamped to the graph)
+    if (dragStartX !== null) {
+      dragCurrentX = Math.max(leftBoundary, Math.min(rightBoundary, scaledX));
+    }
     const topBoundary = padding.top;
     const bottomBoundary = padding.top + storedGraphHeight;
     
@@ -258,6 +339,13 @@ export function setupHeightgraphInteractivity(canvas, elevations, totalDistance,
         }
       }
       
+      // Values of the attribute bands (the selected type is already shown above)
+      getHeightgraphBands(encodedValues)
+        .filter(band => band.type !== selectedType && band.values[dataIndex] !== null && band.values[dataIndex] !== undefined)
+        .forEach(band => {
+          tooltipContent += `<br>${band.label}: ${formatBandValue(band.type, band.values[dataIndex])}`;
+        });
+      
       // Show tooltip
       tooltip.innerHTML = tooltipContent;
       tooltip.style.visibility = 'hidden';
@@ -329,15 +417,117 @@ export function setupHeightgraphInteractivity(canvas, elevations, totalDistance,
     clearIndicatorLine(indicatorCanvas, storedCanvasWidth, storedCanvasHeight);
   };
   
+  // Range selection: drag inside the graph area, a click without dragging clears it
+  heightgraphMouseDownHandler = (e) => {
+    if (e.button !== 0) return;
+    
+    const currentRect = canvas.getBoundingClientRect();
+    const scaledX = (e.clientX - currentRect.left) * (storedCanvasWidth / currentRect.width);
+    const scaledY = (e.clientY - currentRect.top) * (storedCanvasHeight / currentRect.height);
+    if (scaledX < padding.left || scaledX > padding.left + storedGraphWidth ||
+        scaledY < padding.top || scaledY > padding.top + storedGraphHeight) {
+      return;
+    }
+    
+    // No text selection while dragging
+    e.preventDefault();
+    dragStartX = scaledX;
+    dragCurrentX = scaledX;
+  };
+  
+  // On window, so releasing outside the canvas still ends the drag
+  heightgraphMouseUpHandler = () => {
+    if (dragStartX === null) return;
+    
+    const startX = Math.min(dragStartX, dragCurrentX);
+    const endX = Math.max(dragStartX, dragCurrentX);
+    dragStartX = null;
+    dragCurrentX = null;
+    
+    if (endX - startX < HEIGHTGRAPH_CONFIG.selection.minDragWidth) {
+      clearHeightgraphSelection();
+    } else {
+      setHeightgraphSelection(xToIndex(startX), xToIndex(endX));
+    }
+    clearIndicatorLine(indicatorCanvas, storedCanvasWidth, storedCanvasHeight);
+  };
+  
   // Add event listeners
   canvas.addEventListener('mousemove', heightgraphMouseMoveHandler);
   canvas.addEventListener('mouseleave', heightgraphMouseLeaveHandler);
+  canvas.addEventListener('mousedown', heightgraphMouseDownHandler);
+  window.addEventListener('mouseup', heightgraphMouseUpHandler);
+  
+  // Keep the selection visible after redraws (resize, encoded value changed)
+  clearIndicatorLine(indicatorCanvas, storedCanvasWidth, storedCanvasHeight);
+}
+
+/**
+ * Display text of a band value in the tooltip
+ */
+function formatBandValue(type, value) {
+  if (type === 'mapillary_coverage') {
+    return value === true || value === 'True' || value === 'true' ? 'Ja' : 'Nein';
+  }
+  if (type === 'bicycle_infra') {
+    const description = getBicycleInfraDescription(value);
+    return description ? description.replace(/<br>/g, ' ') : String(value).replace(/_/g, ' ');
+  }
+  return String(value);
+}
+
+/**
+ * Remove the range selection handlers and abort a running drag
+ */
+function removeSelectionHandlers(canvas) {
+  if (canvas && heightgraphMouseDownHandler) {
+    canvas.removeEventListener('mousedown', heightgraphMouseDownHandler);
+  }
+  heightgraphMouseDownHandler = null;
+  if (heightgraphMouseUpHandler) {
+    window.removeEventListener('mouseup', heightgraphMouseUpHandler);
+    heightgraphMouseUpHandler = null;
+  }
+  dragStartX = null;
+  dragCurrentX = null;
+}
+
+/**
+ * Show the indicator line and the map hover point at a coordinate index of the current route
+ * Used by the instruction list - the next mouse move over the heightgraph replaces it
+ * @param {number} index - Coordinate index
+ */
+export function showHeightgraphIndicatorAtIndex(index) {
+  if (!routeState.currentRouteData || !routeState.mapInstance) return;
+  
+  const coord = routeState.currentRouteData.coordinates[index];
+  if (!coord) return;
+  
+  if (routeState.mapInstance.getSource('heightgraph-hover-point')) {
+    routeState.mapInstance.getSource('heightgraph-hover-point').setData({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [coord[0], coord[1]]
+      },
+      properties: {}
+    });
+  }
+  
+  if (!indicatorGeometry || !indicatorGeometry.cumulativeDistances || !indicatorGeometry.totalDistance) return;
+  
+  const { indicatorCanvas, padding, graphWidth, graphHeight, canvasWidth, canvasHeight, cumulativeDistances, totalDistance } = indicatorGeometry;
+  const distance = cumulativeDistances[Math.min(index, cumulativeDistances.length - 1)];
+  const x = padding.left + (distance / totalDistance) * graphWidth;
+  drawIndicatorLine(indicatorCanvas, x, padding, graphHeight, canvasWidth, canvasHeight);
 }
 
 /**
  * Cleanup interactivity handlers
  */
 export function cleanupInteractivityHandlers() {
+  indicatorGeometry = null;
+  
   const canvas = document.getElementById('heightgraph-canvas');
   
   if (canvas && heightgraphMouseMoveHandler) {
@@ -348,6 +538,7 @@ export function cleanupInteractivityHandlers() {
     canvas.removeEventListener('mouseleave', heightgraphMouseLeaveHandler);
     heightgraphMouseLeaveHandler = null;
   }
+  removeSelectionHandlers(canvas);
   
   const indicatorCanvas = document.getElementById('heightgraph-indicator-canvas');
   if (indicatorCanvas) {
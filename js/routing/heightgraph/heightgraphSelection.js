@@ -0,0 +1,233 @@
+// Heightgraph range selection: click and drag on the heightgraph selects a part of the route
+// Highlighted on the map, summarized in the panel below the graph, stats and GPX export use the range
+
+import { routeState } from '../routeState.js';
+import { HEIGHTGRAPH_CONFIG } from './heightgraphConfig.js';
+import { calculateCumulativeDistances } from './heightgraphUtils.js';
+import { updateHeightgraphStats } from './heightgraphStats.js';
+import { exportRouteRangeToGPX } from '../gpxExport.js';
+import { LAYER_IDS, UI_IDS } from '../../utils/constants.js';
+
+let selectionHandlersRegistered = false;
+
+/**
+ * Create source and line layer for the selected range (below the route layer)
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function setupHeightgraphSelectionLayer(map) {
+  if (!map.getSource(LAYER_IDS.HEIGHTGRAPH_SELECTION)) {
+    map.addSource(LAYER_IDS.HEIGHTGRAPH_SELECTION, {
+      type: 'geojson',
+      data: {
+        type: 'FeatureCollection',
+        features: []
+      }
+    });
+  }
+
+  if (!map.getLayer(LAYER_IDS.HEIGHTGRAPH_SELECTION_LAYER)) {
+    const beforeId = map.getLayer(LAYER_IDS.ROUTE_LAYER) ? LAYER_IDS.ROUTE_LAYER : undefined;
+    map.addLayer({
+      id: LAYER_IDS.HEIGHTGRAPH_SELECTION_LAYER,
+      type: 'line',
+      source: LAYER_IDS.HEIGHTGRAPH_SELECTION,
+      layout: {
+        'line-join': 'round',
+        'line-cap': 'round'
+      },
+      paint: {
+        'line-color': HEIGHTGRAPH_CONFIG.selection.mapColor,
+        'line-width': 12,
+        'line-opacity': 0.6
+      }
+    }, beforeId);
+  }
+}
+
+/**
+ * Register the panel button handlers (once)
+ */
+export function setupHeightgraphSelection() {
+  if (selectionHandlersRegistered) return;
+  selectionHandlersRegistered = true;
+
+  const zoomBtn = document.getElementById(UI_IDS.HEIGHTGRAPH_SELECTION_ZOOM);
+  if (zoomBtn) {
+    zoomBtn.addEventListener('click', zoomToHeightgraphSelection);
+  }
+
+  const gpxBtn = document.getElementById(UI_IDS.HEIGHTGRAPH_SELECTION_GPX);
+  if (gpxBtn) {
+    gpxBtn.addEventListener('click', () => {
+      const selection = routeState.heightgraphSelection;
+      if (selection) {
+        exportRouteRangeToGPX(selection.startIndex, selection.endIndex);
+      }
+    });
+  }
+
+  const clearBtn = document.getElementById(UI_IDS.HEIGHTGRAPH_SELECTION_CLEAR);
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      clearHeightgraphSelection();
+      const indicatorCanvas = document.getElementById('heightgraph-indicator-canvas');
+      if (indicatorCanvas) {
+        const ctx = indicatorCanvas.getContext('2d');
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, indicatorCanvas.width, indicatorCanvas.height);
+        ctx.restore();
+      }
+    });
+  }
+}
+
+/**
+ * Select a range of the current route: highlight it on the map, zoom to it and show its stats
+ * @param {number} startIndex - First coordinate index
+ * @param {number} endIndex - Last coordinate index (inclusive)
+ */
+export function setHeightgraphSelection(startIndex, endIndex) {
+  const routeData = routeState.currentRouteData;
+  if (!routeData || !routeData.coordinates) return;
+
+  const lastIndex = routeData.coordinates.length - 1;
+  const start = Math.max(0, Math.min(startIndex, endIndex));
+  const end = Math.min(lastIndex, Math.max(startIndex, endIndex));
+  if (end <= start) {
+    clearHeightgraphSelection();
+    return;
+  }
+
+  routeState.heightgraphSelection = { startIndex: start, endIndex: end };
+
+  const map = routeState.mapInstance;
+  const source = map ? map.getSource(LAYER_IDS.HEIGHTGRAPH_SELECTION) : null;
+  if (source) {
+    source.setData({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: routeData.coordinates.slice(start, end + 1)
+      },
+      properties: {}
+    });
+  }
+
+  zoomToHeightgraphSelection();
+  renderSelectionPanel();
+  updateHeightgraphStats(routeState.currentEncodedType, routeData.encodedValues || {});
+}
+
+/**
+ * Remove the selection (map highlight, panel) - stats show the whole route again
+ */
+export function clearHeightgraphSelection() {
+  const hadSelection = routeState.heightgraphSelection !== null;
+  routeState.heightgraphSelection = null;
+
+  const map = routeState.mapInstance;
+  const source = map ? map.getSource(LAYER_IDS.HEIGHTGRAPH_SELECTION) : null;
+  if (source) {
+    source.setData({
+      type: 'FeatureCollection',
+      features: []
+    });
+  }
+
+  const panel = document.getElementById(UI_IDS.HEIGHTGRAPH_SELECTION);
+  if (panel) {
+    panel.style.display = 'none';
+  }
+
+  const routeData = routeState.currentRouteData;
+  if (hadSelection && routeData) {
+    updateHeightgraphStats(routeState.currentEncodedType, routeData.encodedValues || {});
+  }
+}
+
+/**
+ * Distance, ascent, descent and average gradient of a range of the current route
+ * @param {number} startIndex - First coordinate index
+ * @param {number} endIndex - Last coordinate index (inclusive)
+ * @returns {{distance: number, ascent: number, descent: number, gradient: number|null}|null}
+ *   Distance and elevations in m, gradient in % (null without elevation data)
+ */
+export function getRangeStatistics(startIndex, endIndex) {
+  const routeData = routeState.currentRouteData;
+  if (!routeData || !routeData.coordinates || endIndex <= startIndex) return null;
+
+  const { distances } = calculateCumulativeDistances(routeData.coordinates);
+  const distance = distances[endIndex] - distances[startIndex];
+
+  const elevations = routeData.elevations || [];
+  let ascent = 0;
+  let descent = 0;
+  let firstElevation = null;
+  let lastElevation = null;
+  for (let i = startIndex; i <= endIndex; i++) {
+    const elevation = elevations[i];
+    if (elevation === null || elevation === undefined) continue;
+    if (lastElevation !== null) {
+      const diff = elevation - lastElevation;
+      if (diff > 0) ascent += diff;
+      else descent -= diff;
+    }
+    if (firstElevation === null) firstElevation = elevation;
+    lastElevation = elevation;
+  }
+
+  const gradient = firstElevation !== null && distance > 0
+    ? (lastElevation - firstElevation) / distance * 100
+    : null;
+  return { distance, ascent, descent, gradient };
+}
+
+// ============================================================================
+// MAP AND PANEL
+// ============================================================================
+
+function zoomToHeightgraphSelection() {
+  const map = routeState.mapInstance;
+  const selection = routeState.heightgraphSelection;
+  const routeData = routeState.currentRouteData;
+  if (!map || !selection || !routeData) return;
+
+  const bounds = new maplibregl.LngLatBounds();
+  routeData.coordinates
+    .slice(selection.startIndex, selection.endIndex + 1)
+    .forEach(coord => bounds.extend(coord));
+  map.fitBounds(bounds, { padding: getMapPadding(), maxZoom: 17 });
+}
+
+// Padding that keeps the range clear of the routing panel on desktop
+function getMapPadding() {
+  if (window.innerWidth < 768) {
+    return 40;
+  }
+  const routingPanel = document.querySelector('.routing-panel');
+  const panelWidth = routingPanel && !routingPanel.classList.contains('collapsed')
+    ? routingPanel.getBoundingClientRect().width + 10
+    : 0;
+  return { top: 60, bottom: 60, left: 60, right: panelWidth + 60 };
+}
+
+function renderSelectionPanel() {
+  const panel = document.getElementById(UI_IDS.HEIGHTGRAPH_SELECTION);
+  const summary = document.getElementById(UI_IDS.HEIGHTGRAPH_SELECTION_SUMMARY);
+  const selection = routeState.heightgraphSelection;
+  if (!panel || !summary || !selection) return;
+
+  const stats = getRangeStatistics(selection.startIndex, selection.endIndex);
+  if (!stats) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  let text = `Auswahl: ${(stats.distance / 1000).toFixed(2)} km`;
+  if (stats.gradient !== null) {
+    text += ` · ↗ ${Math.round(stats.ascent)} m · ↘ ${Math.round(stats.descent)} m · Ø ${stats.gradient.toFixed(1)} %`;
+  }
+  summary.textContent = text;
+  panel.style.display = 'flex';
+}
@@ -2,8 +2,9 @@
 
 import { routeState } from '../routeState.js';
 import { calculateDistance } from './heightgraphUtils.js';
-import { getSurfaceColorForStats, getRoadClassColorForStats, getBicycleInfraColorForStats } from './heightgraphDrawing.js';
-import { getBicycleInfraDescription, getColorForEncodedValue } from '../colorSchemes.js';
+import { getSurfaceColorForStats, getRoadClassColorForStats, getBicycleInfraColorForStats, getCoverageTypeColorForStats, getGradientClassColorForStats } from './heightgraphDrawing.js';
+import { getBicycleInfraDescription, getCoverageTypeDescription, getGradientClassDescription, getColorForEncodedValue } from '../colorSchemes.js';
+import { COVERAGE_CONFLATION, GRADIENT_CLASSES } from '../../utils/constants.js';
 
 /**
  * Calculate and display statistics for the selected encoded value
@@ -23,30 +24,7 @@ export function updateHeightgraphStats(encodedType, encodedValues) {
     return;
   }
   
-  const valueDistances = {};
-  
-  for (let i = 0; i < data.length - 1 && i < coordinates.length - 1; i++) {
-    const value = data[i];
-    
-    if (value === null || value === undefined) {
-      continue;
-    }
-    
-    const segmentDistance = calculateDistance(coordinates[i], coordinates[i + 1]);
-    
-    let key;
-    if (encodedType === 'mapillary_coverage') {
-      const isTrue = value === true || value === 'True' || value === 'true';
-      key = isTrue ? 'true' : 'false';
-    } else {
-      key = String(value);
-    }
-    
-    if (!valueDistances[key]) {
-      valueDistances[key] = 0;
-    }
-    valueDistances[key] += segmentDistance;
-  }
+  const valueDistances = calculateValueDistances(encodedType, data, coordinates);
   
   if (Object.keys(valueDistances).length === 0) {
     statsContainer.innerHTML = '';
@@ -79,6 +57,12 @@ export function updateHeightgraphStats(encodedType, encodedValues) {
       } else {
         displayKey = displayKey.replace(/_/g, '<br>_');
       }
+    } else if (encodedType === COVERAGE_CONFLATION.ENCODED_TYPE) {
+      backgroundColor = getCoverageTypeColorForStats(key);
+      displayKey = getCoverageTypeDescription(key) || displayKey;
+    } else if (encodedType === GRADIENT_CLASSES.ENCODED_TYPE) {
+      backgroundColor = getGradientClassColorForStats(key);
+      displayKey = getGradientClassDescription(key) || displayKey;
     }
     
     // Add data attributes for hover functionality
@@ -99,6 +83,89 @@ export function updateHeightgraphStats(encodedType, encodedValues) {
   setupStatsHoverHandlers(encodedType, data, coordinates);
 }
 
+/**
+ * Distance per encoded value of the current route (or heightgraph selection), longest first
+ * Used for the legend of the image export
+ * @returns {Array<{key: string, label: string, distance: number}>} Distance in m
+ */
+export function getEncodedValueStats(encodedType) {
+  if (!routeState.currentRouteData) return [];
+  
+  const { encodedValues, coordinates } = routeState.currentRouteData;
+  const data = encodedValues ? encodedValues[encodedType] : null;
+  if (!data || data.length === 0 || !coordinates || coordinates.length === 0) return [];
+  
+  const valueDistances = calculateValueDistances(encodedType, data, coordinates);
+  return Object.keys(valueDistances)
+    .sort((a, b) => valueDistances[b] - valueDistances[a])
+    .map(key => ({ key, label: getValueLabel(encodedType, key), distance: valueDistances[key] }));
+}
+
+/**
+ * Sum the segment distances per value (mapillary_coverage normalized to 'true'/'false')
+ */
+function calculateValueDistances(encodedType, data, coordinates) {
+  const valueDistances = {};
+  const [rangeStart, rangeEnd] = getStatsRange(data, coordinates);
+  
+  for (let i = rangeStart; i < rangeEnd; i++) {
+    const value = data[i];
+    
+    if (value === null || value === undefined) {
+      continue;
+    }
+    
+    const segmentDistance = calculateDistance(coordinates[i], coordinates[i + 1]);
+    
+    let key;
+    if (encodedType === 'mapillary_coverage') {
+      const isTrue = value === true || value === 'True' || value === 'true';
+      key = isTrue ? 'true' : 'false';
+    } else {
+      key = String(value);
+    }
+    
+    if (!valueDistances[key]) {
+      valueDistances[key] = 0;
+    }
+    valueDistances[key] += segmentDistance;
+  }
+  
+  return valueDistances;
+}
+
+/**
+ * Plain text label of a stats value (descriptions where available)
+ */
+function getValueLabel(encodedType, key) {
+  if (encodedType === 'mapillary_coverage') {
+    return key === 'true' ? 'Mapillary Coverage: ja' : 'Mapillary Coverage: nein';
+  }
+  if (encodedType === 'bicycle_infra') {
+    const description = getBicycleInfraDescription(key);
+    return description ? description.replace(/<br>/g, ' ') : key.replace(/_/g, ' ');
+  }
+  if (encodedType === COVERAGE_CONFLATION.ENCODED_TYPE) {
+    return getCoverageTypeDescription(key) || key;
+  }
+  if (encodedType === GRADIENT_CLASSES.ENCODED_TYPE) {
+    return getGradientClassDescription(key) || key;
+  }
+  return key;
+}
+
+/**
+ * Segment index range [start, end) of the stats - the heightgraph selection if there is one
+ */
+function getStatsRange(data, coordinates) {
+  const lastSegment = Math.min(data.length, coordinates.length) - 1;
+  const selection = routeState.heightgraphSelection;
+  if (!selection) {
+    return [0, lastSegment];
+  }
+  return [Math.max(0, selection.startIndex), Math.min(lastSegment, selection.endIndex)];
+}
+
 /**
  * Setup hover handlers for stats items to highlight corresponding route segments
  */
@@ -133,9 +200,10 @@ function highlightSegmentsByValue(map, encodedType, targetValue, data, coordinat
   }
   
   const segments = [];
+  const [rangeStart, rangeEnd] = getStatsRange(data, coordinates);
   
   // Find all segments that match the target value
-  for (let i = 0; i < data.length - 1 && i < coordinates.length - 1; i++) {
+  for (let i = rangeStart; i < rangeEnd; i++) {
     const value = data[i];
     
     if (value === null || value === undefined) {
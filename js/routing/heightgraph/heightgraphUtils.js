@@ -1,6 +1,7 @@
 // Heightgraph utility functions
 
 import { HEIGHTGRAPH_CONFIG } from './heightgraphConfig.js';
+import { GRADIENT_CLASSES } from '../../utils/constants.js';
 
 /**
  * Get label for encoded type
@@ -11,6 +12,8 @@ export function getLabelForEncodedType(type) {
     'road_environment': 'Umgebung',
     'road_access': 'Zugang',
     'bicycle_infra': 'Fahrradinfrastruktur',
+    'mapillary_coverage_type': 'Mapillary Coverage (Panorama)',
+    'gradient': 'Steigung',
     'time': 'Zeit (s)',
     'distance': 'Distanz (m)',
     'street_name': 'Straßenname'
@@ -57,6 +60,60 @@ export function calculateCumulativeDistances(coordinates) {
   return { distances, total };
 }
 
+/**
+ * Calculate the slope (%) of every segment (coordinate i to i + 1)
+ * Averaged over a stretch of at least minDistance around the segment
+ * Returns number[] (length - 1 entries, null where elevations are missing)
+ */
+export function calculateSegmentSlopes(elevations, cumulativeDistances, minDistance) {
+  const slopes = [];
+  const lastIndex = elevations.length - 1;
+  
+  for (let i = 0; i < lastIndex; i++) {
+    let start = i;
+    let end = i + 1;
+    // Widen the stretch on both sides until it is long enough (or covers the whole route)
+    while (cumulativeDistances[end] - cumulativeDistances[start] < minDistance && (start > 0 || end < lastIndex)) {
+      if (start > 0) start--;
+      if (end < lastIndex && cumulativeDistances[end] - cumulativeDistances[start] < minDistance) end++;
+    }
+    
+    const stretch = cumulativeDistances[end] - cumulativeDistances[start];
+    const startElevation = elevations[start];
+    const endElevation = elevations[end];
+    if (stretch > 0 && startElevation !== null && startElevation !== undefined &&
+        endElevation !== null && endElevation !== undefined) {
+      slopes.push((endElevation - startElevation) / stretch * 100);
+    } else {
+      slopes.push(null);
+    }
+  }
+  
+  return slopes;
+}
+
+/**
+ * Bucket the smoothed segment slopes into GRADIENT_CLASSES
+ * smoothingDistance: slopes are averaged over at least this distance (m)
+ * Returns string[] with one class key per coordinate (the segment belongs to its start point,
+ * the last coordinate repeats the last segment), null where elevations are missing
+ */
+export function calculateGradientClasses(elevations, coordinates, smoothingDistance = GRADIENT_CLASSES.SMOOTHING_DISTANCE) {
+  if (!elevations || !coordinates || elevations.length < 2 || elevations.length !== coordinates.length) {
+    return [];
+  }
+  
+  const { distances } = calculateCumulativeDistances(coordinates);
+  const slopes = calculateSegmentSlopes(elevations, distances, smoothingDistance);
+  const classes = slopes.map(slope => {
+    if (slope === null) return null;
+    const gradientClass = GRADIENT_CLASSES.CLASSES.find(({ max }) => slope < max);
+    return gradientClass ? gradientClass.key : null;
+  });
+  classes.push(classes[classes.length - 1]);
+  return classes;
+}
+
 /**
  * Validate heightgraph data for consistency
  */
@@ -0,0 +1,238 @@
+// Heightgraph image export (PNG and SVG) for briefings and reports
+// Draws the current heightgraph offscreen with the same drawing functions as the visible canvas,
+// plus a legend from the encoded value stats - SVG records the canvas calls via SvgContext
+
+import { routeState } from './routeState.js';
+import { renderHeightgraph, getHeightgraphHeight } from './heightgraph.js';
+import { HEIGHTGRAPH_CONFIG } from './heightgraph/heightgraphConfig.js';
+import { setupCanvas } from './heightgraph/heightgraphCanvas.js';
+import { drawLegend, getLegendHeight } from './heightgraph/heightgraphDrawing.js';
+import { getEncodedValueStats } from './heightgraph/heightgraphStats.js';
+import { getColorForEncodedValue } from './colorSchemes.js';
+import { UI_IDS } from '../utils/constants.js';
+
+let exportHandlersRegistered = false;
+
+/**
+ * Register the export panel handlers (once)
+ */
+export function setupHeightgraphExport() {
+  if (exportHandlersRegistered) return;
+  exportHandlersRegistered = true;
+
+  const toggle = document.getElementById(UI_IDS.HEIGHTGRAPH_EXPORT_TOGGLE);
+  const panel = document.getElementById(UI_IDS.HEIGHTGRAPH_EXPORT_PANEL);
+  if (toggle && panel) {
+    toggle.addEventListener('click', () => {
+      const isOpen = panel.style.display === 'none';
+      panel.style.display = isOpen ? 'flex' : 'none';
+      toggle.classList.toggle('active', isOpen);
+    });
+  }
+
+  const pngBtn = document.getElementById(UI_IDS.HEIGHTGRAPH_EXPORT_PNG);
+  if (pngBtn) {
+    pngBtn.addEventListener('click', () => {
+      const scaleSelect = document.getElementById(UI_IDS.HEIGHTGRAPH_EXPORT_SCALE);
+      exportHeightgraphPNG(scaleSelect ? Number(scaleSelect.value) : 2);
+    });
+  }
+
+  const svgBtn = document.getElementById(UI_IDS.HEIGHTGRAPH_EXPORT_SVG);
+  if (svgBtn) {
+    svgBtn.addEventListener('click', exportHeightgraphSVG);
+  }
+}
+
+/**
+ * Export the current heightgraph as PNG
+ * @param {number} scale - Pixels per logical pixel (HEIGHTGRAPH_CONFIG.export.width * scale wide)
+ */
+export function exportHeightgraphPNG(scale = 2) {
+  const layout = getExportLayout();
+  if (!layout) return;
+
+  const canvas = document.createElement('canvas');
+  const ctx = setupCanvas(canvas, layout.width, layout.height, scale);
+  if (!drawExport(ctx, layout)) return;
+
+  canvas.toBlob(blob => {
+    if (blob) {
+      downloadBlob(blob, `${getExportFilename()}.png`);
+    }
+  }, 'image/png');
+}
+
+/**
+ * Export the current heightgraph as SVG
+ */
+export function exportHeightgraphSVG() {
+  const layout = getExportLayout();
+  if (!layout) return;
+
+  const ctx = new SvgContext();
+  if (!drawExport(ctx, layout)) return;
+
+  const blob = new Blob([ctx.toSVG(layout.width, layout.height)], { type: 'image/svg+xml' });
+  downloadBlob(blob, `${getExportFilename()}.svg`);
+}
+
+// ============================================================================
+// LAYOUT AND DRAWING
+// ============================================================================
+
+// Size of graph and legend, null (with a message) without a route
+function getExportLayout() {
+  const routeData = routeState.currentRouteData;
+  if (!routeData || !routeData.coordinates || routeData.coordinates.length < 2) {
+    alert('Kein Höhenprofil zum Exportieren vorhanden');
+    return null;
+  }
+
+  const { padding, export: exportConfig } = HEIGHTGRAPH_CONFIG;
+  const encodedType = routeState.currentEncodedType;
+  const graphWidth = exportConfig.width - padding.left - padding.right;
+  const legendItems = getEncodedValueStats(encodedType).map(item => ({
+    ...item,
+    color: getColorForEncodedValue(encodedType, item.key)
+  }));
+  const graphHeight = getHeightgraphHeight(exportConfig.height, routeData.encodedValues || {});
+  const legendHeight = getLegendHeight(legendItems.length, graphWidth);
+
+  return {
+    width: exportConfig.width,
+    height: graphHeight + exportConfig.legendMargin + legendHeight,
+    graphHeight,
+    graphWidth,
+    encodedType,
+    legendItems
+  };
+}
+
+// Background, heightgraph and legend - false if there was nothing to draw
+function drawExport(ctx, layout) {
+  const { elevations, distance, encodedValues, coordinates } = routeState.currentRouteData;
+
+  // Filled background, the visible canvas relies on the panel behind it
+  ctx.fillStyle = HEIGHTGRAPH_CONFIG.colors.background;
+  ctx.fillRect(0, 0, layout.width, layout.height);
+
+  const result = renderHeightgraph(ctx, layout.width, layout.graphHeight, elevations || [], distance,
+    encodedValues || {}, coordinates, layout.encodedType);
+  if (!result) {
+    alert('Kein Höhenprofil zum Exportieren vorhanden');
+    return false;
+  }
+
+  const legendTop = layout.graphHeight + HEIGHTGRAPH_CONFIG.export.legendMargin;
+  drawLegend(ctx, getLegendTitle(layout.encodedType), layout.legendItems, HEIGHTGRAPH_CONFIG.padding,
+    layout.graphWidth, legendTop);
+  return true;
+}
+
+// Name of the selected encoded value as shown in the select, marked when only a range is counted
+function getLegendTitle(encodedType) {
+  const select = document.getElementById(UI_IDS.ENCODED_SELECT);
+  const option = select ? Array.from(select.options).find(opt => opt.value === encodedType) : null;
+  const title = option ? option.textContent.trim() : encodedType;
+  return routeState.heightgraphSelection ? `${title} (Auswahl)` : title;
+}
+
+function getExportFilename() {
+  return `hoehenprofil_${new Date().toISOString().split('T')[0]}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// ============================================================================
+// SVG CONTEXT
+// ============================================================================
+
+// Records the subset of CanvasRenderingContext2D the heightgraph drawing functions use as SVG elements
+class SvgContext {
+  constructor() {
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'left';
+    this.textBaseline = 'alphabetic';
+    this.elements = [];
+    this.path = '';
+  }
+
+  beginPath() {
+    this.path = '';
+  }
+
+  moveTo(x, y) {
+    this.path += `M${round(x)} ${round(y)}`;
+  }
+
+  lineTo(x, y) {
+    this.path += `L${round(x)} ${round(y)}`;
+  }
+
+  closePath() {
+    this.path += 'Z';
+  }
+
+  stroke() {
+    if (!this.path) return;
+    this.elements.push(`<path d="${this.path}" fill="none" ${paint('stroke', this.strokeStyle)} stroke-width="${this.lineWidth}" stroke-linejoin="round"/>`);
+  }
+
+  fill() {
+    if (!this.path) return;
+    this.elements.push(`<path d="${this.path}" ${paint('fill', this.fillStyle)}/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    this.elements.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" ${paint('fill', this.fillStyle)}/>`);
+  }
+
+  fillText(text, x, y) {
+    const [, size, family] = this.font.match(/^(\S+)\s+(.+)$/) || [null, '10px', 'sans-serif'];
+    const anchor = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+    const baseline = this.textBaseline === 'middle' ? ' dominant-baseline="middle"' : '';
+    this.elements.push(`<text x="${round(x)}" y="${round(y)}" font-size="${size}" font-family="${escapeXml(family)}" text-anchor="${anchor}"${baseline} ${paint('fill', this.fillStyle)}>${escapeXml(String(text))}</text>`);
+  }
+
+  // Nothing to clear or scale in a fresh vector document
+  clearRect() {}
+  scale() {}
+  setTransform() {}
+
+  toSVG(width, height) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+${this.elements.join('\n')}
+</svg>`;
+  }
+}
+
+// rgba() isn't understood by every SVG consumer - split into color and opacity
+function paint(attribute, color) {
+  const match = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(color);
+  if (match) {
+    return `${attribute}="rgb(${match[1]}, ${match[2]}, ${match[3]})" ${attribute}-opacity="${match[4]}"`;
+  }
+  return `${attribute}="${escapeXml(color)}"`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
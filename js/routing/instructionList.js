@@ -0,0 +1,208 @@
+// Turn-by-turn instruction list (cue sheet) linked to the map and the heightgraph
+
+import { routeState } from './routeState.js';
+import { calculateDistance } from './heightgraph/heightgraphUtils.js';
+import { showHeightgraphIndicatorAtIndex } from './heightgraph/heightgraphInteractivity.js';
+import { UI_IDS } from '../utils/constants.js';
+
+// GraphHopper instruction sign -> arrow rotation in degrees (0 = straight ahead)
+const SIGN_ROTATIONS = {
+  '-98': 180, // U-turn (unknown direction)
+  '-8': 180, // U-turn left
+  '-7': -30, // keep left
+  '-3': -135, // sharp left
+  '-2': -90, // left
+  '-1': -45, // slight left
+  '0': 0, // continue
+  '1': 45, // slight right
+  '2': 90, // right
+  '3': 135, // sharp right
+  '7': 30, // keep right
+  '8': 180 // U-turn right
+};
+
+const SIGN_FINISH = 4;
+const SIGN_VIA_REACHED = 5;
+const SIGN_ROUNDABOUT = 6;
+const SIGN_LEAVE_ROUNDABOUT = -6;
+
+let isExpanded = false;
+let listHandlersRegistered = false;
+// Instructions of the displayed route
+let currentInstructions = [];
+
+/**
+ * Render the instruction list for a route (hidden if the route has no instructions)
+ * @param {maplibregl.Map} map - Map instance
+ * @param {Object} path - Path summary with instructions (GraphHopper format)
+ * @param {Array<Array<number>>} coordinates - Route coordinates [lng, lat]
+ * @param {Object} encodedValues - Per-coordinate encoded values (for the coverage badge)
+ */
+export function updateInstructionList(map, path, coordinates, encodedValues) {
+  const container = document.getElementById(UI_IDS.INSTRUCTION_LIST_CONTAINER);
+  const list = document.getElementById(UI_IDS.INSTRUCTION_LIST);
+  if (!container || !list) return;
+
+  const instructions = path && Array.isArray(path.instructions) ? path.instructions : [];
+  if (instructions.length === 0) {
+    clearInstructionList();
+    return;
+  }
+
+  setupInstructionListHandlers(map);
+  currentInstructions = instructions;
+
+  list.innerHTML = instructions.map((inst, index) => {
+    const coverage = getCoverageShare(inst.interval, coordinates, encodedValues);
+    const text = inst.text || inst.street_name || '';
+    return `
+      <div class="instruction-item" data-index="${index}" title="Auf der Karte zeigen">
+        <span class="instruction-sign">${getSignIcon(inst.sign)}</span>
+        <span class="instruction-text">${escapeHtml(text)}</span>
+        ${inst.distance > 0 ? `<span class="instruction-distance">${formatInstructionDistance(inst.distance)}</span>` : ''}
+        ${coverage !== null ? `<span class="instruction-coverage ${getCoverageClass(coverage)}" title="Anteil mit Mapillary-Abdeckung">${Math.round(coverage * 100)} %</span>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  const count = document.getElementById(UI_IDS.INSTRUCTION_LIST_COUNT);
+  if (count) {
+    count.textContent = instructions.length;
+  }
+
+  list.style.display = isExpanded ? 'block' : 'none';
+  container.style.display = 'block';
+}
+
+/**
+ * Hide and empty the instruction list
+ */
+export function clearInstructionList() {
+  currentInstructions = [];
+  const container = document.getElementById(UI_IDS.INSTRUCTION_LIST_CONTAINER);
+  const list = document.getElementById(UI_IDS.INSTRUCTION_LIST);
+  if (list) {
+    list.innerHTML = '';
+  }
+  if (container) {
+    container.style.display = 'none';
+  }
+}
+
+// Toggle and click handlers (registered once, the list content is replaced per route)
+function setupInstructionListHandlers(map) {
+  if (listHandlersRegistered) return;
+  listHandlersRegistered = true;
+
+  const toggle = document.getElementById(UI_IDS.INSTRUCTION_LIST_TOGGLE);
+  const list = document.getElementById(UI_IDS.INSTRUCTION_LIST);
+
+  if (toggle) {
+    toggle.addEventListener('click', () => {
+      isExpanded = !isExpanded;
+      toggle.classList.toggle('expanded', isExpanded);
+      if (list) {
+        list.style.display = isExpanded ? 'block' : 'none';
+      }
+      // Panel height changed
+      window.dispatchEvent(new CustomEvent('routingPanelToggled'));
+    });
+  }
+
+  if (list) {
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('.instruction-item');
+      if (!item) return;
+
+      list.querySelectorAll('.instruction-item').forEach(el => el.classList.toggle('active', el === item));
+      focusInstruction(map, parseInt(item.dataset.index, 10));
+    });
+  }
+}
+
+// Fly to the instruction's interval and move the heightgraph indicator to its start
+function focusInstruction(map, index) {
+  const instruction = currentInstructions[index];
+  const coordinates = routeState.currentRouteData ? routeState.currentRouteData.coordinates : null;
+  if (!instruction || !coordinates) return;
+
+  const [startIdx, endIdx] = instruction.interval || [0, 0];
+  const intervalCoords = coordinates.slice(startIdx, endIdx + 1);
+  if (intervalCoords.length === 0) return;
+
+  if (intervalCoords.length === 1) {
+    map.flyTo({ center: intervalCoords[0], zoom: Math.max(map.getZoom(), 16) });
+  } else {
+    const bounds = intervalCoords.reduce((b, coord) => b.extend(coord),
+      new maplibregl.LngLatBounds(intervalCoords[0], intervalCoords[0]));
+    map.fitBounds(bounds, { padding: getMapPadding(), maxZoom: 17 });
+  }
+
+  showHeightgraphIndicatorAtIndex(startIdx);
+}
+
+// Padding that keeps the interval clear of the routing panel on desktop
+function getMapPadding() {
+  if (window.innerWidth < 768) {
+    return 40;
+  }
+  const routingPanel = document.querySelector('.routing-panel');
+  const panelWidth = routingPanel && !routingPanel.classList.contains('collapsed')
+    ? routingPanel.getBoundingClientRect().width + 10
+    : 0;
+  return { top: 60, bottom: 60, left: 60, right: panelWidth + 60 };
+}
+
+// Share of the interval distance with mapillary_coverage == true (null without coverage data)
+function getCoverageShare(interval, coordinates, encodedValues) {
+  const coverage = encodedValues ? encodedValues.mapillary_coverage : null;
+  if (!coverage || !Array.isArray(interval) || !coordinates) return null;
+
+  const [startIdx, endIdx] = interval;
+  let total = 0;
+  let covered = 0;
+  for (let i = startIdx; i < endIdx && i < coordinates.length - 1; i++) {
+    const segmentDist = calculateDistance(coordinates[i], coordinates[i + 1]);
+    total += segmentDist;
+    if (coverage[i] === true || coverage[i] === 'true') {
+      covered += segmentDist;
+    }
+  }
+  return total > 0 ? covered / total : null;
+}
+
+function getCoverageClass(share) {
+  if (share >= 0.95) return 'covered';
+  if (share <= 0.05) return 'uncovered';
+  return 'partial';
+}
+
+function formatInstructionDistance(meters) {
+  if (meters < 1000) {
+    return `${Math.round(meters)} m`;
+  }
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+function getSignIcon(sign) {
+  const svgStart = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">';
+
+  if (sign === SIGN_FINISH) {
+    return `${svgStart}<path d="M5 21V4h12l-2 4 2 4H5"/></svg>`;
+  }
+  if (sign === SIGN_VIA_REACHED) {
+    return `${svgStart}<circle cx="12" cy="12" r="4"/></svg>`;
+  }
+  if (sign === SIGN_ROUNDABOUT || sign === SIGN_LEAVE_ROUNDABOUT) {
+    return `${svgStart}<circle cx="12" cy="9" r="5"/><path d="M12 14v7"/><path d="M16 5l1.5-2.5"/></svg>`;
+  }
+
+  const rotation = SIGN_ROTATIONS[String(sign)] || 0;
+  return `${svgStart}<g transform="rotate(${rotation} 12 12)"><path d="M12 20V5"/><path d="M6 11l6-6 6 6"/></g></svg>`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
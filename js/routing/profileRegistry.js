@@ -0,0 +1,291 @@
+// Profile registry: everything the app knows about a routing profile in one place
+//
+// Every profile declares:
+//   id                  App profile name (routeState.selectedProfile, data-profile of the header button, permalink)
+//   label               Title of the header button
+//   icon                SVG of the header button
+//   color               Route line colour
+//   backendProfiles     Profile name per backend type ({graphhopper, brouter})
+//   chDisable           GraphHopper: request with ch.disable=true (custom models need LM or flexible mode)
+//   defaultCustomModel  Default custom model (getter, the models live in customModel.js)
+//   toggles             Toggles shown in #customizable-slider-container (applied in this order),
+//                       on/off rule switches come from ruleToggles.js
+//
+// Every toggle declares:
+//   state               routeState key holding the value
+//   type                'switch' (boolean) or 'select'
+//   containerId, inputId
+//   permalinkKey        URL parameter (legacyPermalinkKeys: old names that are still read)
+//   defaultValue        Value without URL parameter (not written to the URL)
+//   apply(customModel, value) -> customModel
+//   read(customModel) -> value          (derives the value from a model replaced as a whole)
+//   parse(param) -> value|null          (select only: URL or option value)
+//   optionLabel(value)                  (select only: label for values without option, e.g. from the editor)
+//   applyOnRequest                      false = only applied to a fresh default model (rules may be edited by hand)
+
+import { routeState } from './routeState.js';
+import {
+  defaultCarCustomModel,
+  defaultBikeCustomModel,
+  defaultFootCustomModel,
+  BIKE_TYPE_PRESETS,
+  updateCaptureSpeedRule,
+  getCaptureSpeedRule,
+  updateBikeTypeRules,
+  getBikeType,
+  HILL_SENSITIVITY_PRESETS,
+  updateHillSensitivityRules,
+  getHillSensitivity,
+  updateWheelchairRule,
+  getWheelchairRule
+} from './customModel.js';
+import { getProfileRuleToggles } from './ruleToggles.js';
+import { CAPTURE_SPEED } from '../utils/constants.js';
+
+const DEFAULT_ROUTE_COLOR = '#3b82f6';
+
+const PROFILES = [
+  {
+    id: 'bike_customizable',
+    label: 'Fahrrad (Anpassbar)',
+    icon: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <circle cx="5.5" cy="17.5" r="3.5"/>
+      <circle cx="18.5" cy="17.5" r="3.5"/>
+      <path d="M15 6a1 1 0 1 0 0-2 1 1 0 0 0 0 2z"/>
+      <path d="M12 17.5V14l-3-3 4-3 2 3h3"/>
+    </svg>`,
+    color: '#10b981',
+    backendProfiles: { graphhopper: 'bike', brouter: 'trekking' },
+    chDisable: true,
+    get defaultCustomModel() {
+      return defaultBikeCustomModel;
+    },
+    toggles: [
+      // Bike type first - the rule toggles are layered on top of its rules
+      {
+        state: 'bikeType',
+        type: 'select',
+        containerId: 'bike-type-container',
+        inputId: 'bike-type-select',
+        permalinkKey: 'bikeType',
+        defaultValue: 'trekking',
+        applyOnRequest: false,
+        apply: updateBikeTypeRules,
+        read: getBikeType,
+        parse: (param) => (BIKE_TYPE_PRESETS[param] ? param : null)
+      },
+      // Rescales the slope chain of the bike type
+      {
+        state: 'hillSensitivity',
+        type: 'select',
+        containerId: 'hill-sensitivity-container',
+        inputId: 'hill-sensitivity-select',
+        permalinkKey: 'hills',
+        defaultValue: 'normal',
+        apply: updateHillSensitivityRules,
+        read: getHillSensitivity,
+        parse: (param) => (HILL_SENSITIVITY_PRESETS[param] ? param : null)
+      },
+      ...getProfileRuleToggles('bike_customizable')
+    ]
+  },
+  {
+    id: 'car_customizable',
+    label: 'Auto (Anpassbar)',
+    icon: `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
+      <path d="M19.78 9.44L17.94 4.44C17.8238 4.09604 17.6036 3.79671 17.3097 3.5835C17.0159 3.37029 16.663 3.25374 16.3 3.25H7.7C7.3418 3.2508 6.99248 3.36151 6.6992 3.56716C6.40592 3.77281 6.18281 4.06351 6.06 4.4L4.22 9.4C3.92473 9.54131 3.67473 9.76216 3.49808 10.0377C3.32142 10.3133 3.22512 10.6327 3.22 10.96V15.46C3.21426 15.7525 3.28279 16.0417 3.41921 16.3006C3.55562 16.5594 3.75544 16.7794 4 16.94V17V19C4 19.2652 4.10536 19.5196 4.29289 19.7071C4.48043 19.8946 4.73478 20 5 20H6C6.26522 20 6.51957 19.8946 6.70711 19.7071C6.89464 19.5196 7 19.2652 7 19V17.25H17V19C17 19.2652 17.1054 19.5196 17.2929 19.7071C17.4804 19.8946 17.7348 20 18 20H19C19.2652 20 19.5196 19.8946 19.7071 19.7071C19.8946 19.5196 20 19.2652 20 19V17C20 17 20 17 20 16.94C20.2351 16.7808 20.4275 16.5661 20.56 16.315C20.6925 16.0639 20.7612 15.784 20.76 15.5V11C20.7567 10.6748 20.6634 10.3569 20.4904 10.0815C20.3174 9.80616 20.0715 9.58411 19.78 9.44ZM19.25 15.5C19.25 15.5663 19.2237 15.6299 19.1768 15.6768C19.1299 15.7237 19.0663 15.75 19 15.75H5C4.93369 15.75 4.87011 15.7237 4.82322 15.6768C4.77634 15.6299 4.75 15.5663 4.75 15.5V11C4.75 10.9337 4.77634 10.8701 4.82322 10.8232C4.87011 10.7763 4.93369 10.75 5 10.75H19C19.0663 10.75 19.1299 10.7763 19.1768 10.8232C19.2237 10.8701 19.25 10.9337 19.25 11V15.5ZM7.47 4.91C7.48797 4.86341 7.51949 4.82327 7.56048 4.79475C7.60147 4.76624 7.65007 4.75065 7.7 4.75H16.3C16.3499 4.75065 16.3985 4.76624 16.4395 4.79475C16.4805 4.82327 16.512 4.86341 16.53 4.91L17.93 8.75H6.07L7.47 4.91Z"/>
+      <path d="M8 14.75C8.82843 14.75 9.5 14.0784 9.5 13.25C9.5 12.4216 8.82843 11.75 8 11.75C7.17157 11.75 6.5 12.4216 6.5 13.25C6.5 14.0784 7.17157 14.75 8 14.75Z"/>
+      <path d="M16 14.75C16.8284 14.75 17.5 14.0784 17.5 13.25C17.5 12.4216 16.8284 11.75 16 11.75C15.1716 11.75 14.5 12.4216 14.5 13.25C14.5 14.0784 15.1716 14.75 16 14.75Z"/>
+    </svg>`,
+    color: '#6366f1',
+    backendProfiles: { graphhopper: 'car', brouter: 'car-fast' },
+    chDisable: true,
+    get defaultCustomModel() {
+      return defaultCarCustomModel;
+    },
+    toggles: [
+      ...getProfileRuleToggles('car_customizable'),
+      {
+        state: 'maxCaptureSpeed',
+        type: 'select',
+        containerId: 'capture-speed-container',
+        inputId: 'capture-speed-select',
+        permalinkKey: 'maxCaptureSpeed',
+        defaultValue: null,
+        apply: updateCaptureSpeedRule,
+        read: getCaptureSpeedRule,
+        parse: (param) => {
+          const speed = parseInt(param, 10);
+          return speed >= CAPTURE_SPEED.MIN && speed <= CAPTURE_SPEED.MAX ? speed : null;
+        },
+        optionLabel: (value) => `${value} km/h`
+      }
+    ]
+  },
+  {
+    id: 'foot_customizable',
+    label: 'Zu Fuß (Anpassbar)',
+    icon: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <circle cx="13" cy="4" r="2"/>
+      <path d="M15 21l-2-6-3-3 1-5 4 4h3"/>
+      <path d="M10 12l-2 9"/>
+      <path d="M11 7L7 9v4"/>
+    </svg>`,
+    color: '#f97316',
+    backendProfiles: { graphhopper: 'foot', brouter: 'hiking-mountain' },
+    chDisable: true,
+    get defaultCustomModel() {
+      return defaultFootCustomModel;
+    },
+    toggles: [
+      {
+        state: 'wheelchair',
+        type: 'switch',
+        containerId: 'wheelchair-container',
+        inputId: 'wheelchair',
+        permalinkKey: 'wheelchair',
+        defaultValue: false,
+        apply: updateWheelchairRule,
+        read: getWheelchairRule
+      },
+      ...getProfileRuleToggles('foot_customizable')
+    ]
+  }
+];
+
+/**
+ * Get all registered profiles (in header button order)
+ * @returns {Array<Object>} Profiles
+ */
+export function getProfiles() {
+  return PROFILES;
+}
+
+/**
+ * Get a registered profile
+ * @param {string} profileId - App profile name
+ * @returns {Object|null} Profile, null for unregistered (e.g. server-only) profiles
+ */
+export function getProfile(profileId) {
+  return PROFILES.find(profile => profile.id === profileId) || null;
+}
+
+/**
+ * Get the rule toggles of a profile
+ * @param {string} profileId - App profile name
+ * @returns {Array<Object>} Toggles (empty for unregistered profiles)
+ */
+export function getProfileToggles(profileId) {
+  const profile = getProfile(profileId);
+  return profile ? profile.toggles : [];
+}
+
+/**
+ * Get the profile name a backend uses for an app profile
+ * @param {string} profileId - App profile name
+ * @param {string} backendType - Backend type ('graphhopper', 'brouter')
+ * @returns {string} Backend profile name (unregistered profiles are passed through)
+ */
+export function getBackendProfile(profileId, backendType) {
+  const profile = getProfile(profileId);
+  return profile && profile.backendProfiles[backendType] ? profile.backendProfiles[backendType] : profileId;
+}
+
+/**
+ * Get the app -> backend profile mapping of a backend type
+ * @param {string} backendType - Backend type ('graphhopper', 'brouter')
+ * @returns {Object} Backend profile name by app profile name
+ */
+export function getBackendProfiles(backendType) {
+  const profiles = {};
+  PROFILES.forEach(profile => {
+    if (profile.backendProfiles[backendType]) {
+      profiles[profile.id] = profile.backendProfiles[backendType];
+    }
+  });
+  return profiles;
+}
+
+/**
+ * Check if GraphHopper requests for a profile need ch.disable=true
+ * @param {string} profileId - App profile name
+ * @returns {boolean} True for profiles that declare chDisable
+ */
+export function isChDisabled(profileId) {
+  const profile = getProfile(profileId);
+  return Boolean(profile && profile.chDisable);
+}
+
+/**
+ * Get the route line colour of a profile
+ * @param {string} profileId - App profile name
+ * @returns {string} Colour (default blue for unregistered profiles)
+ */
+export function getProfileColor(profileId) {
+  const profile = getProfile(profileId);
+  return profile ? profile.color : DEFAULT_ROUTE_COLOR;
+}
+
+/**
+ * Apply the rule toggles of a profile with the values from routeState
+ * @param {Object} customModel - Custom model to update
+ * @param {string} profileId - App profile name
+ * @param {Object} options - {fresh: true for a just created default model (also applies applyOnRequest: false toggles)}
+ * @returns {Object} Updated custom model
+ */
+export function applyProfileToggles(customModel, profileId, { fresh = false } = {}) {
+  if (!customModel) return customModel;
+  return getProfileToggles(profileId).reduce((model, toggle) => {
+    if (!fresh && toggle.applyOnRequest === false) return model;
+    return toggle.apply(model, routeState[toggle.state]);
+  }, customModel);
+}
+
+/**
+ * Permalink value of a toggle
+ * @param {Object} toggle - Toggle declaration
+ * @param {*} value - Toggle value
+ * @returns {string|null} URL parameter value, null if the value is the default (omitted)
+ */
+export function serializeToggleValue(toggle, value) {
+  if (value === null || value === undefined || value === toggle.defaultValue) return null;
+  return toggle.type === 'switch' ? '1' : String(value);
+}
+
+/**
+ * Toggle value from the permalink
+ * @param {Object} toggle - Toggle declaration
+ * @param {URLSearchParams} params - URL parameters
+ * @returns {*} Value (defaultValue if the parameter is missing or invalid)
+ */
+export function parseToggleParam(toggle, params) {
+  const param = [toggle.permalinkKey, ...(toggle.legacyPermalinkKeys || [])]
+    .map(key => params.get(key))
+    .find(value => value !== null);
+  if (param === undefined) return toggle.defaultValue;
+
+  if (toggle.type === 'switch') {
+    return param === '1' || param === 'true';
+  }
+  const value = toggle.parse(param);
+  return value === null ? toggle.defaultValue : value;
+}
+
+/**
+ * Create the header buttons of the registered profiles (once, before permalink and UI handlers)
+ * Buttons for additional server profiles are added later (see serverInfo.js)
+ */
+export function renderProfileButtons() {
+  const selector = document.querySelector('.profile-selector');
+  if (!selector || selector.querySelector('.profile-btn')) return;
+
+  PROFILES.forEach(profile => {
+    const btn = document.createElement('button');
+    btn.className = 'profile-btn';
+    btn.dataset.profile = profile.id;
+    btn.title = profile.label;
+    btn.innerHTML = profile.icon;
+    btn.classList.toggle('active', profile.id === routeState.selectedProfile);
+    selector.appendChild(btn);
+  });
+}
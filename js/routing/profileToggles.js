@@ -0,0 +1,111 @@
+// Rule toggles of the customizable profiles (switches and selects in #customizable-slider-container)
+// Driven by the toggle declarations in profileRegistry.js
+
+import { routeState } from './routeState.js';
+import { ensureCustomModel, getMapillaryPriority, updateMapillaryPriority } from './customModel.js';
+import { getProfiles, getProfileToggles } from './profileRegistry.js';
+import { recalculateRouteIfReady } from './routeRecalculator.js';
+
+let toggleHandlersRegistered = false;
+
+/**
+ * Register the change handlers of all toggle inputs (once)
+ */
+export function setupProfileToggles() {
+  if (toggleHandlersRegistered) return;
+  toggleHandlersRegistered = true;
+
+  getProfiles().forEach(profile => {
+    profile.toggles.forEach((toggle, index) => {
+      const input = document.getElementById(toggle.inputId);
+      if (!input) return;
+
+      input.addEventListener('change', (e) => {
+        if (routeState.selectedProfile !== profile.id) return;
+
+        const value = readInputValue(toggle, e.target);
+        // "Angepasst" and similar placeholder options can't be selected back
+        if (value === null && toggle.defaultValue !== null) return;
+        routeState[toggle.state] = value;
+
+        if (!routeState.customModel) {
+          routeState.customModel = ensureCustomModel(null, routeState.selectedProfile);
+        }
+
+        // Later toggles are layered on top of this one (e.g. avoid pushing on the bike type rules),
+        // the Mapillary weight stays as set by the slider
+        const currentMapillaryWeight = getMapillaryPriority(routeState.customModel);
+        routeState.customModel = profile.toggles.slice(index).reduce((model, laterToggle) => {
+          if (laterToggle !== toggle && laterToggle.applyOnRequest === false) return model;
+          return laterToggle.apply(model, routeState[laterToggle.state]);
+        }, routeState.customModel);
+        if (currentMapillaryWeight !== null && currentMapillaryWeight !== undefined) {
+          routeState.customModel = updateMapillaryPriority(routeState.customModel, currentMapillaryWeight);
+        }
+
+        recalculateRouteIfReady();
+      });
+    });
+  });
+}
+
+/**
+ * Show the toggles of the selected profile with their routeState values, hide all others
+ */
+export function updateProfileToggles() {
+  getProfiles().forEach(profile => {
+    const isSelected = profile.id === routeState.selectedProfile;
+    profile.toggles.forEach(toggle => {
+      const container = document.getElementById(toggle.containerId);
+      if (container) {
+        container.style.display = isSelected ? 'block' : 'none';
+      }
+      if (isSelected) {
+        setToggleInputValue(toggle, routeState[toggle.state]);
+      }
+    });
+  });
+}
+
+/**
+ * Derive the toggle values from routeState.customModel and show them
+ * The toggles are applied to the model before every request, so they must match a model
+ * that was replaced as a whole (editor, presets)
+ */
+export function syncProfileTogglesFromCustomModel() {
+  getProfileToggles(routeState.selectedProfile).forEach(toggle => {
+    routeState[toggle.state] = toggle.read(routeState.customModel);
+  });
+  updateProfileToggles();
+}
+
+/**
+ * Show a toggle value in its input (selects get an option for values from the editor or permalink)
+ * @param {Object} toggle - Toggle declaration (see profileRegistry.js)
+ * @param {*} value - Toggle value, null shows the empty option of a select
+ */
+export function setToggleInputValue(toggle, value) {
+  const input = document.getElementById(toggle.inputId);
+  if (!input) return;
+
+  if (toggle.type === 'switch') {
+    input.checked = Boolean(value);
+    return;
+  }
+
+  const optionValue = value === null || value === undefined ? '' : String(value);
+  if (toggle.optionLabel && !Array.from(input.options).some(option => option.value === optionValue)) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = toggle.optionLabel(value);
+    input.appendChild(option);
+  }
+  input.value = optionValue;
+}
+
+function readInputValue(toggle, input) {
+  if (toggle.type === 'switch') {
+    return input.checked;
+  }
+  return input.value ? toggle.parse(input.value) : null;
+}
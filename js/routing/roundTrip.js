@@ -0,0 +1,59 @@
+// Round trip mode: request options for GraphHopper algorithm=round_trip
+
+import { routeState } from './routeState.js';
+import { ROUND_TRIP } from '../utils/constants.js';
+
+/**
+ * Check whether the next route should be calculated as round trip
+ * @returns {boolean}
+ */
+export function isRoundTripActive() {
+  return routeState.roundTripEnabled === true;
+}
+
+/**
+ * Clamp a round trip distance to the supported range
+ * @param {number} distance - Distance in meters
+ * @returns {number} Distance in meters
+ */
+export function clampRoundTripDistance(distance) {
+  if (typeof distance !== 'number' || isNaN(distance)) {
+    return ROUND_TRIP.DEFAULT_DISTANCE;
+  }
+  return Math.max(ROUND_TRIP.MIN_DISTANCE, Math.min(ROUND_TRIP.MAX_DISTANCE, Math.round(distance)));
+}
+
+/**
+ * Add round_trip parameters to a POST request body
+ * The request must contain exactly one point (the start point)
+ * @param {Object} requestBody - Request body built by buildPostRequestBodyWithCustomModel
+ * @returns {Object} The same request body (modified in place)
+ */
+export function applyRoundTripOptions(requestBody) {
+  requestBody.algorithm = 'round_trip';
+  requestBody['round_trip.distance'] = clampRoundTripDistance(routeState.roundTripDistance);
+  requestBody['round_trip.seed'] = routeState.roundTripSeed || 0;
+
+  if (typeof routeState.roundTripHeading === 'number') {
+    requestBody.headings = [routeState.roundTripHeading];
+    requestBody.heading_penalty = ROUND_TRIP.HEADING_PENALTY;
+  }
+
+  return requestBody;
+}
+
+/**
+ * Build round_trip URL parameters for GET requests
+ * @returns {string} Query string without leading '&'
+ */
+export function getRoundTripUrlParams() {
+  const params = [
+    'algorithm=round_trip',
+    `round_trip.distance=${clampRoundTripDistance(routeState.roundTripDistance)}`,
+    `round_trip.seed=${routeState.roundTripSeed || 0}`
+  ];
+  if (typeof routeState.roundTripHeading === 'number') {
+    params.push(`heading=${routeState.roundTripHeading}`, `heading_penalty=${ROUND_TRIP.HEADING_PENALTY}`);
+  }
+  return params.join('&');
+}
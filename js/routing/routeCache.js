@@ -0,0 +1,246 @@
+// Route response cache: in-memory LRU backed by IndexedDB
+// Identical route requests (encoded select, theme switch, permalinks, weight comparison) are answered locally
+
+import { ROUTE_CACHE } from '../utils/constants.js';
+
+const BYPASS_STORAGE_KEY = 'route-cache-bypass';
+
+// key -> { key, data, timestamp } (Map keeps insertion order - oldest entry first)
+const memoryCache = new Map();
+let dbPromise = null;
+let bypassCache = loadStoredBypass();
+
+function loadStoredBypass() {
+  try {
+    return localStorage.getItem(BYPASS_STORAGE_KEY) === 'true';
+  } catch (e) {
+    // localStorage not available (e.g. privacy mode)
+    return false;
+  }
+}
+
+/**
+ * Check whether cached responses are ignored
+ * @returns {boolean}
+ */
+export function isRouteCacheBypassed() {
+  return bypassCache;
+}
+
+/**
+ * Ignore cached responses (responses are still stored, so the cache stays fresh)
+ * @param {boolean} bypass - True to always fetch from the server
+ */
+export function setRouteCacheBypassed(bypass) {
+  bypassCache = bypass === true;
+  try {
+    localStorage.setItem(BYPASS_STORAGE_KEY, String(bypassCache));
+  } catch (e) {
+    // Ignore - setting is only kept for this session
+  }
+}
+
+/**
+ * Build the cache key for a route request
+ * The POST body is normalised (sorted keys, rounded coordinates) so equal requests get the same key
+ * @param {Object} routeRequest - {url, init} from backend.buildRouteRequest
+ * @returns {string} Cache key (hash)
+ */
+export function getRouteCacheKey(routeRequest) {
+  const init = routeRequest.init || {};
+  let body = '';
+  if (init.body) {
+    try {
+      body = stableStringify(normalizeRequestBody(JSON.parse(init.body)));
+    } catch (e) {
+      body = String(init.body);
+    }
+  }
+  return hashString(`${init.method || 'GET'} ${routeRequest.url}\n${body}`);
+}
+
+/**
+ * Get a cached response (memory first, then IndexedDB)
+ * @param {string} key - Cache key from getRouteCacheKey
+ * @returns {Promise<Object|null>} Parsed JSON response or null if missing, expired or bypassed
+ */
+export async function getCachedRoute(key) {
+  if (bypassCache) return null;
+
+  let entry = memoryCache.get(key);
+  if (!entry) {
+    entry = await readStoredEntry(key);
+  }
+  if (!entry) return null;
+
+  if (Date.now() - entry.timestamp > ROUTE_CACHE.TTL) {
+    memoryCache.delete(key);
+    deleteStoredEntry(key);
+    return null;
+  }
+
+  rememberInMemory(entry);
+  // Callers may modify the response - hand out a copy
+  return structuredClone(entry.data);
+}
+
+/**
+ * Store a response in memory and IndexedDB
+ * @param {string} key - Cache key from getRouteCacheKey
+ * @param {Object} data - Parsed JSON response
+ */
+export function putCachedRoute(key, data) {
+  const entry = { key, data: structuredClone(data), timestamp: Date.now() };
+  rememberInMemory(entry);
+  writeStoredEntry(entry);
+}
+
+// ============================================================================
+// KEY NORMALISATION
+// ============================================================================
+
+// Round point coordinates so tiny float differences (e.g. from permalinks) don't miss the cache
+function normalizeRequestBody(body) {
+  if (Array.isArray(body.points)) {
+    return {
+      ...body,
+      points: body.points.map(point => point.map(value => Math.round(value * 1e6) / 1e6))
+    };
+  }
+  return body;
+}
+
+// JSON.stringify with sorted object keys
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// 53-bit string hash (cyrb53) - synchronous, no secure context needed
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// ============================================================================
+// MEMORY (LRU)
+// ============================================================================
+
+function rememberInMemory(entry) {
+  // Re-insert to mark as most recently used
+  memoryCache.delete(entry.key);
+  memoryCache.set(entry.key, entry);
+
+  while (memoryCache.size > ROUTE_CACHE.MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+// ============================================================================
+// INDEXEDDB
+// ============================================================================
+
+// Resolves to null if IndexedDB is not available - the cache then only lives in memory
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    try {
+      const openRequest = indexedDB.open(ROUTE_CACHE.DB_NAME, 1);
+      openRequest.onupgradeneeded = () => {
+        const store = openRequest.result.createObjectStore(ROUTE_CACHE.STORE_NAME, { keyPath: 'key' });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      openRequest.onsuccess = () => resolve(openRequest.result);
+      openRequest.onerror = () => {
+        console.warn('Route cache: IndexedDB not available', openRequest.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('Route cache: IndexedDB not available', error);
+      resolve(null);
+    }
+  });
+  return dbPromise;
+}
+
+// Run a single request in a transaction and resolve with its result (null on error)
+function runTransaction(db, mode, createRequest) {
+  return new Promise(resolve => {
+    try {
+      const transaction = db.transaction(ROUTE_CACHE.STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(ROUTE_CACHE.STORE_NAME));
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => resolve(null);
+      transaction.onabort = () => resolve(null);
+    } catch (error) {
+      console.warn('Route cache: IndexedDB transaction failed', error);
+      resolve(null);
+    }
+  });
+}
+
+async function readStoredEntry(key) {
+  const db = await openDatabase();
+  if (!db) return null;
+  return (await runTransaction(db, 'readonly', store => store.get(key))) || null;
+}
+
+async function deleteStoredEntry(key) {
+  const db = await openDatabase();
+  if (!db) return;
+  await runTransaction(db, 'readwrite', store => store.delete(key));
+}
+
+async function writeStoredEntry(entry) {
+  const db = await openDatabase();
+  if (!db) return;
+  await runTransaction(db, 'readwrite', store => store.put(entry));
+  await pruneStoredEntries(db);
+}
+
+// Drop expired entries and the oldest entries above MAX_STORED_ENTRIES
+async function pruneStoredEntries(db) {
+  const count = await runTransaction(db, 'readonly', store => store.count());
+  const expiredBefore = Date.now() - ROUTE_CACHE.TTL;
+  let toRemove = Math.max(0, (count || 0) - ROUTE_CACHE.MAX_STORED_ENTRIES);
+
+  await new Promise(resolve => {
+    try {
+      const transaction = db.transaction(ROUTE_CACHE.STORE_NAME, 'readwrite');
+      // Oldest entries first
+      const cursorRequest = transaction.objectStore(ROUTE_CACHE.STORE_NAME).index('timestamp').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        if (toRemove > 0 || cursor.value.timestamp < expiredBefore) {
+          cursor.delete();
+          toRemove--;
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => resolve();
+      transaction.onabort = () => resolve();
+    } catch (error) {
+      resolve();
+    }
+  });
+}
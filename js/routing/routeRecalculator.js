@@ -15,6 +15,16 @@ export function setCalculateRouteFunction(fn) {
   calculateRouteFn = fn;
 }
 
+/**
+ * Check if all points required for a route are set
+ * Round trips only need a start point
+ * @returns {boolean}
+ */
+export function hasRequiredRoutePoints() {
+  if (!routeState.startPoint) return false;
+  return Boolean(routeState.endPoint) || routeState.roundTripEnabled === true;
+}
+
 /**
  * Recalculate route if start and end points are available
  * This centralizes all route recalculation logic
@@ -29,8 +39,8 @@ export function recalculateRouteIfReady() {
     return;
   }
   
-  // Only recalculate if we have both start and end points
-  if (routeState.startPoint && routeState.endPoint && routeState.mapInstance) {
+  // Only recalculate if we have both start and end points (or a start point for round trips)
+  if (hasRequiredRoutePoints() && routeState.mapInstance) {
     calculateRouteFn(
       routeState.mapInstance,
       routeState.startPoint,
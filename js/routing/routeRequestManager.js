@@ -0,0 +1,129 @@
+// Route request manager: keeps at most one in-flight request per channel
+// Starting a new request aborts the stale one, so the latest state is always routed
+
+import { ROUTE_CALCULATION } from '../utils/constants.js';
+
+// Request channels (independent requests that must not abort each other)
+export const REQUEST_CHANNELS = {
+  ROUTE: 'route',
+  COMPARISON: 'comparison',
+  SWEEP: 'sweep'
+};
+
+// Error messages used to identify aborted and timed out requests
+export const REQUEST_ABORTED = 'REQUEST_ABORTED';
+export const REQUEST_TIMEOUT = 'REQUEST_TIMEOUT';
+
+// channel -> active request
+const activeRequests = new Map();
+let requestCounter = 0;
+
+/**
+ * Start a new request on a channel and abort the previous one
+ * The request is aborted automatically after ROUTE_CALCULATION.MAX_TIMEOUT
+ * @param {string} channel - One of REQUEST_CHANNELS
+ * @returns {Object} Request handle {id, channel, signal, timedOut, isCurrent(), finish()}
+ */
+export function beginRequest(channel) {
+  abortRequest(channel);
+
+  const controller = new AbortController();
+  const request = {
+    id: ++requestCounter,
+    channel,
+    signal: controller.signal,
+    controller,
+    timedOut: false,
+    timeoutId: null,
+
+    // True as long as no newer request was started on this channel
+    isCurrent() {
+      return activeRequests.get(channel) === request;
+    },
+
+    // Stop the timeout and release the channel (only if still current)
+    finish() {
+      clearTimeout(request.timeoutId);
+      if (activeRequests.get(channel) === request) {
+        activeRequests.delete(channel);
+      }
+    }
+  };
+
+  request.timeoutId = setTimeout(() => {
+    request.timedOut = true;
+    controller.abort();
+  }, ROUTE_CALCULATION.MAX_TIMEOUT);
+
+  activeRequests.set(channel, request);
+  return request;
+}
+
+/**
+ * Abort the in-flight request of a channel (if any)
+ * @param {string} channel - One of REQUEST_CHANNELS
+ */
+export function abortRequest(channel) {
+  const request = activeRequests.get(channel);
+  if (!request) return;
+
+  activeRequests.delete(channel);
+  clearTimeout(request.timeoutId);
+  request.controller.abort();
+}
+
+/**
+ * Check if a request is in flight on a channel
+ * @param {string} channel - One of REQUEST_CHANNELS
+ * @returns {boolean}
+ */
+export function isRequestInFlight(channel) {
+  return activeRequests.has(channel);
+}
+
+/**
+ * Fetch bound to a request (uses its abort signal)
+ * @param {Object} request - Request handle from beginRequest
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ * @throws {Error} REQUEST_TIMEOUT / REQUEST_ABORTED if the request was aborted
+ */
+export async function managedFetch(request, url, options = {}) {
+  try {
+    return await fetch(url, { ...options, signal: request.signal });
+  } catch (error) {
+    throw normalizeRequestError(request, error);
+  }
+}
+
+/**
+ * Map an AbortError to REQUEST_TIMEOUT or REQUEST_ABORTED, leave other errors untouched
+ * @param {Object} request - Request handle from beginRequest
+ * @param {Error} error - Error thrown by fetch or response.json()
+ * @returns {Error}
+ */
+export function normalizeRequestError(request, error) {
+  if (error && error.name === 'AbortError') {
+    return new Error(request.timedOut ? REQUEST_TIMEOUT : REQUEST_ABORTED);
+  }
+  return error;
+}
+
+/**
+ * Check if an error means the request was superseded by a newer one
+ * @param {Error} error - Error object
+ * @returns {boolean}
+ */
+export function isAbortedRequestError(error) {
+  return Boolean(error) && error.message === REQUEST_ABORTED;
+}
+
+/**
+ * Check if an error means the request took longer than ROUTE_CALCULATION.MAX_TIMEOUT
+ * @param {Error} error - Error object
+ * @returns {boolean}
+ */
+export function isTimeoutRequestError(error) {
+  return Boolean(error) && error.message === REQUEST_TIMEOUT;
+}
@@ -1,7 +1,9 @@
 // Route State Management
 // Centralized state management for routing functionality
 
-import { defaultCarCustomModel, defaultBikeCustomModel } from './customModel.js';
+import { getDefaultCustomModel } from './customModel.js';
+import { getRuleToggleDefaults } from './ruleToggles.js';
+import { ROUND_TRIP, CAPTURED_TRACKS, GRADIENT_CLASSES } from '../utils/constants.js';
 
 export const routeState = {
   // Map instance
@@ -30,35 +32,75 @@ export const routeState = {
   // Profile
   selectedProfile: 'bike_customizable',
   
-  // Custom model for car_customizable and bike_customizable profiles
+  // Custom model for the customizable profiles (see profileRegistry.js)
   customModel: null,
   
-  // Car access setting (for car_customizable profile only)
-  // false = block restricted roads (motor_vehicle=destination, private, no), true = allow them
-  // Default: false (block restricted roads to avoid illegal routes)
-  allowCarAccess: false,
+  // Rule toggle flags by toggle id (allowCarAccess, avoidUnpavedRoads, avoidPushing, avoidFerries, ...)
+  // See RULE_TOGGLES in ruleToggles.js - Default: false
+  ...getRuleToggleDefaults(),
   
-  // Unpaved roads setting (for car_customizable profile only)
-  // false = slightly reduce unpaved roads (0.7-0.8), true = strongly avoid them (0.2-0.3)
-  // Default: false (slightly reduce unpaved roads)
-  avoidUnpavedRoads: false,
+  // Max capture speed in km/h (for car_customizable profile only)
+  // Caps the speed and down-weights faster road classes (see updateCaptureSpeedRule)
+  // Default: null (no limit)
+  maxCaptureSpeed: null,
   
-  // Avoid pushing setting (for bike_customizable profile only)
-  // false = no additional penalty, true = strongly avoid routes that require pushing (< 6 km/h)
-  // Default: false (no additional penalty)
-  avoidPushing: false,
+  // Bike type preset (for bike_customizable profile only, see BIKE_TYPE_PRESETS)
+  // null = preset rules were changed in the editor
+  // Default: 'trekking' (matches defaultBikeCustomModel)
+  bikeType: 'trekking',
+  
+  // Hill sensitivity (for bike_customizable profile only, see HILL_SENSITIVITY_PRESETS)
+  // Rescales the uphill speed factors, adds steep climb penalties and sets the heightgraph tolerance
+  // null = slope rules were changed in the editor
+  // Default: 'normal' (bike type presets unchanged)
+  hillSensitivity: 'normal',
+  
+  // Wheelchair constraints (for foot_customizable profile only)
+  // true = block steps and loose surfaces, avoid steep inclines (see updateWheelchairRule)
+  // Default: false
+  wheelchair: false,
   
   // Default custom model (imported from customModel.js)
   // Returns the appropriate default model based on selected profile
   get defaultCustomModel() {
-    return this.selectedProfile === 'bike_customizable' 
-      ? defaultBikeCustomModel 
-      : defaultCarCustomModel;
+    return getDefaultCustomModel(this.selectedProfile);
   },
   
   // Route data
   currentRouteData: null,
   currentEncodedType: 'mapillary_coverage',
+  // Smoothing distance (m) of the client-side gradient classes
+  gradientSmoothing: GRADIENT_CLASSES.SMOOTHING_DISTANCE,
+  // Heightgraph range selection {startIndex, endIndex} (coordinate indices), null = whole route
+  heightgraphSelection: null,
+  // Encoded types shown as bands below the heightgraph (in display order, empty = no bands)
+  heightgraphBands: [],
+  
+  // Alternative routes (GraphHopper algorithm=alternative_route, only without waypoints)
+  alternativeRoutesEnabled: false,
+  alternativeRoutes: [], // Parsed paths: {path, coordinates, elevations, hasElevation, encodedValues, uncoveredDistance}
+  activeAlternativeIndex: 0,
+  lastRoutePoints: null, // Points of the last calculated route (for re-displaying an alternative)
+  lastRequestCustomModel: null, // Custom model sent with the last route request (incl. areas, for the segment explanation)
+  
+  // Areas drawn on the map: {id, type: 'avoid'|'block'|'prefer', factor, coordinates: [[lng, lat], ...]}
+  // Applied to the custom model per request (see applyCustomAreas), kept when the route is cleared
+  customAreas: [],
+  isDrawingArea: false,
+  
+  // Imported capture tracks: {id, name, lines: [[[lng, lat], ...]], polygons: MultiPolygon coordinates}
+  // Streets within the buffered tracks get capturedTracksFactor as priority (see applyCapturedTracks)
+  capturedTracks: [],
+  capturedTracksFactor: CAPTURED_TRACKS.DEFAULT_FACTOR,
+  
+  // Mapillary weight sweep results: {points, profile, results: [{weight, distance, time, uncoveredDistance}]}
+  weightSweep: null,
+  
+  // Round trip mode (GraphHopper algorithm=round_trip): only a start point is needed
+  roundTripEnabled: false,
+  roundTripDistance: ROUND_TRIP.DEFAULT_DISTANCE, // target distance in meters
+  roundTripHeading: null, // start heading in degrees (0 = north), null = any direction
+  roundTripSeed: 0, // different seeds give different round trips
   
   // Waypoint optimization settings
   waypointOptimizationEnabled: true, // Enable/disable waypoint optimization
@@ -82,6 +124,12 @@ export const routeState = {
     this.isSelectingEnd = false;
     this.isSelectingWaypoint = false;
     this.currentRouteData = null;
+    this.heightgraphSelection = null;
+    this.alternativeRoutes = [];
+    this.activeAlternativeIndex = 0;
+    this.lastRoutePoints = null;
+    this.lastRequestCustomModel = null;
+    this.weightSweep = null;
     this.waypointsManuallySorted = false;
     
     if (this.startMarker) {
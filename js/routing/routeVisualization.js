@@ -1,7 +1,10 @@
 // Route visualization: colors, hover effects, mapillary_coverage highlighting
 
 import { routeState } from './routeState.js';
-import { getColorForEncodedValue, getBicycleInfraDescription } from './colorSchemes.js';
+import { getColorForEncodedValue, getBicycleInfraDescription, getCoverageTypeDescription, getGradientClassDescription } from './colorSchemes.js';
+import { showSegmentExplanation } from './segmentExplanation.js';
+import { getProfileColor } from './profileRegistry.js';
+import { COVERAGE_CONFLATION, GRADIENT_CLASSES } from '../utils/constants.js';
 
 export function setupRouteHover(map) {
   // Create a popup for showing encoded values on hover
@@ -29,33 +32,21 @@ export function setupRouteHover(map) {
     }
   });
   
-  // Click handler to open OSM way page
+  // Click handler: rule explanation for customizable profiles, otherwise open the OSM way page
   map.on('click', 'route-layer', (e) => {
-    if (!routeState.currentRouteData || !e.features || e.features.length === 0) {
+    if (routeState.isDrawingArea || !routeState.currentRouteData || !e.features || e.features.length === 0) {
       return;
     }
     
     const clickedPoint = e.lngLat;
     const { coordinates, encodedValues } = routeState.currentRouteData;
     
-    if (!coordinates || coordinates.length === 0) {
+    if (!coordinates || coordinates.length < 2) {
       return;
     }
     
-    // Find the closest coordinate point on the route
-    let closestIndex = 0;
-    let minDistance = Infinity;
-    
-    coordinates.forEach((coord, index) => {
-      const distance = Math.sqrt(
-        Math.pow(coord[0] - clickedPoint.lng, 2) + 
-        Math.pow(coord[1] - clickedPoint.lat, 2)
-      );
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestIndex = index;
-      }
-    });
+    // Segment under the click (the segment "belongs" to its start point)
+    const closestIndex = findClosestSegmentIndex(coordinates, clickedPoint);
     
     // Get osm_way_id at the closest point
     let osmWayId = null;
@@ -74,6 +65,12 @@ export function setupRouteHover(map) {
       }
     }
     
+    // Customizable profiles: explain which custom model rules applied (with a link to the OSM way)
+    if (routeState.lastRequestCustomModel) {
+      showSegmentExplanation(map, clickedPoint, closestIndex, osmWayId);
+      return;
+    }
+    
     // Open OSM way page if we have an ID
     if (osmWayId !== null) {
       const encodedWayId = encodeURIComponent(osmWayId);
@@ -107,49 +104,7 @@ export function setupRouteHover(map) {
       
       // Find the segment that contains the mouse position
       // A segment is between point i and point i+1
-      let segmentStartIndex = 0;
-      let minSegmentDist = Infinity;
-      
-      // Find the closest segment to the mouse position
-      for (let i = 0; i < originalCoordinates.length - 1; i++) {
-        const p1 = originalCoordinates[i];
-        const p2 = originalCoordinates[i + 1];
-        
-        // Calculate distance from point to line segment
-        const A = point.lng - p1[0];
-        const B = point.lat - p1[1];
-        const C = p2[0] - p1[0];
-        const D = p2[1] - p1[1];
-        
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        let param = -1;
-        
-        if (lenSq !== 0) {
-          param = dot / lenSq;
-        }
-        
-        let xx, yy;
-        if (param < 0) {
-          xx = p1[0];
-          yy = p1[1];
-        } else if (param > 1) {
-          xx = p2[0];
-          yy = p2[1];
-        } else {
-          xx = p1[0] + param * C;
-          yy = p1[1] + param * D;
-        }
-        
-        const dx = point.lng - xx;
-        const dy = point.lat - yy;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        
-        if (dist < minSegmentDist) {
-          minSegmentDist = dist;
-          segmentStartIndex = i;
-        }
-      }
+      const segmentStartIndex = findClosestSegmentIndex(originalCoordinates, point);
       
       // Use the start point of the segment for the value (the segment "belongs" to its start point)
       const dataIndex = segmentStartIndex;
@@ -186,6 +141,16 @@ export function setupRouteHover(map) {
                  encodedValues.bicycle_infra[dataIndex] !== null) {
         selectedValue = encodedValues.bicycle_infra[dataIndex];
         valueLabel = 'Bicycle Infrastructure';
+      } else if (selectedType === COVERAGE_CONFLATION.ENCODED_TYPE && encodedValues[selectedType] && 
+                 encodedValues[selectedType][dataIndex] !== undefined && 
+                 encodedValues[selectedType][dataIndex] !== null) {
+        selectedValue = encodedValues[selectedType][dataIndex];
+        valueLabel = 'Mapillary Coverage';
+      } else if (selectedType === GRADIENT_CLASSES.ENCODED_TYPE && encodedValues[selectedType] && 
+                 encodedValues[selectedType][dataIndex] !== undefined && 
+                 encodedValues[selectedType][dataIndex] !== null) {
+        selectedValue = encodedValues[selectedType][dataIndex];
+        valueLabel = 'Steigung';
       }
       
       // Highlight the hovered segment by making it thicker (always show, even if no value)
@@ -236,6 +201,10 @@ export function setupRouteHover(map) {
           // Use description for bicycle_infra
           const description = getBicycleInfraDescription(selectedValue);
           displayValue = description || String(selectedValue);
+        } else if (selectedType === COVERAGE_CONFLATION.ENCODED_TYPE) {
+          displayValue = getCoverageTypeDescription(selectedValue) || String(selectedValue);
+        } else if (selectedType === GRADIENT_CLASSES.ENCODED_TYPE) {
+          displayValue = getGradientClassDescription(selectedValue) || String(selectedValue);
         } else {
           displayValue = String(selectedValue);
         }
@@ -252,6 +221,54 @@ export function setupRouteHover(map) {
   });
 }
 
+// Index of the route segment (point i to i+1) closest to a position
+function findClosestSegmentIndex(coordinates, point) {
+  let segmentStartIndex = 0;
+  let minSegmentDist = Infinity;
+  
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const p1 = coordinates[i];
+    const p2 = coordinates[i + 1];
+    
+    // Calculate distance from point to line segment
+    const A = point.lng - p1[0];
+    const B = point.lat - p1[1];
+    const C = p2[0] - p1[0];
+    const D = p2[1] - p1[1];
+    
+    const dot = A * C + B * D;
+    const lenSq = C * C + D * D;
+    let param = -1;
+    
+    if (lenSq !== 0) {
+      param = dot / lenSq;
+    }
+    
+    let xx, yy;
+    if (param < 0) {
+      xx = p1[0];
+      yy = p1[1];
+    } else if (param > 1) {
+      xx = p2[0];
+      yy = p2[1];
+    } else {
+      xx = p1[0] + param * C;
+      yy = p1[1] + param * D;
+    }
+    
+    const dx = point.lng - xx;
+    const dy = point.lat - yy;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    
+    if (dist < minSegmentDist) {
+      minSegmentDist = dist;
+      segmentStartIndex = i;
+    }
+  }
+  
+  return segmentStartIndex;
+}
+
 // Color function is now imported from colorSchemes.js
 
 export function updateRouteColor(encodedType, encodedValues) {
@@ -360,13 +377,6 @@ export function updateRouteColor(encodedType, encodedValues) {
 }
 
 export function updateRouteColorByProfile(map, profile) {
-  const colorMap = {
-    'car_customizable': '#6366f1',
-    'bike_customizable': '#10b981'
-  };
-
-  const color = colorMap[profile] || '#3b82f6';
-
-  map.setPaintProperty('route-layer', 'line-color', color);
+  map.setPaintProperty('route-layer', 'line-color', getProfileColor(profile));
 }
 
@@ -1,5 +1,5 @@
-// GraphHopper Routing Integration - Core Module
-// This module handles route calculation, API calls, and coordinates the other routing modules
+// Routing Integration - Core Module
+// This module handles route calculation, API calls (via the active routing backend), and coordinates the other routing modules
 
 import { routeState } from './routeState.js';
 import { setupUIHandlers } from './routingUI.js';
@@ -7,35 +7,56 @@ import { setupHeightgraphHandlers, drawHeightgraph, cleanupHeightgraphHandlers }
 import { setupRouteHover, updateRouteColor } from './routeVisualization.js';
 import {
   supportsCustomModel,
-  getGraphHopperProfile,
   ensureCustomModel,
-  buildPostRequestBodyWithCustomModel,
   getMapillaryPriority,
   updateMapillaryPriority,
-  updateCarAccessRule,
-  updateUnpavedRoadsRule,
-  updateAvoidPushingRule
+  applyCustomAreas,
+  applyCapturedTracks
 } from './customModel.js';
-import { calculateDistance } from './heightgraph/heightgraphUtils.js';
+import { calculateDistance, calculateGradientClasses } from './heightgraph/heightgraphUtils.js';
+import { setupHeightgraphSelectionLayer, clearHeightgraphSelection } from './heightgraph/heightgraphSelection.js';
 import { optimizeWaypoints } from './waypointOptimizer.js';
 import { generateRouteInfoHTML, displayRouteError, formatTime, formatNumberWithThousandSeparator } from './routeInfoFormatter.js';
 import {
-  GRAPHHOPPER_URL,
   ERROR_MESSAGES,
-  ROUTE_CALCULATION as ROUTE_CONFIG,
   COORDINATE_LIMITS,
   UI_IDS,
   LAYER_IDS,
-  CONTEXT_LAYER_IDS
+  CONTEXT_LAYER_IDS,
+  COVERAGE_CONFLATION,
+  GRADIENT_CLASSES
 } from '../utils/constants.js';
 import { setCalculateRouteFunction } from './routeRecalculator.js';
-
-// Flag to prevent parallel route calculations
-let routeCalculationInProgress = false;
-
-export function isRouteCalculationInProgress() {
-  return routeCalculationInProgress;
-}
+import {
+  canRequestAlternativeRoutes,
+  setupAlternativeRouteLayers,
+  updateAlternativeRoutes,
+  clearAlternativeRoutes
+} from './alternativeRoutes.js';
+import { isRoundTripActive } from './roundTrip.js';
+import { getActiveBackend } from './backends/backendRegistry.js';
+import { setupServerInfo, arePointsInServerBounds, getServerBounds } from './serverInfo.js';
+import { getRouteCacheKey, getCachedRoute, putCachedRoute } from './routeCache.js';
+import { setupWeightSweep, drawWeightSweepChart, clearWeightSweep } from './weightSweep.js';
+import { updateInstructionList, clearInstructionList } from './instructionList.js';
+import { setupCustomAreas } from './customAreas.js';
+import { setupCapturedTracks } from './capturedTracks.js';
+import { setupCoverageConflation, conflateMapillaryCoverage, isCoverageConflationShown } from './coverageConflation.js';
+import { setupHeightgraphExport } from './heightgraphExport.js';
+import { setupCustomModelEditor } from './customModelEditor.js';
+import { setupCustomModelPresets } from './customModelPresets.js';
+import { updateCustomModelLint } from './customModelLinter.js';
+import { applyProfileToggles } from './profileRegistry.js';
+import {
+  REQUEST_CHANNELS,
+  beginRequest,
+  abortRequest,
+  isRequestInFlight,
+  managedFetch,
+  normalizeRequestError,
+  isAbortedRequestError,
+  isTimeoutRequestError
+} from './routeRequestManager.js';
 
 /**
  * Get user-friendly error message from error object
@@ -47,10 +68,17 @@ function getUserFriendlyErrorMessage(error) {
   
   const message = error.message || String(error);
   
+  if (isTimeoutRequestError(error)) {
+    return ERROR_MESSAGES.ROUTE_TIMEOUT;
+  }
+  
   if (message === 'OUT_OF_BOUNDS' || 
       message.includes('PointNotFoundException') || 
       message.includes('Cannot find point')) {
-    return ERROR_MESSAGES.OUT_OF_BOUNDS;
+    // Point the user to the outline of the routable area if the server reported its bounds
+    return getServerBounds()
+      ? `${ERROR_MESSAGES.OUT_OF_BOUNDS} ${ERROR_MESSAGES.OUT_OF_BOUNDS_HINT}`
+      : ERROR_MESSAGES.OUT_OF_BOUNDS;
   }
   
   if (message.includes('Network error') || message.includes('fetch')) {
@@ -60,69 +88,83 @@ function getUserFriendlyErrorMessage(error) {
   return message;
 }
 
+/**
+ * Build the custom model sent with a request: drawn areas and imported capture tracks are added to a copy
+ * @param {Object|null} customModel - Custom model (e.g. routeState.customModel)
+ * @returns {Object|null} Custom model for the request
+ */
+export function buildRequestCustomModel(customModel) {
+  const withAreas = applyCustomAreas(customModel, routeState.customAreas);
+  return applyCapturedTracks(withAreas, routeState.capturedTracks, routeState.capturedTracksFactor);
+}
+
 // Calculate comparison route with Weight=1 and show differences
 async function calculateComparisonWithWeightOne(map, allPoints, currentPath, currentEncodedValues, currentCoordinates, currentWeight) {
+  // Aborts a comparison that is still running for an older route
+  const request = beginRequest(REQUEST_CHANNELS.COMPARISON);
+  const backend = getActiveBackend();
+  
   try {
     // Create a copy of the custom model with Weight=1
     const comparisonCustomModel = JSON.parse(JSON.stringify(routeState.customModel));
     updateMapillaryPriority(comparisonCustomModel, 1.0);
     
-    // Build request for comparison route
-    const requestBody = buildPostRequestBodyWithCustomModel(
-      allPoints,
-      routeState.selectedProfile,
-      comparisonCustomModel
-    );
+    // Build request for comparison route (same round trip: distance, heading and seed)
+    const routeRequest = backend.buildRouteRequest({
+      points: allPoints,
+      profile: routeState.selectedProfile,
+      customModel: buildRequestCustomModel(comparisonCustomModel),
+      roundTrip: isRoundTripActive()
+    });
     
     // Fetch comparison route
-    const response = await fetch(`${GRAPHHOPPER_URL}/route`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody)
-    });
+    const data = await fetchBackendRoute(request, backend, routeRequest);
     
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    // A newer comparison was started in the meantime
+    if (!request.isCurrent()) {
+      return;
     }
     
-    const data = await response.json();
-    
-    if (data.paths && data.paths.length > 0) {
-      const comparisonPath = data.paths[0];
+    const comparisonRoutes = parseBackendRoutes(backend, data);
+    if (comparisonRoutes.length > 0) {
+      const comparisonRoute = comparisonRoutes[0];
+      const comparisonPath = comparisonRoute.path;
       
       // Calculate differences
       const distanceDiff = comparisonPath.distance - currentPath.distance; // in meters
       const timeDiff = (comparisonPath.time - currentPath.time) / 1000; // in seconds
       
-      // Calculate mapillary_coverage distance for current route
+      // Calculate mapillary_coverage distance for current and comparison route
       const currentMapillaryDistance = calculateMapillaryCoverageDistance(currentCoordinates, currentEncodedValues);
-      
-      // Get comparison route coordinates and encoded values
-      let comparisonCoordinates = [];
-      if (comparisonPath.points && comparisonPath.points.coordinates) {
-        comparisonCoordinates = comparisonPath.points.coordinates;
-      } else if (comparisonPath.points && comparisonPath.points.geometry && comparisonPath.points.geometry.coordinates) {
-        comparisonCoordinates = comparisonPath.points.geometry.coordinates;
-      }
-      
-      // Extract encoded values from comparison route using the same logic as main route
-      const comparisonEncodedValues = extractEncodedValuesFull(comparisonPath, comparisonCoordinates);
-      
-      // Calculate mapillary_coverage distance for comparison route
-      const comparisonMapillaryDistance = calculateMapillaryCoverageDistance(comparisonCoordinates, comparisonEncodedValues);
+      const comparisonMapillaryDistance = comparisonRoute.uncoveredDistance;
       
       const mapillaryDistanceDiff = comparisonMapillaryDistance - currentMapillaryDistance;
       
       // Display comparison
       displayComparison(distanceDiff, timeDiff, mapillaryDistanceDiff);
     }
-  } catch (error) {
-    console.error('Error calculating comparison route:', error);
-    // Hide comparison on error
-    const comparisonContainer = document.getElementById(UI_IDS.COMPARISON_CONTAINER);
-    if (comparisonContainer) {
-      comparisonContainer.style.display = 'none';
+  } catch (caughtError) {
+    const error = normalizeRequestError(request, caughtError);
+    
+    // Superseded by a newer comparison - nothing to show
+    if (isAbortedRequestError(error)) {
+      return;
+    }
+    
+    if (isTimeoutRequestError(error)) {
+      // Timeout gets its own message in place of the deltas
+      console.warn(ERROR_MESSAGES.COMPARISON_TIMEOUT);
+      showComparisonError(ERROR_MESSAGES.COMPARISON_TIMEOUT);
+    } else {
+      console.error('Error calculating comparison route:', error);
+      // Hide comparison on other errors
+      const comparisonContainer = document.getElementById(UI_IDS.COMPARISON_CONTAINER);
+      if (comparisonContainer) {
+        comparisonContainer.style.display = 'none';
+      }
     }
+  } finally {
+    request.finish();
   }
 }
 
@@ -154,102 +196,6 @@ function calculateMapillaryCoverageDistance(coordinates, encodedValues) {
   return totalDistance;
 }
 
-// Extract encoded values using the same full logic as main route calculation
-// This ensures mapillary_coverage is extracted correctly from both details and instructions
-function extractEncodedValuesFull(path, coordinates) {
-  const encodedValues = {};
-  
-  // Helper function to map detail arrays to coordinate arrays
-  const mapDetailsToCoordinates = (detailArray, coordinatesLength) => {
-    if (!detailArray || !Array.isArray(detailArray)) return null;
-    
-    const result = new Array(coordinatesLength).fill(null);
-    detailArray.forEach(([startIdx, endIdx, value]) => {
-      if (typeof startIdx === 'number' && typeof endIdx === 'number') {
-        for (let i = startIdx; i <= endIdx && i < coordinatesLength; i++) {
-          result[i] = value;
-        }
-      }
-    });
-    return result;
-  };
-  
-  // Extract from path.details
-  if (path.details && Object.keys(path.details).length > 0) {
-    Object.keys(path.details).forEach(detailKey => {
-      const detailArray = path.details[detailKey];
-      if (Array.isArray(detailArray) && detailArray.length > 0) {
-        encodedValues[detailKey] = mapDetailsToCoordinates(detailArray, coordinates.length);
-      }
-    });
-    
-    // Also check for time and distance in details (if available)
-    if (path.details.time) {
-      encodedValues.time = mapDetailsToCoordinates(path.details.time, coordinates.length);
-    }
-    if (path.details.distance) {
-      encodedValues.distance = mapDetailsToCoordinates(path.details.distance, coordinates.length);
-    }
-  }
-  
-  // Extract data from instructions - they contain per-segment information
-  if (path.instructions && path.instructions.length > 0) {
-    // Map instruction data to coordinates using intervals
-    const timeArray = new Array(coordinates.length).fill(0);
-    const distanceArray = new Array(coordinates.length).fill(0);
-    const streetNameArray = new Array(coordinates.length).fill('');
-    const customPresentArray = new Array(coordinates.length).fill(null);
-    
-    const osmWayIdArray = new Array(coordinates.length).fill(null);
-    
-    path.instructions.forEach((inst) => {
-      if (inst.interval && Array.isArray(inst.interval) && inst.interval.length === 2) {
-        const [startIdx, endIdx] = inst.interval;
-        // Fill the interval with instruction values
-        for (let i = startIdx; i <= endIdx && i < coordinates.length; i++) {
-          timeArray[i] = inst.time || 0;
-          distanceArray[i] = inst.distance || 0;
-          streetNameArray[i] = inst.street_name || '';
-          // Check if mapillary_coverage is in instruction
-          if (inst.mapillary_coverage !== undefined) {
-            customPresentArray[i] = inst.mapillary_coverage;
-          }
-          // Extract osm_way_id from instruction if available
-          if (inst.osm_way_id !== undefined) {
-            osmWayIdArray[i] = inst.osm_way_id;
-          }
-        }
-      }
-    });
-    
-    // Also check osm_way_id in details
-    if (path.details && path.details.osm_way_id) {
-      const osmWayIdDetails = mapDetailsToCoordinates(path.details.osm_way_id, coordinates.length);
-      for (let i = 0; i < coordinates.length; i++) {
-        if (osmWayIdDetails[i] !== null && osmWayIdArray[i] === null) {
-          osmWayIdArray[i] = osmWayIdDetails[i];
-        }
-      }
-    }
-    
-    // Store OSM way IDs if available
-    if (osmWayIdArray.some(id => id !== null)) {
-      encodedValues.osm_way_id = osmWayIdArray;
-    }
-    
-    // Store as encoded values
-    encodedValues.time = timeArray;
-    encodedValues.distance = distanceArray;
-    encodedValues.street_name = streetNameArray;
-    // Only set mapillary_coverage if we have values
-    if (customPresentArray.some(v => v !== null)) {
-      encodedValues.mapillary_coverage = customPresentArray;
-    }
-  }
-  
-  return encodedValues;
-}
-
 // Display comparison results
 function displayComparison(
   distanceDiff, 
@@ -312,10 +258,35 @@ function displayComparison(
     }
   }
   
+  // Deltas replace an earlier error message
+  setComparisonErrorVisible(comparisonContainer, false);
+  
   // Show container
   comparisonContainer.style.display = 'block';
 }
 
+// Show a message instead of the deltas (e.g. comparison request timed out)
+function showComparisonError(message) {
+  const comparisonContainer = document.getElementById(UI_IDS.COMPARISON_CONTAINER);
+  const errorElement = document.getElementById(UI_IDS.COMPARISON_ERROR);
+  if (!comparisonContainer || !errorElement) return;
+  
+  errorElement.textContent = message;
+  setComparisonErrorVisible(comparisonContainer, true);
+  comparisonContainer.style.display = 'block';
+}
+
+function setComparisonErrorVisible(comparisonContainer, visible) {
+  const values = comparisonContainer.querySelector('.comparison-values');
+  const errorElement = document.getElementById(UI_IDS.COMPARISON_ERROR);
+  if (values) {
+    values.style.display = visible ? 'none' : '';
+  }
+  if (errorElement) {
+    errorElement.style.display = visible ? 'block' : 'none';
+  }
+}
+
 /**
  * Validate coordinates before route calculation
  * @param {Array|Object} coord - Coordinate as [lng, lat] or {lng, lat}
@@ -355,151 +326,215 @@ function validateCoordinates(coord, name) {
   }
 }
 
-// Get profile parameter (car_customizable -> car)
-function getProfileParam() {
-  return getGraphHopperProfile(routeState.selectedProfile);
-}
-
-// Build GET request URL for route calculation
-// points: Array of [lng, lat] coordinates
-function buildGetRequestUrl(points, profileParam) {
-  // Build point parameters: point=lat,lng&point=lat,lng&...
-  const pointParams = points.map(p => `point=${p[1]},${p[0]}`).join('&');
-  const baseUrl = `${GRAPHHOPPER_URL}/route?${pointParams}&profile=${profileParam}&points_encoded=false&elevation=true`;
-  const chDisableParam = (profileParam === 'car' || profileParam === 'bike') ? '&ch.disable=true' : '';
-  const detailsParams = ['surface', 'mapillary_coverage', 'road_class', 'road_access', 'bicycle_infra', 'osm_way_id']
-    .map(d => `details=${d}`)
-    .join('&');
-  return `${baseUrl}${chDisableParam}&${detailsParams}&type=json`;
-}
-
-// Fetch route with GET request (with fallback for details format)
-async function fetchRouteGet(url) {
+/**
+ * Fetch a route request built by a routing backend
+ * Answered from the route cache if the same request was made before (see routeCache.js)
+ * Fallback URLs are tried in order if the previous request was not successful
+ * @param {Object} request - Request handle from beginRequest
+ * @param {Object} backend - Routing backend
+ * @param {Object} routeRequest - {url, init, fallbackUrls} from backend.buildRouteRequest
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function fetchBackendRoute(request, backend, routeRequest) {
+  const cacheKey = getRouteCacheKey(routeRequest);
+  const cachedData = await getCachedRoute(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+  
+  const urls = [routeRequest.url, ...(routeRequest.fallbackUrls || [])];
+  let response;
+  
   try {
-    let response = await fetch(url);
-    if (response.ok) return response;
-    
-    // Try comma-separated details format
-    const urlComma = url.replace(/details=[^&]+/g, 'details=' + ['surface', 'mapillary_coverage', 'road_class', 'road_access', 'bicycle_infra'].join(','));
-    response = await fetch(urlComma);
-    if (response.ok) return response;
-    
-    // Try without details
-    const urlNoDetails = url.replace(/&details=[^&]+/g, '').replace(/details=[^&]+&/g, '');
-    response = await fetch(urlNoDetails);
-    return response;
+    for (const url of urls) {
+      response = await managedFetch(request, url, routeRequest.init);
+      if (response.ok) break;
+    }
   } catch (error) {
-    throw new Error(`${ERROR_MESSAGES.NETWORK_ERROR}. Stelle sicher, dass GraphHopper auf ${GRAPHHOPPER_URL} läuft: ${error.message}`);
+    // Aborted/timed out requests are handled by the caller
+    if (isAbortedRequestError(error) || isTimeoutRequestError(error)) {
+      throw error;
+    }
+    throw backend.mapNetworkError(error);
   }
-}
-
-// Extract coordinates from GraphHopper response
-function extractCoordinates(path) {
-  if (path.points && path.points.coordinates) {
-    return path.points.coordinates;
-  } else if (path.points && path.points.geometry && path.points.geometry.coordinates) {
-    return path.points.geometry.coordinates;
+  
+  if (!response.ok) {
+    throw backend.mapError(response.status, await response.text());
   }
-  throw new Error('Route points format not recognized. Response: ' + JSON.stringify(path).substring(0, 200));
+  
+  const data = await response.json();
+  putCachedRoute(cacheKey, data);
+  return data;
 }
 
-// Normalize coordinates to [lng, lat] format
-function normalizeCoordinates(coordinates) {
-  return coordinates.map(coord => {
-    if (Array.isArray(coord) && coord.length >= 2) {
-      // If first value is <= 90, it's likely latitude - swap to [lng, lat]
-      if (Math.abs(coord[0]) <= 90 && Math.abs(coord[1]) > 90) {
-        return [coord[1], coord[0]];
-      }
-      return [coord[0], coord[1]];
-    }
-    return coord;
-  });
+/**
+ * Parse a backend response into routes with coordinates, elevations and per-coordinate encoded values
+ * @param {Object} backend - Routing backend
+ * @param {Object} data - JSON response
+ * @returns {Array<Object>} Parsed routes {path, coordinates, elevations, hasElevation, encodedValues, uncoveredDistance}
+ */
+export function parseBackendRoutes(backend, data) {
+  return backend.parseRouteResponse(data).map(route => ({
+    ...route,
+    // Distance without mapillary_coverage - used to compare alternatives
+    uncoveredDistance: calculateMapillaryCoverageDistance(route.coordinates, route.encodedValues)
+  }));
 }
 
-// Extract elevation data from path
-function extractElevation(path, coordinates) {
-  let elevations = [];
-  let hasElevation = false;
-  
-  // Check if coordinates include elevation (3rd value)
-  if (coordinates.length > 0 && coordinates[0].length >= 3) {
-    elevations = coordinates.map(coord => coord[2] || null);
-    hasElevation = elevations.some(e => e !== null);
-    // Remove elevation from coordinates for MapLibre
-    coordinates = coordinates.map(coord => [coord[0], coord[1]]);
-  } else if (path.points && path.points.elevation) {
-    elevations = path.points.elevation;
-    hasElevation = elevations && elevations.length > 0;
-  } else if (path.elevation) {
-    elevations = path.elevation;
-    hasElevation = elevations && elevations.length > 0;
+/**
+ * Display a parsed route as the active route (map line, route info, heightgraph, stats, GPX)
+ * @param {maplibregl.Map} map - Map instance
+ * @param {Object} route - Parsed route from parseBackendRoutes
+ * @param {Array} allPoints - Points the route was calculated for (used for the weight comparison)
+ */
+function displayRoute(map, route, allPoints) {
+  const { path, coordinates, elevations, hasElevation, encodedValues } = route;
+  
+  // Indices of a heightgraph selection don't fit the new route
+  clearHeightgraphSelection();
+  
+  // Pano/regular/missing from the loaded missing streets tiles - only while shown, otherwise computed
+  // when selected (completed on map idle, see coverageConflation.js)
+  if (isCoverageConflationShown()) {
+    encodedValues[COVERAGE_CONFLATION.ENCODED_TYPE] = conflateMapillaryCoverage(map, coordinates);
+  }
+  // Slope classes from the elevations (client-side, like the conflation)
+  if (hasElevation) {
+    encodedValues[GRADIENT_CLASSES.ENCODED_TYPE] = calculateGradientClasses(elevations, coordinates, routeState.gradientSmoothing);
   }
   
-  return { elevations, hasElevation, coordinates };
-}
-
-// Map detail arrays to coordinate arrays
-function mapDetailsToCoordinates(detailArray, coordinatesLength) {
-  if (!detailArray || !Array.isArray(detailArray)) return null;
-  
-  const result = new Array(coordinatesLength).fill(null);
-  detailArray.forEach(([startIdx, endIdx, value]) => {
-    if (typeof startIdx === 'number' && typeof endIdx === 'number') {
-      for (let i = startIdx; i <= endIdx && i < coordinatesLength; i++) {
-        result[i] = value;
-      }
+  // Update route layer - will be colored by updateRouteColor based on selected encoded value
+  // Initially set as single feature, will be updated by updateRouteColor
+  let routeSource = map.getSource(LAYER_IDS.ROUTE);
+  if (!routeSource) {
+    // Route source doesn't exist - likely after style change, create it now
+    console.warn('Route source not found, creating it now');
+    setupRouting(map);
+    routeSource = map.getSource(LAYER_IDS.ROUTE);
+    if (!routeSource) {
+      throw new Error('Route source not found and could not be created');
     }
-  });
-  return result;
-}
-
-// Extract encoded values (details) from path
-function extractEncodedValues(path, coordinates) {
-  const encodedValues = {};
-  
-  // Extract from path.details
-  if (path.details && Object.keys(path.details).length > 0) {
-    Object.keys(path.details).forEach(detailKey => {
-      const detailArray = path.details[detailKey];
-      if (Array.isArray(detailArray) && detailArray.length > 0) {
-        encodedValues[detailKey] = mapDetailsToCoordinates(detailArray, coordinates.length);
-      }
-    });
   }
+  routeSource.setData({
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: coordinates
+    },
+    properties: {
+      color: '#3b82f6'
+    }
+  });
+  
+  // Update layer to support property-based coloring
+  map.setPaintProperty(LAYER_IDS.ROUTE_LAYER, 'line-color', ['get', 'color']);
+  
+  // Update route color based on selected encoded value
+  const select = document.getElementById(UI_IDS.ENCODED_SELECT);
+  const selectedType = select ? select.value : 'mapillary_coverage';
+  updateRouteColor(selectedType, encodedValues);
   
-  // Extract from instructions
-  if (path.instructions && path.instructions.length > 0) {
-    const timeArray = new Array(coordinates.length).fill(0);
-    const distanceArray = new Array(coordinates.length).fill(0);
-    const streetNameArray = new Array(coordinates.length).fill('');
-    const mapillaryArray = new Array(coordinates.length).fill(null);
+  // Update route info
+  const routeInfo = document.getElementById(UI_IDS.ROUTE_INFO);
+  if (routeInfo) {
+    routeInfo.innerHTML = generateRouteInfoHTML(path);
+    updateInstructionList(map, path, coordinates, encodedValues);
+    
+    // Store route data for redrawing heightgraph and route visualization
+    routeState.currentRouteData = {
+      elevations: hasElevation ? elevations : [],
+      distance: path.distance,
+      encodedValues: encodedValues,
+      coordinates: coordinates
+    };
+    
+    // Update context layers opacity when route is displayed
+    updateContextLayersOpacity(map, true);
     
-    path.instructions.forEach((inst) => {
-      if (inst.interval && Array.isArray(inst.interval) && inst.interval.length === 2) {
-        const [startIdx, endIdx] = inst.interval;
-        for (let i = startIdx; i <= endIdx && i < coordinates.length; i++) {
-          timeArray[i] = inst.time || 0;
-          distanceArray[i] = inst.distance || 0;
-          streetNameArray[i] = inst.street_name || '';
-          if (inst.mapillary_coverage !== undefined) {
-            mapillaryArray[i] = inst.mapillary_coverage;
-          }
+    // Show GPX export button
+    const exportGpxBtn = document.getElementById(UI_IDS.EXPORT_GPX_BTN);
+    if (exportGpxBtn) {
+      exportGpxBtn.style.display = 'flex';
+    }
+    
+    // Always show heightgraph if we have elevation or encoded values
+    // The drawHeightgraph function now handles container width detection robustly
+    const drawHeightgraphDelayed = () => {
+      if (hasElevation && elevations.length > 0) {
+        drawHeightgraph(elevations, path.distance, encodedValues, coordinates);
+      } else if (Object.keys(encodedValues).length > 0) {
+        // Show heightgraph even without elevation if we have encoded values
+        drawHeightgraph([], path.distance, encodedValues, coordinates);
+      } else {
+        // Hide heightgraph if no data
+        const heightgraphContainer = document.getElementById(UI_IDS.HEIGHTGRAPH_CONTAINER);
+        if (heightgraphContainer) {
+          heightgraphContainer.style.display = 'none';
         }
       }
-    });
+    };
     
-    encodedValues.time = timeArray;
-    encodedValues.distance = distanceArray;
-    encodedValues.street_name = streetNameArray;
-    if (mapillaryArray.some(v => v !== null)) {
-      encodedValues.mapillary_coverage = mapillaryArray;
+    // Show container and trigger panel positioning
+    const heightgraphContainer = document.getElementById(UI_IDS.HEIGHTGRAPH_CONTAINER);
+    if (heightgraphContainer) {
+      heightgraphContainer.style.display = 'block';
+      
+      // Trigger panel positioning to ensure layout is calculated
+      const routingPanel = document.querySelector('.routing-panel');
+      if (routingPanel) {
+        window.dispatchEvent(new Event('resize'));
+      }
+      
+      // Wait for layout to settle - the drawHeightgraph function will handle width detection
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          drawHeightgraphDelayed();
+        });
+      });
+    } else {
+      requestAnimationFrame(() => {
+        drawHeightgraphDelayed();
+      });
+    }
+    
+    // Update route color based on current selection
+    updateRouteColor(routeState.currentEncodedType, encodedValues);
+    
+    // Redraw the weight sweep chart (marks the current weight, hidden if the points changed)
+    drawWeightSweepChart();
+    
+    // Calculate comparison with Weight=1 if current weight < 1 (only for backends with custom models)
+    if (getActiveBackend().capabilities.customModel &&
+        supportsCustomModel(routeState.selectedProfile) && routeState.customModel) {
+      const currentWeight = getMapillaryPriority(routeState.customModel);
+      if (currentWeight !== null && currentWeight < 1.0) {
+        calculateComparisonWithWeightOne(map, allPoints, path, encodedValues, coordinates, currentWeight);
+      } else {
+        // Hide comparison if weight >= 1
+        const comparisonContainer = document.getElementById(UI_IDS.COMPARISON_CONTAINER);
+        if (comparisonContainer) {
+          comparisonContainer.style.display = 'none';
+        }
+      }
     }
   }
-  
-  return encodedValues;
 }
 
+/**
+ * Make one of the alternative routes the active route
+ * @param {maplibregl.Map} map - Map instance
+ * @param {number} index - Index in routeState.alternativeRoutes
+ */
+export function selectAlternativeRoute(map, index) {
+  const alternatives = routeState.alternativeRoutes || [];
+  if (!map || index < 0 || index >= alternatives.length) {
+    return;
+  }
+  
+  routeState.activeAlternativeIndex = index;
+  displayRoute(map, alternatives[index], routeState.lastRoutePoints || []);
+  updateAlternativeRoutes(map);
+}
 
 export function setupRouting(map) {
   routeState.init(map);
@@ -589,6 +624,36 @@ export function setupRouting(map) {
     });
   }
   
+  // Ghost lines for alternative routes (inserted below the route layer)
+  setupAlternativeRouteLayers(map);
+  
+  // Range selected on the heightgraph (below the route layer)
+  setupHeightgraphSelectionLayer(map);
+  
+  // Profiles, encoded values and bounds from the server /info (bounds outline below the route)
+  setupServerInfo(map);
+  
+  // Avoid/block/prefer areas drawn on the map (below the route)
+  setupCustomAreas(map);
+  
+  // Imported capture tracks (context layer below the route)
+  setupCapturedTracks(map);
+  
+  // Full custom model JSON editor
+  setupCustomModelEditor();
+  
+  // Named custom model presets (select in the profile header)
+  setupCustomModelPresets();
+  
+  // Mapillary weight sweep chart
+  setupWeightSweep();
+  
+  // Pano/regular/missing coverage of the route from the missing streets tiles
+  setupCoverageConflation(map);
+  
+  // PNG/SVG export of the heightgraph
+  setupHeightgraphExport();
+  
   // Setup hover interaction for route
   setupRouteHover(map);
 
@@ -617,25 +682,25 @@ export async function calculateRoute(map, start, end, waypoints = []) {
     return;
   }
   
-  // Prevent parallel route calculations
-  if (routeCalculationInProgress) {
-    console.warn(ERROR_MESSAGES.ROUTE_CALCULATION_IN_PROGRESS);
-    return;
-  }
-  
   // Register this function with routeRecalculator (only once)
   setCalculateRouteFunction(calculateRoute);
   
+  // Round trips start and end at the start point - end point and waypoints are ignored
+  const roundTrip = isRoundTripActive();
+  
   // Validate coordinates
   validateCoordinates(start, 'Startpunkt');
-  validateCoordinates(end, 'Endpunkt');
-  waypoints.forEach((wp, index) => {
-    validateCoordinates(wp, `Zwischenpunkt ${index + 1}`);
-  });
+  if (!roundTrip) {
+    validateCoordinates(end, 'Endpunkt');
+    waypoints.forEach((wp, index) => {
+      validateCoordinates(wp, `Zwischenpunkt ${index + 1}`);
+    });
+  }
   
   // Optimize waypoint order if enabled, we have waypoints, and they weren't manually sorted
   let optimizedWaypoints = waypoints;
-  if (waypoints.length > 1 && 
+  if (!roundTrip &&
+      waypoints.length > 1 && 
       routeState.waypointOptimizationEnabled !== false && 
       !routeState.waypointsManuallySorted) {
     const algorithm = routeState.waypointOptimizationAlgorithm || 'nearest_neighbor';
@@ -683,9 +748,11 @@ export async function calculateRoute(map, start, end, waypoints = []) {
     }
     return wp;
   });
-  const allPoints = [start, ...waypointCoords, end];
+  const allPoints = roundTrip ? [start] : [start, ...waypointCoords, end];
   
-  routeCalculationInProgress = true;
+  // Start a new request - aborts a stale route request and its comparison
+  abortRequest(REQUEST_CHANNELS.COMPARISON);
+  const request = beginRequest(REQUEST_CHANNELS.ROUTE);
   const calculateBtn = document.getElementById(UI_IDS.CALCULATE_BTN);
   const routeInfo = document.getElementById(UI_IDS.ROUTE_INFO);
   
@@ -695,342 +762,65 @@ export async function calculateRoute(map, start, end, waypoints = []) {
   }
 
   try {
-    // Prepare profile and custom model
-    const profileParam = getProfileParam();
+    const backend = getActiveBackend();
+    if (roundTrip && !backend.capabilities.roundTrip) {
+      throw new Error(ERROR_MESSAGES.ROUND_TRIP_UNSUPPORTED);
+    }
+    
+    // Points outside the server's bounding box can't be routed - don't send the request
+    if (!arePointsInServerBounds(allPoints)) {
+      throw new Error('OUT_OF_BOUNDS');
+    }
     
     // Ensure custom model is initialized if needed
     if (supportsCustomModel(routeState.selectedProfile)) {
+      const isNewCustomModel = !routeState.customModel;
       routeState.customModel = ensureCustomModel(routeState.customModel, routeState.selectedProfile);
       
-      // Update car access rule for car_customizable profile
-      if (routeState.selectedProfile === 'car_customizable' && routeState.customModel) {
-        routeState.customModel = updateCarAccessRule(
-          routeState.customModel,
-          routeState.allowCarAccess
-        );
-        // Update unpaved roads rule
-        routeState.customModel = updateUnpavedRoadsRule(
-          routeState.customModel,
-          routeState.avoidUnpavedRoads
-        );
-      }
-      
-      // Update avoid pushing rule for bike_customizable profile
-      if (routeState.selectedProfile === 'bike_customizable' && routeState.customModel) {
-        routeState.customModel = updateAvoidPushingRule(
-          routeState.customModel,
-          routeState.avoidPushing
-        );
-      }
+      // Rule toggles of the profile (see profileRegistry.js) - toggles like the bike type
+      // only for a fresh default model, afterwards their rules may be edited by hand
+      routeState.customModel = applyProfileToggles(routeState.customModel, routeState.selectedProfile, {
+        fresh: isNewCustomModel
+      });
     }
     
-    // Fetch route from GraphHopper API
-    const hasCustomModel = supportsCustomModel(routeState.selectedProfile) && routeState.customModel;
-    let response;
+    // The backend only sends it for customizable profiles - null otherwise, so lint and segment explanation
+    // only show rules the backend actually received
+    const requestCustomModel = backend.capabilities.customModel && supportsCustomModel(routeState.selectedProfile)
+      ? buildRequestCustomModel(routeState.customModel)
+      : null;
+    // Show dead, conflicting or invalid rules before the request is sent (the request is sent anyway)
+    updateCustomModelLint(requestCustomModel);
     
-    if (hasCustomModel) {
-      // POST request with JSON body
-      const requestBody = buildPostRequestBodyWithCustomModel(
-        allPoints,
-        routeState.selectedProfile,
-        routeState.customModel
-      );
-      
-      try {
-        response = await fetch(`${GRAPHHOPPER_URL}/route`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(requestBody)
-        });
-      } catch (error) {
-        throw new Error(`${ERROR_MESSAGES.NETWORK_ERROR}. Stelle sicher, dass GraphHopper auf ${GRAPHHOPPER_URL} läuft: ${error.message}`);
-      }
-    } else {
-      // GET request with URL parameters
-      const url = buildGetRequestUrl(allPoints, profileParam);
-      response = await fetchRouteGet(url);
-    }
+    // Fetch route from the active routing backend
+    const routeRequest = backend.buildRouteRequest({
+      points: allPoints,
+      profile: routeState.selectedProfile,
+      customModel: requestCustomModel,
+      roundTrip,
+      // Request alternative routes with the same custom model if enabled
+      alternatives: backend.capabilities.alternatives && canRequestAlternativeRoutes(allPoints)
+    });
+    const data = await fetchBackendRoute(request, backend, routeRequest);
     
-    // Check response status
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = errorText;
-      
-      // Try to parse JSON error message
-      try {
-        const errorJson = JSON.parse(errorText);
-        if (errorJson.message) {
-          errorMessage = errorJson.message;
-        }
-      } catch (e) {
-        // Not JSON, use text as is
-      }
-      
-      // Check if it's a PointNotFoundException
-      if (errorMessage.includes('PointNotFoundException') || errorMessage.includes('Cannot find point')) {
-        throw new Error('OUT_OF_BOUNDS');
-      }
-      
-      throw new Error(`HTTP error! status: ${response.status}, message: ${errorMessage}`);
+    // A newer route request was started in the meantime - don't display a stale route
+    if (!request.isCurrent()) {
+      return;
     }
     
-    const data = await response.json();
-    
-    if (data.paths && data.paths.length > 0) {
-      const path = data.paths[0];
-      let coordinates = [];
+    const routes = parseBackendRoutes(backend, data);
+    if (routes.length > 0) {
+      // More than one route only if alternative routes were requested
+      routeState.alternativeRoutes = routes;
+      routeState.activeAlternativeIndex = 0;
+      routeState.lastRoutePoints = allPoints;
+      routeState.lastRequestCustomModel = requestCustomModel;
       
-      // GraphHopper with points_encoded=false returns coordinates in the points.geometry.coordinates array
-      // Format is GeoJSON LineString: coordinates are [lng, lat] arrays
-      if (path.points && path.points.coordinates) {
-        // Direct coordinates array (GeoJSON format)
-        coordinates = path.points.coordinates;
-      } else if (path.points && path.points.geometry && path.points.geometry.coordinates) {
-        // Nested geometry object
-        coordinates = path.points.geometry.coordinates;
-      } else {
-        throw new Error('Route points format not recognized. Response: ' + JSON.stringify(path).substring(0, 200));
-      }
-      
-      // Extract elevation data if available
-      let elevations = [];
-      let hasElevation = false;
-      
-      // Check if coordinates include elevation (3rd value) or if there's a separate elevation array
-      if (coordinates.length > 0 && coordinates[0].length >= 3) {
-        // Coordinates include elevation: [lng, lat, elevation]
-        elevations = coordinates.map(coord => coord[2] || null);
-        hasElevation = elevations.some(e => e !== null);
-        // Remove elevation from coordinates for MapLibre
-        coordinates = coordinates.map(coord => [coord[0], coord[1]]);
-      } else if (path.points && path.points.elevation) {
-        // Separate elevation array
-        elevations = path.points.elevation;
-        hasElevation = elevations && elevations.length > 0;
-      } else if (path.elevation) {
-        // Elevation at path level
-        elevations = path.elevation;
-        hasElevation = elevations && elevations.length > 0;
-      }
-      
-      // Ensure coordinates are in [lng, lat] format for MapLibre
-      // GraphHopper may return [lat, lng], so check and swap if needed
-      coordinates = coordinates.map(coord => {
-        // If first value is > 90 or < -90, it's likely longitude (already correct)
-        // Otherwise, it might be latitude and we need to swap
-        if (Array.isArray(coord) && coord.length >= 2) {
-          if (Math.abs(coord[0]) <= 90 && Math.abs(coord[1]) > 90) {
-            // Looks like [lat, lng] - swap to [lng, lat]
-            return [coord[1], coord[0]];
-          }
-          // Already [lng, lat] or correct format
-          return [coord[0], coord[1]];
-        }
-        return coord;
-      });
+      displayRoute(map, routeState.alternativeRoutes[0], allPoints);
+      updateAlternativeRoutes(map);
       
-      // Extract encoded values (details) if available
-      // GraphHopper returns details as arrays: [[startIdx, endIdx, value], ...]
-      const encodedValues = {};
-      
-      // Helper function to map detail arrays to coordinate arrays
-      const mapDetailsToCoordinates = (detailArray, coordinatesLength) => {
-        if (!detailArray || !Array.isArray(detailArray)) return null;
-        
-        const result = new Array(coordinatesLength).fill(null);
-        detailArray.forEach(([startIdx, endIdx, value]) => {
-          if (typeof startIdx === 'number' && typeof endIdx === 'number') {
-            for (let i = startIdx; i <= endIdx && i < coordinatesLength; i++) {
-              result[i] = value;
-            }
-          }
-        });
-        return result;
-      };
-      
-      if (path.details && Object.keys(path.details).length > 0) {
-        // Map detail arrays to coordinate arrays for all available details
-        // GraphHopper returns details as: [[startIdx, endIdx, value], ...]
-        Object.keys(path.details).forEach(detailKey => {
-          const detailArray = path.details[detailKey];
-          if (Array.isArray(detailArray) && detailArray.length > 0) {
-            encodedValues[detailKey] = mapDetailsToCoordinates(detailArray, coordinates.length);
-          }
-        });
-        
-        // Also check for time and distance in details (if available)
-        if (path.details.time) {
-          encodedValues.time = mapDetailsToCoordinates(path.details.time, coordinates.length);
-        }
-        if (path.details.distance) {
-          encodedValues.distance = mapDetailsToCoordinates(path.details.distance, coordinates.length);
-        }
-      }
-      
-      // Extract data from instructions - they contain per-segment information
-      if (path.instructions && path.instructions.length > 0) {
-        // Map instruction data to coordinates using intervals
-        const timeArray = new Array(coordinates.length).fill(0);
-        const distanceArray = new Array(coordinates.length).fill(0);
-        const streetNameArray = new Array(coordinates.length).fill('');
-        const customPresentArray = new Array(coordinates.length).fill(null);
-        
-        const osmWayIdArray = new Array(coordinates.length).fill(null);
-        
-        path.instructions.forEach((inst) => {
-          if (inst.interval && Array.isArray(inst.interval) && inst.interval.length === 2) {
-            const [startIdx, endIdx] = inst.interval;
-            // Fill the interval with instruction values
-            for (let i = startIdx; i <= endIdx && i < coordinates.length; i++) {
-              timeArray[i] = inst.time || 0;
-              distanceArray[i] = inst.distance || 0;
-              streetNameArray[i] = inst.street_name || '';
-              // Check if mapillary_coverage is in instruction or details
-              if (inst.mapillary_coverage !== undefined) {
-                customPresentArray[i] = inst.mapillary_coverage;
-              }
-              // Extract osm_way_id from instruction if available
-              if (inst.osm_way_id !== undefined) {
-                osmWayIdArray[i] = inst.osm_way_id;
-              }
-            }
-          }
-        });
-        
-        // Also check osm_way_id in details
-        if (path.details && path.details.osm_way_id) {
-          const osmWayIdDetails = mapDetailsToCoordinates(path.details.osm_way_id, coordinates.length);
-          for (let i = 0; i < coordinates.length; i++) {
-            if (osmWayIdDetails[i] !== null && osmWayIdArray[i] === null) {
-              osmWayIdArray[i] = osmWayIdDetails[i];
-            }
-          }
-        }
-        
-        // Store OSM way IDs if available
-        if (osmWayIdArray.some(id => id !== null)) {
-          encodedValues.osm_way_id = osmWayIdArray;
-        }
-        
-        // Store as encoded values for visualization
-        encodedValues.time = timeArray;
-        encodedValues.distance = distanceArray;
-        encodedValues.street_name = streetNameArray;
-        // Only set mapillary_coverage if we have values
-        if (customPresentArray.some(v => v !== null)) {
-          encodedValues.mapillary_coverage = customPresentArray;
-        }
-      }
-      
-      // Update route layer - will be colored by updateRouteColor based on selected encoded value
-      // Initially set as single feature, will be updated by updateRouteColor
-      let routeSource = map.getSource(LAYER_IDS.ROUTE);
-      if (!routeSource) {
-        // Route source doesn't exist - likely after style change, create it now
-        console.warn('Route source not found, creating it now');
-        setupRouting(map);
-        routeSource = map.getSource(LAYER_IDS.ROUTE);
-        if (!routeSource) {
-          throw new Error('Route source not found and could not be created');
-        }
-      }
-      routeSource.setData({
-        type: 'Feature',
-        geometry: {
-          type: 'LineString',
-          coordinates: coordinates
-        },
-        properties: {
-          color: '#3b82f6'
-        }
-      });
-      
-      // Update layer to support property-based coloring
-      map.setPaintProperty(LAYER_IDS.ROUTE_LAYER, 'line-color', ['get', 'color']);
-      
-        // Update route color based on selected encoded value
-        const select = document.getElementById(UI_IDS.ENCODED_SELECT);
-        const selectedType = select ? select.value : 'mapillary_coverage';
-        updateRouteColor(selectedType, encodedValues);
-      
-      // Update route info
-      if (routeInfo) {
-        routeInfo.innerHTML = generateRouteInfoHTML(path);
-        
-        // Store route data for redrawing heightgraph and route visualization
-        routeState.currentRouteData = {
-          elevations: hasElevation ? elevations : [],
-          distance: path.distance,
-          encodedValues: encodedValues,
-          coordinates: coordinates
-        };
-        
-        // Update context layers opacity when route is displayed
-        updateContextLayersOpacity(map, true);
-        
-        // Show GPX export button
-        const exportGpxBtn = document.getElementById(UI_IDS.EXPORT_GPX_BTN);
-        if (exportGpxBtn) {
-          exportGpxBtn.style.display = 'flex';
-        }
-        
-        // Always show heightgraph if we have elevation or encoded values
-        // The drawHeightgraph function now handles container width detection robustly
-        const drawHeightgraphDelayed = () => {
-          if (hasElevation && elevations.length > 0) {
-            drawHeightgraph(elevations, path.distance, encodedValues, coordinates);
-          } else if (Object.keys(encodedValues).length > 0) {
-            // Show heightgraph even without elevation if we have encoded values
-            drawHeightgraph([], path.distance, encodedValues, coordinates);
-          } else {
-            // Hide heightgraph if no data
-            const heightgraphContainer = document.getElementById(UI_IDS.HEIGHTGRAPH_CONTAINER);
-            if (heightgraphContainer) {
-              heightgraphContainer.style.display = 'none';
-            }
-          }
-        };
-        
-        // Show container and trigger panel positioning
-        const heightgraphContainer = document.getElementById(UI_IDS.HEIGHTGRAPH_CONTAINER);
-        if (heightgraphContainer) {
-          heightgraphContainer.style.display = 'block';
-          
-          // Trigger panel positioning to ensure layout is calculated
-          const routingPanel = document.querySelector('.routing-panel');
-          if (routingPanel) {
-            window.dispatchEvent(new Event('resize'));
-          }
-          
-          // Wait for layout to settle - the drawHeightgraph function will handle width detection
-          requestAnimationFrame(() => {
-            requestAnimationFrame(() => {
-              drawHeightgraphDelayed();
-            });
-          });
-        } else {
-          requestAnimationFrame(() => {
-            drawHeightgraphDelayed();
-          });
-        }
-        
-        // Update route color based on current selection
-        updateRouteColor(routeState.currentEncodedType, encodedValues);
-        
-        // Calculate comparison with Weight=1 if current weight < 1
-        if (supportsCustomModel(routeState.selectedProfile) && routeState.customModel) {
-          const currentWeight = getMapillaryPriority(routeState.customModel);
-          if (currentWeight !== null && currentWeight < 1.0) {
-            calculateComparisonWithWeightOne(map, allPoints, path, encodedValues, coordinates, currentWeight);
-          } else {
-            // Hide comparison if weight >= 1
-            const comparisonContainer = document.getElementById(UI_IDS.COMPARISON_CONTAINER);
-            if (comparisonContainer) {
-              comparisonContainer.style.display = 'none';
-            }
-          }
-        }
-      }
+      // Include alternatives in the bounds so all choices are visible
+      const coordinates = routeState.alternativeRoutes.flatMap(route => route.coordinates);
       
       // Fit map to route
       const bounds = coordinates.reduce((bounds, coord) => {
@@ -1082,7 +872,14 @@ export async function calculateRoute(map, start, end, waypoints = []) {
     } else {
       throw new Error(ERROR_MESSAGES.NO_ROUTE_FOUND);
     }
-  } catch (error) {
+  } catch (caughtError) {
+    const error = normalizeRequestError(request, caughtError);
+    
+    // Superseded by a newer request - the newer one will show its result
+    if (isAbortedRequestError(error) || !request.isCurrent()) {
+      return;
+    }
+    
     console.error('Routing error:', error);
     
     const userFriendlyMessage = getUserFriendlyErrorMessage(error);
@@ -1091,8 +888,9 @@ export async function calculateRoute(map, start, end, waypoints = []) {
     // Show alert with user-friendly message
     alert(`Fehler beim Berechnen der Route: ${userFriendlyMessage}`);
   } finally {
-    routeCalculationInProgress = false;
-    if (calculateBtn) {
+    request.finish();
+    // Reset the button unless a newer request is still running
+    if (calculateBtn && !isRequestInFlight(REQUEST_CHANNELS.ROUTE)) {
       calculateBtn.disabled = false;
       calculateBtn.textContent = 'Route berechnen';
     }
@@ -1100,8 +898,15 @@ export async function calculateRoute(map, start, end, waypoints = []) {
 }
 
 export function clearRoute(map) {
+  // Abort in-flight requests so no route appears after clearing
+  abortRequest(REQUEST_CHANNELS.ROUTE);
+  abortRequest(REQUEST_CHANNELS.COMPARISON);
+  clearWeightSweep();
+  clearInstructionList();
+  
   // Cleanup heightgraph event handlers
   cleanupHeightgraphHandlers();
+  clearHeightgraphSelection();
   
   routeState.reset();
   if (map && map.getCanvas()) {
@@ -1131,6 +936,9 @@ export function clearRoute(map) {
     comparisonContainer.style.display = 'none';
   }
   
+  // Clear alternative routes (ghost lines and list)
+  clearAlternativeRoutes(map);
+  
   // Remove active class from all start/end buttons (original and header)
   document.querySelectorAll('.btn-set-start, .btn-set-start-header, .btn-set-end, .btn-set-end-header').forEach(btn => {
     btn.classList.remove('active');
@@ -7,18 +7,16 @@ import {
   supportsCustomModel,
   ensureCustomModel,
   getMapillaryPriority,
-  updateMapillaryPriority,
-  updateCarAccessRule,
-  getCarAccessRule,
-  updateUnpavedRoadsRule,
-  getUnpavedRoadsRule,
-  updateAvoidPushingRule,
-  getAvoidPushingRule
+  updateMapillaryPriority
 } from './customModel.js';
+import { getProfileToggles, applyProfileToggles } from './profileRegistry.js';
+import { setupProfileToggles, updateProfileToggles } from './profileToggles.js';
 import { setupRoutingInputGeocoder, reverseGeocode } from '../utils/geocoder.js';
-import { ERROR_MESSAGES, MAPILLARY_SLIDER_VALUES } from '../utils/constants.js';
-import { recalculateRouteIfReady } from './routeRecalculator.js';
-import { isRouteCalculationInProgress } from './routing.js';
+import { ERROR_MESSAGES, MAPILLARY_SLIDER_VALUES, UI_IDS, LAYER_IDS } from '../utils/constants.js';
+import { recalculateRouteIfReady, hasRequiredRoutePoints } from './routeRecalculator.js';
+import { clampRoundTripDistance } from './roundTrip.js';
+import { getRoutingBackends, getActiveBackend, setActiveBackend } from './backends/backendRegistry.js';
+import { isRouteCacheBypassed, setRouteCacheBypassed } from './routeCache.js';
 import { createStartMarker, createEndMarker, createWaypointMarker } from './markers/markerFactory.js';
 import { updateWaypointsList } from './waypoints/waypointList.js';
 import { updateCoordinateTooltips } from './coordinates/coordinateTooltips.js';
@@ -77,7 +75,12 @@ export function setupUIHandlers(map) {
   const collapseBtn = document.getElementById('collapse-routing-panel');
   
   // Profile selection handlers
-  document.querySelectorAll('.profile-btn').forEach(btn => {
+  // Buttons for additional server profiles are created later (see serverInfo.js)
+  const bindProfileButton = (btn) => {
+    // setupUIHandlers runs again after style changes - bind each button only once
+    if (btn.dataset.profileHandlerBound) return;
+    btn.dataset.profileHandlerBound = 'true';
+    
     btn.addEventListener('click', () => {
       // Remove active class from all buttons
       document.querySelectorAll('.profile-btn').forEach(b => b.classList.remove('active'));
@@ -106,35 +109,23 @@ export function setupUIHandlers(map) {
           routeState.customModel = ensureCustomModel(routeState.customModel, routeState.selectedProfile);
         }
         
-        // Update car access rule for car_customizable profile
-        if (routeState.selectedProfile === 'car_customizable' && routeState.customModel) {
-          routeState.customModel = updateCarAccessRule(
-            routeState.customModel,
-            routeState.allowCarAccess
-          );
-          // Update unpaved roads rule
-          routeState.customModel = updateUnpavedRoadsRule(
-            routeState.customModel,
-            routeState.avoidUnpavedRoads
-          );
-        }
-        
-        // Update avoid pushing rule for bike_customizable profile
-        if (routeState.selectedProfile === 'bike_customizable' && routeState.customModel) {
-          routeState.customModel = updateAvoidPushingRule(
-            routeState.customModel,
-            routeState.avoidPushing
-          );
-        }
+        // The model was just reset to the default - apply all toggles of the profile
+        // (hand-edited preset rules are gone, e.g. the bike type falls back to trekking)
+        getProfileToggles(routeState.selectedProfile).forEach(toggle => {
+          if (routeState[toggle.state] === null && toggle.defaultValue !== null) {
+            routeState[toggle.state] = toggle.defaultValue;
+          }
+        });
+        routeState.customModel = applyProfileToggles(routeState.customModel, routeState.selectedProfile, { fresh: true });
       } else {
         // Clear custom model if switching to non-customizable profile
         routeState.customModel = null;
       }
       
-      // Show/hide customizable slider
+      // Show/hide customizable slider (only if the routing backend supports custom models)
       const sliderContainer = document.getElementById('customizable-slider-container');
       if (sliderContainer) {
-        if (supportsCustomModel(routeState.selectedProfile)) {
+        if (supportsCustomModel(routeState.selectedProfile) && getActiveBackend().capabilities.customModel) {
           sliderContainer.style.display = 'block';
           // Initialize slider value from customModel
           const multiplyBy = getMapillaryPriority(routeState.customModel);
@@ -171,71 +162,8 @@ export function setupUIHandlers(map) {
         }
       }
       
-      // Show/hide car access switch (only for car_customizable)
-      const carAccessContainer = document.getElementById('car-access-container');
-      if (carAccessContainer) {
-        if (routeState.selectedProfile === 'car_customizable') {
-          carAccessContainer.style.display = 'block';
-          // Initialize switch from routeState
-          const switchInput = document.getElementById('allow-car-access');
-          if (switchInput) {
-            switchInput.checked = routeState.allowCarAccess;
-            // Update custom model based on switch state
-            if (routeState.customModel) {
-              routeState.customModel = updateCarAccessRule(
-                routeState.customModel,
-                routeState.allowCarAccess
-              );
-            }
-          }
-        } else {
-          carAccessContainer.style.display = 'none';
-        }
-      }
-      
-      // Show/hide unpaved roads switch (only for car_customizable)
-      const unpavedRoadsContainer = document.getElementById('unpaved-roads-container');
-      if (unpavedRoadsContainer) {
-        if (routeState.selectedProfile === 'car_customizable') {
-          unpavedRoadsContainer.style.display = 'block';
-          // Initialize switch from routeState
-          const switchInput = document.getElementById('avoid-unpaved-roads');
-          if (switchInput) {
-            switchInput.checked = routeState.avoidUnpavedRoads;
-            // Update custom model based on switch state
-            if (routeState.customModel) {
-              routeState.customModel = updateUnpavedRoadsRule(
-                routeState.customModel,
-                routeState.avoidUnpavedRoads
-              );
-            }
-          }
-        } else {
-          unpavedRoadsContainer.style.display = 'none';
-        }
-      }
-      
-      // Show/hide avoid pushing switch (only for bike_customizable)
-      const avoidPushingContainer = document.getElementById('avoid-pushing-container');
-      if (avoidPushingContainer) {
-        if (routeState.selectedProfile === 'bike_customizable') {
-          avoidPushingContainer.style.display = 'block';
-          // Initialize switch from routeState
-          const switchInput = document.getElementById('avoid-pushing');
-          if (switchInput) {
-            switchInput.checked = routeState.avoidPushing;
-            // Update custom model based on switch state
-            if (routeState.customModel) {
-              routeState.customModel = updateAvoidPushingRule(
-                routeState.customModel,
-                routeState.avoidPushing
-              );
-            }
-          }
-        } else {
-          avoidPushingContainer.style.display = 'none';
-        }
-      }
+      // Show/hide the rule toggles (only those of the selected profile)
+      updateProfileToggles();
       
       // Update route color based on profile
       updateRouteColorByProfile(map, routeState.selectedProfile);
@@ -243,6 +171,10 @@ export function setupUIHandlers(map) {
       // If route already exists, recalculate with new profile
       recalculateRouteIfReady();
     });
+  };
+  document.querySelectorAll('.profile-btn').forEach(bindProfileButton);
+  window.addEventListener('profileButtonsChanged', (e) => {
+    e.detail.buttons.forEach(bindProfileButton);
   });
   
   // Collapse/expand panel handler
@@ -338,6 +270,11 @@ export function setupUIHandlers(map) {
         }
       }
       
+      // Hide/show alternative route ghost lines together with the route
+      if (map.getLayer(LAYER_IDS.ROUTE_ALTERNATIVES_LAYER)) {
+        map.setLayoutProperty(LAYER_IDS.ROUTE_ALTERNATIVES_LAYER, 'visibility', isHidden ? 'none' : 'visible');
+      }
+      
       // Update button icon and title
       const svg = hideBtn.querySelector('svg');
       if (svg) {
@@ -382,10 +319,10 @@ export function setupUIHandlers(map) {
 
   if (calculateBtn) {
     calculateBtn.addEventListener('click', () => {
-      if (routeState.startPoint && routeState.endPoint) {
+      if (hasRequiredRoutePoints()) {
         recalculateRouteIfReady();
       } else {
-        alert(ERROR_MESSAGES.MISSING_START_END);
+        alert(routeState.roundTripEnabled ? ERROR_MESSAGES.MISSING_START : ERROR_MESSAGES.MISSING_START_END);
       }
     });
   }
@@ -398,7 +335,7 @@ export function setupUIHandlers(map) {
     });
   }
   
-  // Mapillary priority slider for car_customizable and bike_customizable profiles
+  // Mapillary priority slider for all customizable profiles
   const mapillarySlider = document.getElementById('mapillary-priority-slider');
   const sliderValueDisplay = document.getElementById('slider-value');
   
@@ -458,26 +395,8 @@ export function setupUIHandlers(map) {
     let pendingRecalculation = false;
     let isUserDragging = false;
     
-    let retryInterval = null;
-    
-    const triggerRouteRecalculation = async () => {
-      if (!pendingRecalculation || !routeState.startPoint || !routeState.endPoint) {
-        return;
-      }
-      
-      // Prevent multiple simultaneous calls
-      if (retryInterval) {
-        return; // Already trying to calculate
-      }
-      
-      // Check if a calculation is already in progress
-      if (isRouteCalculationInProgress()) {
-        // Wait a bit and try again
-        setTimeout(() => {
-          if (pendingRecalculation && !isRouteCalculationInProgress()) {
-            triggerRouteRecalculation();
-          }
-        }, 100);
+    const triggerRouteRecalculation = () => {
+      if (!pendingRecalculation || !hasRequiredRoutePoints()) {
         return;
       }
       
@@ -494,7 +413,8 @@ export function setupUIHandlers(map) {
       // Reset pending flag immediately to prevent duplicate calls
       pendingRecalculation = false;
       
-      // Try to calculate route (include waypoints)
+      // Calculate route with the latest slider value (include waypoints)
+      // A request still running for an older value is aborted by the request manager
       recalculateRouteIfReady();
       
       // Reset slider start time
@@ -569,89 +489,154 @@ export function setupUIHandlers(map) {
     });
   }
   
-  // Car access switch handler (for car_customizable profile only)
-  const carAccessSwitch = document.getElementById('allow-car-access');
-  if (carAccessSwitch) {
-    carAccessSwitch.addEventListener('change', (e) => {
-      if (routeState.selectedProfile !== 'car_customizable') {
-        return;
-      }
-      
-      const allowCarAccess = e.target.checked;
-      routeState.allowCarAccess = allowCarAccess;
-      
-      // Update custom model
-      if (routeState.customModel) {
-        routeState.customModel = updateCarAccessRule(
-          routeState.customModel,
-          allowCarAccess
-        );
-      }
+  // Rule toggle handlers (switches and selects of the customizable profiles, see profileRegistry.js)
+  setupProfileToggles();
+  
+  // Alternative routes switch handler (for all customizable profiles)
+  const alternativeRoutesToggle = document.getElementById(UI_IDS.ALTERNATIVE_ROUTES_TOGGLE);
+  if (alternativeRoutesToggle) {
+    // Initialize switch from routeState
+    alternativeRoutesToggle.checked = routeState.alternativeRoutesEnabled;
+    
+    alternativeRoutesToggle.addEventListener('change', (e) => {
+      routeState.alternativeRoutesEnabled = e.target.checked;
       
       // Recalculate route if ready
       recalculateRouteIfReady();
     });
   }
   
-  // Unpaved roads switch handler (for car_customizable profile only)
-  const unpavedRoadsSwitch = document.getElementById('avoid-unpaved-roads');
-  if (unpavedRoadsSwitch) {
-    unpavedRoadsSwitch.addEventListener('change', (e) => {
-      if (routeState.selectedProfile !== 'car_customizable') {
-        return;
+  // Round trip switch and options (start point only, GraphHopper algorithm=round_trip)
+  const roundTripToggle = document.getElementById('round-trip-toggle');
+  const roundTripDistanceInput = document.getElementById('round-trip-distance');
+  const roundTripHeadingSelect = document.getElementById('round-trip-heading');
+  const roundTripSeedBtn = document.getElementById('round-trip-seed');
+  
+  const updateRoundTripUI = () => {
+    const enabled = routeState.roundTripEnabled;
+    
+    const roundTripOptions = document.getElementById('round-trip-options');
+    if (roundTripOptions) {
+      roundTripOptions.style.display = enabled ? 'flex' : 'none';
+    }
+    
+    // End point and waypoints are not used for round trips
+    ['end-input-group', 'waypoints-input-group', 'waypoints-container'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.style.display = enabled ? 'none' : '';
       }
+    });
+  };
+  
+  if (roundTripToggle) {
+    // Initialize controls from routeState
+    roundTripToggle.checked = routeState.roundTripEnabled;
+    if (roundTripDistanceInput) {
+      roundTripDistanceInput.value = Math.round(routeState.roundTripDistance / 1000);
+    }
+    if (roundTripHeadingSelect) {
+      roundTripHeadingSelect.value = routeState.roundTripHeading !== null ? String(routeState.roundTripHeading) : '';
+    }
+    updateRoundTripUI();
+    
+    roundTripToggle.addEventListener('change', (e) => {
+      routeState.roundTripEnabled = e.target.checked;
       
-      const avoidUnpavedRoads = e.target.checked;
-      routeState.avoidUnpavedRoads = avoidUnpavedRoads;
-      
-      // Update custom model
-      if (routeState.customModel) {
-        routeState.customModel = updateUnpavedRoadsRule(
-          routeState.customModel,
-          avoidUnpavedRoads
-        );
+      // No end point needed - leave end point selection mode
+      if (routeState.roundTripEnabled && routeState.isSelectingEnd) {
+        routeState.isSelectingEnd = false;
+        map.getCanvas().style.cursor = '';
+        document.querySelectorAll('.btn-set-end, .btn-set-end-header').forEach(btn => {
+          btn.classList.remove('active');
+        });
       }
       
-      // Recalculate route if ready
+      updateRoundTripUI();
       recalculateRouteIfReady();
     });
   }
   
-  // Avoid pushing switch handler (for bike_customizable profile only)
-  const avoidPushingSwitch = document.getElementById('avoid-pushing');
-  if (avoidPushingSwitch) {
-    avoidPushingSwitch.addEventListener('change', (e) => {
-      if (routeState.selectedProfile !== 'bike_customizable') {
-        return;
-      }
+  if (roundTripDistanceInput) {
+    roundTripDistanceInput.addEventListener('change', (e) => {
+      const distanceKm = parseFloat(e.target.value);
+      routeState.roundTripDistance = clampRoundTripDistance(distanceKm * 1000);
+      // Show the clamped value
+      e.target.value = Math.round(routeState.roundTripDistance / 1000);
       
-      const avoidPushing = e.target.checked;
-      routeState.avoidPushing = avoidPushing;
-      
-      // Ensure custom model exists and preserve mapillary weight
-      if (!routeState.customModel) {
-        routeState.customModel = ensureCustomModel(null, routeState.selectedProfile);
+      if (routeState.roundTripEnabled) {
+        recalculateRouteIfReady();
       }
+    });
+  }
+  
+  if (roundTripHeadingSelect) {
+    roundTripHeadingSelect.addEventListener('change', (e) => {
+      routeState.roundTripHeading = e.target.value === '' ? null : parseInt(e.target.value, 10);
       
-      // Preserve current mapillary weight before updating
-      const currentMapillaryWeight = getMapillaryPriority(routeState.customModel);
-      
-      // Update custom model
-      routeState.customModel = updateAvoidPushingRule(
-        routeState.customModel,
-        avoidPushing
-      );
-      
-      // Restore mapillary weight if it was set
-      if (currentMapillaryWeight !== null && currentMapillaryWeight !== undefined) {
-        routeState.customModel = updateMapillaryPriority(
-          routeState.customModel,
-          currentMapillaryWeight
-        );
+      if (routeState.roundTripEnabled) {
+        recalculateRouteIfReady();
       }
+    });
+  }
+  
+  if (roundTripSeedBtn) {
+    roundTripSeedBtn.addEventListener('click', () => {
+      // A new seed makes GraphHopper suggest a different round trip
+      routeState.roundTripSeed = (routeState.roundTripSeed || 0) + 1;
       
-      // Recalculate route if ready
-      recalculateRouteIfReady();
+      if (routeState.roundTripEnabled) {
+        recalculateRouteIfReady();
+      }
+    });
+  }
+  
+  // Routing backend selector (map settings)
+  const backendSelect = document.getElementById('routing-backend-select');
+  
+  // Show only the controls the active backend supports
+  const updateBackendCapabilitiesUI = () => {
+    const { capabilities } = getActiveBackend();
+    
+    const sliderContainer = document.getElementById('customizable-slider-container');
+    if (sliderContainer) {
+      sliderContainer.style.display =
+        capabilities.customModel && supportsCustomModel(routeState.selectedProfile) ? 'block' : 'none';
+    }
+    
+    const roundTripContainer = document.getElementById('round-trip-container');
+    if (roundTripContainer) {
+      roundTripContainer.style.display = capabilities.roundTrip ? '' : 'none';
+    }
+    // Leave round trip mode if the backend can't calculate round trips
+    if (!capabilities.roundTrip && routeState.roundTripEnabled && roundTripToggle) {
+      roundTripToggle.checked = false;
+      routeState.roundTripEnabled = false;
+      updateRoundTripUI();
+    }
+  };
+  
+  if (backendSelect) {
+    const activeBackend = getActiveBackend();
+    backendSelect.innerHTML = getRoutingBackends()
+      .map(backend => `<option value="${backend.id}"${backend.id === activeBackend.id ? ' selected' : ''}>${backend.name}</option>`)
+      .join('');
+    
+    backendSelect.addEventListener('change', (e) => {
+      if (setActiveBackend(e.target.value)) {
+        updateBackendCapabilitiesUI();
+        recalculateRouteIfReady();
+      }
+    });
+  }
+  updateBackendCapabilitiesUI();
+  
+  // Route cache bypass switch (map settings)
+  const cacheBypassToggle = document.getElementById('toggle-route-cache-bypass');
+  if (cacheBypassToggle) {
+    cacheBypassToggle.checked = isRouteCacheBypassed();
+    cacheBypassToggle.addEventListener('change', (e) => {
+      setRouteCacheBypassed(e.target.checked);
     });
   }
   
@@ -792,8 +777,8 @@ export async function setStartPoint(map, lngLat, options = {}) {
     }
   }
   
-  // Automatically activate end point selection mode if requested
-  if (autoActivateEnd) {
+  // Automatically activate end point selection mode if requested (round trips don't need an end point)
+  if (autoActivateEnd && !routeState.roundTripEnabled) {
     routeState.isSelectingStart = false;
     routeState.isSelectingEnd = true;
     map.getCanvas().style.cursor = 'crosshair';
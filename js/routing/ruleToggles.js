@@ -0,0 +1,367 @@
+// Rule toggles: on/off switches that add or replace custom model rules
+// Each toggle only declares its rules - the switch, the routeState flag and the permalink parameter
+// are generated (see getProfileRuleToggles and profileRegistry.js)
+//
+// Every toggle declares:
+//   id                  routeState flag and permalink parameter (legacyPermalinkKeys: old names that are still read)
+//   profiles            App profiles the switch is shown for
+//   label, title, icon  Switch text, tooltip and SVG
+//   on, off             Rules per section ({priority: [...], speed: [...]}) for the switch state
+//   anchors             Where missing rules are inserted per section ({before|after: condition substring})
+//                       Default: priority before the Mapillary rule (slider stays the last factor), speed at the end
+//
+// Rules are identified by their condition: rules of the new state replace rules with the same
+// condition in place, rules of the old state without counterpart are removed
+
+const RULE_TOGGLES = [
+  {
+    id: 'allowCarAccess',
+    legacyPermalinkKeys: ['allowDestinationAccess'],
+    profiles: ['car_customizable'],
+    label: 'Durchfahrtsbeschränkungen ignorieren',
+    icon: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+      <path fill-rule="evenodd" clip-rule="evenodd" d="M6 1C6.55228 1 7 1.44772 7 2V4H17V2C17 1.44772 17.4477 1 18 1C18.5523 1 19 1.44772 19 2V4H20C21.6569 4 23 5.34315 23 7V11C23 12.6569 21.6569 14 20 14H19V22C19 22.5523 18.5523 23 18 23C17.4477 23 17 22.5523 17 22V14H7L7 22C7 22.5523 6.55228 23 6 23C5.44772 23 5 22.5523 5 22L5 14H4C2.34315 14 1 12.6569 1 11V7C1 5.34315 2.34315 4 4 4H5V2C5 1.44772 5.44772 1 6 1ZM3 7C3 6.44772 3.44772 6 4 6H6.38197L3.4608 11.8423C3.18365 11.6645 3 11.3537 3 11V7ZM5.61803 12H7.38197L10.382 6H8.61803L5.61803 12ZM12.618 6L9.61803 12H11.382L14.382 6H12.618ZM16.618 6L13.618 12H15.382L18.382 6H16.618ZM20.5392 6.15767L17.618 12H20C20.5523 12 21 11.5523 21 11V7C21 6.64628 20.8163 6.33545 20.5392 6.15767Z" fill="currentColor"/>
+    </svg>`,
+    // Default (off): block motor_vehicle=destination, private and no
+    on: {},
+    off: {
+      speed: [
+        {"if": "road_access==DESTINATION||road_access==PRIVATE||road_access==NO", "limit_to": 0}
+      ]
+    },
+    anchors: { speed: { after: 'car_access==false' } }
+  },
+  {
+    id: 'avoidUnpavedRoads',
+    profiles: ['car_customizable'],
+    label: 'Unbefestigte Wege meiden',
+    icon: `<svg width="18" height="18" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg">
+      <path d="M42 7.5C42 8.32843 41.3284 9 40.5 9C39.6716 9 39 8.32843 39 7.5C39 6.67157 39.6716 6 40.5 6C41.3284 6 42 6.67157 42 7.5Z" fill="currentColor"/>
+      <path d="M42 12.5C42 13.3284 41.3284 14 40.5 14C39.6716 14 39 13.3284 39 12.5C39 11.6716 39.6716 11 40.5 11C41.3284 11 42 11.6716 42 12.5Z" fill="currentColor"/>
+      <path d="M42 17.5C42 18.3284 41.3284 19 40.5 19C39.6716 19 39 18.3284 39 17.5C39 16.6716 39.6716 16 40.5 16C41.3284 16 42 16.6716 42 17.5Z" fill="currentColor"/>
+      <path d="M41.5 21.3496C41.5 21.9019 41.0523 22.3496 40.5 22.3496C39.9477 22.3496 39.5 21.9019 39.5 21.3496C39.5 20.7973 39.9477 20.3496 40.5 20.3496C41.0523 20.3496 41.5 20.7973 41.5 21.3496Z" fill="currentColor"/>
+      <path d="M36.6868 7.92226C36.8029 8.74251 36.2321 9.5016 35.4119 9.61774C34.5916 9.73389 33.8325 9.1631 33.7164 8.34285C33.6003 7.52261 34.171 6.76351 34.9913 6.64737C35.8115 6.53123 36.5706 7.10202 36.6868 7.92226Z" fill="currentColor"/>
+      <path d="M37.3879 12.8728C37.5041 13.6931 36.9333 14.4522 36.113 14.5683C35.2928 14.6844 34.5337 14.1137 34.4176 13.2934C34.3014 12.4732 34.8722 11.7141 35.6925 11.5979C36.5127 11.4818 37.2718 12.0526 37.3879 12.8728Z" fill="currentColor"/>
+      <path d="M38.0889 17.8235C38.205 18.6438 37.6342 19.4028 36.814 19.519C35.9937 19.6351 35.2346 19.0643 35.1185 18.2441C35.0024 17.4239 35.5731 16.6648 36.3934 16.5486C37.2136 16.4325 37.9727 17.0033 38.0889 17.8235Z" fill="currentColor"/>
+      <path d="M38.79 22.7741C38.9062 23.5943 38.3354 24.3534 37.5151 24.4695C36.6949 24.5857 35.9358 24.0149 35.8197 23.1947C35.7035 22.3744 36.2743 21.6153 37.0946 21.4992C37.9148 21.383 38.6739 21.9538 38.79 22.7741Z" fill="currentColor"/>
+      <path d="M30.0448 9.63063C30.3844 10.3863 30.0472 11.2741 29.2915 11.6137C28.5359 11.9533 27.6481 11.616 27.3085 10.8604C26.9689 10.1047 27.3062 9.2169 28.0618 8.87731C28.8174 8.53773 29.7053 8.875 30.0448 9.63063Z" fill="currentColor"/>
+      <path d="M32.0947 14.1912C32.4342 14.9468 32.097 15.8346 31.3413 16.1742C30.5857 16.5138 29.6979 16.1765 29.3583 15.4209C29.0187 14.6653 29.356 13.7774 30.1116 13.4379C30.8672 13.0983 31.7551 13.4355 32.0947 14.1912Z" fill="currentColor"/>
+      <path d="M34.1442 18.7517C34.4838 19.5073 34.1465 20.3952 33.3909 20.7348C32.6353 21.0744 31.7474 20.7371 31.4078 19.9815C31.0683 19.2258 31.4055 18.338 32.1612 17.9984C32.9168 17.6588 33.8046 17.9961 34.1442 18.7517Z" fill="currentColor"/>
+      <path d="M35.0767 22.2662C35.3031 22.77 35.0782 23.3619 34.5745 23.5883C34.0707 23.8147 33.4788 23.5898 33.2524 23.0861C33.0261 22.5823 33.2509 21.9904 33.7547 21.764C34.2584 21.5376 34.8503 21.7625 35.0767 22.2662Z" fill="currentColor"/>
+      <path d="M23.0252 12.9106C23.5636 13.5403 23.4896 14.4871 22.8599 15.0255C22.2303 15.5638 21.2834 15.4898 20.7451 14.8602C20.2067 14.2305 20.2807 13.2837 20.9103 12.7453C21.54 12.2069 22.4869 12.281 23.0252 12.9106Z" fill="currentColor"/>
+      <path d="M26.6485 16.6817C27.1869 17.3114 27.1129 18.2582 26.4832 18.7966C25.8536 19.335 24.9067 19.2609 24.3683 18.6313C23.83 18.0016 23.904 17.0548 24.5336 16.5164C25.1633 15.9781 26.1101 16.0521 26.6485 16.6817Z" fill="currentColor"/>
+      <path d="M29.8978 20.482C30.4361 21.1117 30.3621 22.0585 29.7325 22.5969C29.1028 23.1352 28.156 23.0612 27.6176 22.4316C27.0792 21.8019 27.1533 20.8551 27.7829 20.3167C28.4126 19.7784 29.3594 19.8524 29.8978 20.482Z" fill="currentColor"/>
+      <path d="M33.147 24.2823C33.6854 24.912 33.6114 25.8588 32.9817 26.3972C32.3521 26.9355 31.4052 26.8615 30.8669 26.2319C30.3285 25.6022 30.4025 24.6554 31.0322 24.117C31.6618 23.5786 32.6087 23.6527 33.147 24.2823Z" fill="currentColor"/>
+      <path d="M27.5616 13.6911C27.5616 14.1705 27.1729 14.5591 26.6935 14.5591C26.2141 14.5591 25.8254 14.1705 25.8254 13.6911C25.8254 13.2116 26.2141 12.823 26.6935 12.823C27.1729 12.823 27.5616 13.2116 27.5616 13.6911Z" fill="currentColor"/>
+      <path d="M30.1546 18.0338C30.1546 18.5133 29.766 18.9019 29.2865 18.9019C28.8071 18.9019 28.4185 18.5133 28.4185 18.0338C28.4185 17.5544 28.8071 17.1658 29.2865 17.1658C29.766 17.1658 30.1546 17.5544 30.1546 18.0338Z" fill="currentColor"/>
+      <path d="M34.5787 15.9211C34.5787 16.4005 34.19 16.7891 33.7106 16.7891C33.2312 16.7891 32.8425 16.4005 32.8425 15.9211C32.8425 15.4416 33.2312 15.053 33.7106 15.053C34.19 15.053 34.5787 15.4416 34.5787 15.9211Z" fill="currentColor"/>
+      <path d="M39.3343 15.1321C39.3343 15.6115 38.9456 16.0002 38.4662 16.0002C37.9868 16.0002 37.5981 15.6115 37.5981 15.1321C37.5981 14.6527 37.9868 14.264 38.4662 14.264C38.9456 14.264 39.3343 14.6527 39.3343 15.1321Z" fill="currentColor"/>
+      <path d="M33.5777 11.3605C33.5777 11.8399 33.189 12.2286 32.7096 12.2286C32.2302 12.2286 31.8416 11.8399 31.8416 11.3605C31.8416 10.8811 32.2302 10.4924 32.7096 10.4924C33.189 10.4924 33.5777 10.8811 33.5777 11.3605Z" fill="currentColor"/>
+      <path d="M39.0001 10.1319C39.0001 10.6113 38.6114 10.9999 38.132 10.9999C37.6526 10.9999 37.2639 10.6113 37.2639 10.1319C37.2639 9.65244 37.6526 9.26379 38.132 9.26379C38.6114 9.26379 39.0001 9.65244 39.0001 10.1319Z" fill="currentColor"/>
+      <path fill-rule="evenodd" clip-rule="evenodd" d="M20.7262 12.9584C19.246 14.0427 17.8476 15.2409 16.5442 16.5443C13.2013 19.8872 10.5495 23.8558 8.74037 28.2235C7.18664 31.9746 6.28048 35.9569 6.05557 40.0012C5.99423 41.104 6.89546 42.0002 8.00003 42.0002H22C23.1046 42.0002 23.9885 41.102 24.111 40.0043C24.2983 38.3257 24.7213 36.6784 25.3702 35.1119C26.2748 32.928 27.6007 30.9437 29.2721 29.2722C30.2824 28.2619 31.4071 27.3779 32.621 26.6368C28.8049 22.1902 24.0011 16.6349 20.7262 12.9584ZM25.0957 21.7401L24.3724 22.4306C23.8311 22.9473 23.3105 23.4882 22.8117 24.0515L22.1488 24.8001L20.6515 23.4741L21.3145 22.7255C21.8498 22.121 22.4091 21.5398 22.9913 20.984L23.7146 20.2935L25.0957 21.7401ZM20.6432 26.8087L20.1082 27.6536C19.3092 28.9155 18.6018 30.2488 17.9938 31.6398L17.5932 32.5561L15.7607 31.755L16.1612 30.8387C16.8093 29.356 17.5643 27.9327 18.4184 26.5836L18.9534 25.7388L20.6432 26.8087ZM16.7566 34.9367L16.4947 35.9018C16.298 36.6263 16.1266 37.3612 15.9815 38.1046L15.7898 39.0861L13.8269 38.7029L14.0185 37.7214C14.1729 36.9306 14.3552 36.1489 14.5645 35.3779L14.8265 34.4128L16.7566 34.9367Z" fill="currentColor"/>
+    </svg>`,
+    // Default (off): slightly reduce unpaved roads (0.6-0.8), on: strongly avoid them (0.25-0.5)
+    on: {
+      priority: [
+        {"if": "surface==GRAVEL||surface==FINE_GRAVEL||surface==DIRT||surface==GROUND||surface==SAND", "multiply_by": 0.25},
+        {"if": "surface==PAVING_STONES||surface==COBBLESTONE||surface==COMPACTED", "multiply_by": 0.5},
+        {"if": "surface==null", "multiply_by": 0.3}
+      ]
+    },
+    off: {
+      priority: [
+        {"if": "surface==GRAVEL||surface==FINE_GRAVEL||surface==DIRT||surface==GROUND||surface==SAND", "multiply_by": 0.7},
+        {"if": "surface==PAVING_STONES||surface==COBBLESTONE||surface==COMPACTED", "multiply_by": 0.8},
+        {"if": "surface==null", "multiply_by": 0.6}
+      ]
+    }
+  },
+  {
+    id: 'avoidPushing',
+    profiles: ['bike_customizable'],
+    label: 'Schieben verhindern',
+    icon: `<svg width="18" height="18" viewBox="0 0 200 200" fill="none" xmlns="http://www.w3.org/2000/svg">
+      <!-- Person schiebt Fahrrad -->
+      <path d="M 103.59,38.09 C 98.49,38.27 93.57,40.9 90.67,45.55 L 63.58,88.88 C 58.8,90 54.85,93.57 53.35,98.42 L 43.14,131.39 C 26.76,128.06 10.3,136.74 3.79,152.13 C -3.78,170.01 4.58,190.63 22.46,198.2 C 40.33,205.76 60.96,197.41 68.52,179.53 C 76.09,161.66 67.73,141.03 49.85,133.47 L 52.65,124.44 L 84.29,159.55 V 149.05 L 55.06,116.63 H 84.28 V 109.6 H 67.03 57.24 L 60.06,100.5 C 60.19,100.07 60.37,99.67 60.58,99.28 C 61.02,103.38 63.26,107.25 67.03,109.6 L 88.25,75.66 V 105.64 H 120.03 V 53.98 C 120.03,48.49 117.21,43.4 112.57,40.49 C 109.78,38.75 106.65,37.98 103.59,38.09 Z M 36.32,137.71 C 37.88,137.72 39.46,137.86 41.04,138.14 L 32.8,164.78 C 32.22,166.64 33.26,168.61 35.11,169.19 C 36.97,169.76 38.94,168.72 39.51,166.87 L 47.76,140.22 C 61.9,146.63 68.17,163.29 61.76,177.43 C 55.35,191.58 38.69,197.84 24.55,191.44 C 10.41,185.03 4.14,168.37 10.55,154.23 C 15.19,144 25.38,137.65 36.32,137.71 Z" fill="currentColor"/>
+      <path d="M 153.49,170.95 C 153.96,170.04 154.04,168.93 153.58,167.91 L 140.62,138.88 C 140.94,138.78 141.27,138.69 141.6,138.61 C 156.63,134.73 171.97,143.77 175.85,158.81 C 179.73,173.85 170.69,189.19 155.66,193.07 C 140.62,196.95 125.28,187.91 121.4,172.87 H 126.58 L 122.19,165.85 H 120.5 C 120.5,165.01 120.55,164.18 120.63,163.35 L 115.27,154.79 C 114.1,158.31 113.47,162.03 113.47,165.85 H 108.09 V 172.87 H 114.18 C 114.45,174.19 114.79,175.48 115.2,176.74 C 121.22,195.2 141.06,205.28 159.51,199.26 C 177.97,193.25 188.05,173.41 182.03,154.95 C 176.01,136.49 156.17,126.41 137.72,132.43 L 127.52,109.61 L 130.16,102.58 H 138.07 V 95.56 H 123.98 V 119.06 L 131.26,135.34 C 131.23,135.36 131.2,135.38 131.17,135.4 Z" fill="currentColor"/>
+      <path d="M 144.39,165.83 H 126.86 L 131.25,172.86 H 148.56 Z" fill="currentColor"/>
+      <path d="M 127.62,137.66 C 123.14,141 119.56,145.33 117.12,150.25 L 121.74,157.63 C 123.41,152.18 126.7,147.31 131.24,143.74 Z" fill="currentColor"/>
+      <path d="M 120.03,109.6 H 88.25 V 116.63 H 117.39 L 109.41,137.91 L 114.1,145.42 L 121.11,126.73 L 120.03,124.91 Z" fill="currentColor"/>
+      <path d="M 88.25,109.6 V 200.99 C 97.02,200.99 104.13,193.86 104.13,185.09 V 129.46 L 143.86,193.04 C 151.31,188.38 153.57,178.58 148.93,171.14 L 120.03,124.9 V 109.6" fill="currentColor"/>
+      <circle cx="94.2" cy="16.23" r="15.89" fill="currentColor"/>
+    </svg>`,
+    // Default (off): slightly reduce one-ways against the direction and footways without bicycle
+    // infrastructure (0.2), on: strongly avoid one-ways (0.01) and block the footways (speed 0)
+    on: {
+      priority: [
+        {"else_if": "!bike_access && backward_bike_access && !roundabout", "multiply_by": 0.01}
+      ],
+      speed: [
+        {"if": "road_class == FOOTWAY && bicycle_infra == NONE", "limit_to": 0}
+      ]
+    },
+    off: {
+      priority: [
+        {"else_if": "!bike_access && backward_bike_access && !roundabout", "multiply_by": 0.2},
+        {"if": "road_class == FOOTWAY && bicycle_infra == NONE", "multiply_by": 0.2}
+      ]
+    },
+    anchors: { speed: { after: 'bike_access==false' } }
+  },
+  {
+    id: 'avoidFerries',
+    profiles: ['bike_customizable', 'car_customizable', 'foot_customizable'],
+    label: 'Fähren meiden',
+    title: 'Fährverbindungen nur nutzen, wenn es keine Alternative gibt',
+    icon: `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M2 21c.6.5 1.2 1 2.5 1 2.5 0 2.5-2 5-2 1.3 0 1.9.5 2.5 1 .6.5 1.2 1 2.5 1 2.5 0 2.5-2 5-2 1.3 0 1.9.5 2.5 1"/>
+      <path d="M19.38 20A11.6 11.6 0 0 0 21 14l-9-4-9 4c0 2.9.94 5.34 2.81 7.76"/>
+      <path d="M19 13V7a2 2 0 0 0-2-2H7a2 2 0 0 0-2 2v6"/>
+      <path d="M12 10v4"/>
+      <path d="M12 2v3"/>
+    </svg>`,
+    on: {
+      priority: [
+        {"if": "road_environment == FERRY", "multiply_by": 0.1}
+      ]
+    },
+    off: {}
+  },
+  {
+    // Not for foot_customizable - "Rollstuhlgerecht" already blocks steps
+    id: 'avoidSteps',
+    profiles: ['bike_customizable'],
+    label: 'Treppen meiden',
+    title: 'Treppen (Rad tragen) stark abwerten',
+    icon: `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M3 21h5v-5h5v-5h5V6h3"/>
+    </svg>`,
+    on: {
+      priority: [
+        {"if": "road_class == STEPS", "multiply_by": 0.05}
+      ]
+    },
+    off: {}
+  },
+  {
+    id: 'avoidCobblestone',
+    profiles: ['bike_customizable'],
+    label: 'Kopfsteinpflaster meiden',
+    title: 'Kopfsteinpflaster zusätzlich zum Fahrradtyp abwerten',
+    icon: `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <rect x="2" y="4" width="9" height="7" rx="2"/>
+      <rect x="13" y="4" width="9" height="7" rx="2"/>
+      <rect x="7" y="13" width="10" height="7" rx="2"/>
+    </svg>`,
+    on: {
+      priority: [
+        {"if": "surface == COBBLESTONE", "multiply_by": 0.3}
+      ]
+    },
+    off: {}
+  },
+  {
+    id: 'preferBikeNetwork',
+    profiles: ['bike_customizable'],
+    label: 'Radnetz bevorzugen',
+    title: 'Wege außerhalb ausgeschilderter Radrouten abwerten',
+    icon: `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <circle cx="6" cy="19" r="3"/>
+      <path d="M9 19h8.5a3.5 3.5 0 0 0 0-7h-11a3.5 3.5 0 0 1 0-7H15"/>
+      <circle cx="18" cy="5" r="3"/>
+    </svg>`,
+    on: {
+      priority: [
+        {"if": "bike_network == MISSING", "multiply_by": 0.6}
+      ]
+    },
+    off: {}
+  }
+];
+
+const SECTIONS = ['priority', 'speed'];
+const DEFAULT_ANCHORS = {
+  priority: { before: 'mapillary_coverage' },
+  speed: {}
+};
+
+/**
+ * Get the rule toggles of a profile as profile registry toggles (see profileRegistry.js)
+ * @param {string} profileId - App profile name
+ * @returns {Array<Object>} Switch toggles (routeState flag and permalink parameter = toggle id)
+ */
+export function getProfileRuleToggles(profileId) {
+  return RULE_TOGGLES
+    .filter(toggle => toggle.profiles.includes(profileId))
+    .map(toggle => ({
+      state: toggle.id,
+      type: 'switch',
+      containerId: getContainerId(toggle),
+      inputId: getInputId(toggle),
+      permalinkKey: toggle.id,
+      legacyPermalinkKeys: toggle.legacyPermalinkKeys,
+      defaultValue: false,
+      apply: (customModel, enabled) => updateRuleToggle(customModel, toggle, enabled),
+      read: (customModel) => getRuleToggle(customModel, toggle)
+    }));
+}
+
+/**
+ * Initial routeState flags of all rule toggles
+ * @returns {Object} false by toggle id
+ */
+export function getRuleToggleDefaults() {
+  return Object.fromEntries(RULE_TOGGLES.map(toggle => [toggle.id, false]));
+}
+
+/**
+ * Check if a rule is managed by a rule toggle (same section and condition as one of its rules)
+ * Used by other rule functions (e.g. bike type presets) to leave these rules alone
+ * @param {Object} rule - Custom model rule
+ * @param {string} section - 'priority' or 'speed'
+ * @returns {boolean} True if a rule toggle owns the condition
+ */
+export function isRuleToggleRule(rule, section) {
+  return RULE_TOGGLES.some(toggle =>
+    [...getRules(toggle.on, section), ...getRules(toggle.off, section)].some(own => hasSameCondition(own, rule))
+  );
+}
+
+/**
+ * Switch a rule toggle in a custom model
+ * @param {Object} customModel - Custom model to update
+ * @param {Object} toggle - Rule toggle (see RULE_TOGGLES)
+ * @param {boolean} enabled - New switch state
+ * @returns {Object} Updated custom model
+ */
+export function updateRuleToggle(customModel, toggle, enabled) {
+  if (!customModel) {
+    return customModel;
+  }
+
+  const target = enabled ? toggle.on : toggle.off;
+  const previous = enabled ? toggle.off : toggle.on;
+
+  SECTIONS.forEach(section => {
+    const targetRules = getRules(target, section);
+    const previousRules = getRules(previous, section);
+    if (!Array.isArray(customModel[section]) || (targetRules.length === 0 && previousRules.length === 0)) {
+      return;
+    }
+
+    // Rules of the other state without counterpart in the new state
+    customModel[section] = customModel[section].filter(rule =>
+      !previousRules.some(own => hasSameCondition(own, rule)) ||
+      targetRules.some(own => hasSameCondition(own, rule))
+    );
+
+    // Replace in place, insert missing rules (in declaration order) at the anchor
+    let insertIndex = null;
+    targetRules.forEach(own => {
+      const index = customModel[section].findIndex(rule => hasSameCondition(own, rule));
+      if (index !== -1) {
+        customModel[section][index] = { ...own };
+        return;
+      }
+      if (insertIndex === null) {
+        insertIndex = findAnchorIndex(customModel[section], (toggle.anchors && toggle.anchors[section]) || DEFAULT_ANCHORS[section]);
+      }
+      customModel[section].splice(insertIndex++, 0, { ...own });
+    });
+  });
+
+  return customModel;
+}
+
+/**
+ * Get the state of a rule toggle from a custom model
+ * @param {Object} customModel - Custom model to read from
+ * @param {Object} toggle - Rule toggle (see RULE_TOGGLES)
+ * @returns {boolean} True if the model contains the "on" rules and none of the "off"-only rules
+ */
+export function getRuleToggle(customModel, toggle) {
+  if (!customModel) {
+    return false;
+  }
+
+  return SECTIONS.every(section => {
+    const rules = Array.isArray(customModel[section]) ? customModel[section] : [];
+    const onRules = getRules(toggle.on, section);
+    const offOnlyRules = getRules(toggle.off, section)
+      .filter(own => !onRules.some(on => hasSameCondition(on, own)));
+    return onRules.every(own => rules.some(rule => isSameRule(own, rule))) &&
+      !offOnlyRules.some(own => rules.some(rule => hasSameCondition(own, rule)));
+  });
+}
+
+/**
+ * Create the switches of all rule toggles in #rule-toggles (once, hidden until a profile shows them)
+ */
+export function renderRuleToggles() {
+  const container = document.getElementById('rule-toggles');
+  if (!container || container.childElementCount > 0) return;
+
+  RULE_TOGGLES.forEach(toggle => {
+    const element = document.createElement('div');
+    element.id = getContainerId(toggle);
+    element.className = 'rule-toggle-container';
+    element.style.display = 'none';
+    element.innerHTML = `
+      <div class="rule-toggle-wrapper">
+        <label class="switch-toggle rule-toggle-switch">
+          <input type="checkbox" id="${getInputId(toggle)}" />
+          <span class="switch-slider"></span>
+        </label>
+        <span class="rule-toggle-icon">${toggle.icon || ''}</span>
+        <span class="rule-toggle-text"${toggle.title ? ` title="${toggle.title}"` : ''}>${toggle.label}</span>
+      </div>`;
+    container.appendChild(element);
+  });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function getContainerId(toggle) {
+  return `rule-toggle-${toKebabCase(toggle.id)}`;
+}
+
+function getInputId(toggle) {
+  return `${getContainerId(toggle)}-input`;
+}
+
+function toKebabCase(id) {
+  return id.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+}
+
+function getRules(rules, section) {
+  return (rules && rules[section]) || [];
+}
+
+function getCondition(rule) {
+  if (rule.if !== undefined) return `if:${rule.if}`;
+  if (rule.else_if !== undefined) return `else_if:${rule.else_if}`;
+  return 'else';
+}
+
+function hasSameCondition(a, b) {
+  return getCondition(a) === getCondition(b);
+}
+
+function isSameRule(a, b) {
+  return hasSameCondition(a, b) && a.multiply_by === b.multiply_by && a.limit_to === b.limit_to;
+}
+
+// before: index of the first rule whose condition contains the text (end if none)
+// after: index after the first such rule (start if none)
+function findAnchorIndex(rules, anchor) {
+  const text = anchor.before || anchor.after;
+  const index = text
+    ? rules.findIndex(rule => (rule.if || rule.else_if || '').includes(text))
+    : -1;
+  if (anchor.after) {
+    return index !== -1 ? index + 1 : 0;
+  }
+  return index !== -1 ? index : rules.length;
+}
@@ -0,0 +1,133 @@
+// "Warum hier entlang?" - explains a clicked route segment with the custom model rules that applied
+
+import { routeState } from './routeState.js';
+import { evaluateCustomModel, getSegmentValues } from './customModelEvaluator.js';
+
+let explanationPopup = null;
+
+/**
+ * Show the rule explanation for a route segment in a popup
+ * @param {maplibregl.Map} map - Map instance
+ * @param {maplibregl.LngLat} lngLat - Popup position (click position)
+ * @param {number} segmentIndex - Start index of the segment in the route coordinates
+ * @param {string|number|null} osmWayId - OSM way of the segment (for the link)
+ */
+export function showSegmentExplanation(map, lngLat, segmentIndex, osmWayId) {
+  const { coordinates, encodedValues } = routeState.currentRouteData;
+  const start = coordinates[segmentIndex];
+  const end = coordinates[Math.min(segmentIndex + 1, coordinates.length - 1)];
+  const midpoint = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+
+  const values = getSegmentValues(encodedValues, segmentIndex);
+  const result = evaluateCustomModel(routeState.lastRequestCustomModel, values, midpoint);
+
+  if (explanationPopup) {
+    explanationPopup.remove();
+  }
+  explanationPopup = new maplibregl.Popup({ closeButton: true, closeOnClick: true, maxWidth: '360px' })
+    .setLngLat(lngLat)
+    .setHTML(buildExplanationHtml(result, values, osmWayId))
+    .addTo(map);
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+function buildExplanationHtml(result, values, osmWayId) {
+  const streetName = values.street_name ? `<div class="explanation-street">${escapeHtml(values.street_name)}</div>` : '';
+  const blocked = result.priority.value === 0 || result.speed.limit === 0 || result.speed.factor === 0;
+
+  let html = `<div class="segment-explanation">
+    <div class="explanation-title">Warum hier entlang?</div>
+    ${streetName}
+    <div class="explanation-values">${buildValuesHtml(values)}</div>
+    <div class="explanation-summary">
+      <span>Priorität <strong>${formatNumber(result.priority.value)}</strong></span>
+      <span>Geschwindigkeit <strong>×${formatNumber(result.speed.factor)}</strong>${result.speed.limit !== null ? `, max. <strong>${formatNumber(result.speed.limit)}</strong> km/h` : ''}</span>
+    </div>`;
+
+  if (blocked) {
+    html += '<div class="explanation-note explanation-blocked">Laut Custom Model gesperrt - die Route folgt hier vermutlich einem Punkt oder Serverregeln.</div>';
+  }
+
+  html += buildStepsHtml('Priority', result.priority.steps, step => `${formatNumber(step.before)} → ${formatNumber(step.after)}`);
+  html += buildStepsHtml('Speed', result.speed.steps, step => formatSpeedChange(step.before, step.after));
+
+  if (result.uncertain) {
+    html += '<div class="explanation-note">? = Wert ist nicht in den Routendetails enthalten, Ergebnis ohne diese Regeln</div>';
+  }
+  html += '<div class="explanation-note">Nur Regeln des gesendeten Custom Models, Regeln des Server-Profils sind nicht berücksichtigt.</div>';
+
+  if (osmWayId !== null && osmWayId !== undefined) {
+    html += `<a class="explanation-osm-link" href="https://www.openstreetmap.org/way/${encodeURIComponent(osmWayId)}" target="_blank" rel="noopener">OSM-Weg ${escapeHtml(String(osmWayId))} öffnen</a>`;
+  }
+
+  return `${html}</div>`;
+}
+
+// Applied rules in full, not evaluable rules with the missing values, non-matching rules only as count
+function buildStepsHtml(title, steps, formatChange) {
+  if (steps.length === 0) return '';
+
+  const applied = steps.filter(step => step.status === 'applied');
+  const unknown = steps.filter(step => step.status === 'unknown');
+  const notMatched = steps.length - applied.length - unknown.length;
+
+  const items = applied.map(step => `<div class="explanation-rule explanation-applied">
+      <span class="explanation-marker">✓</span>
+      <code>${escapeHtml(formatRule(step.rule))}</code>
+      <span class="explanation-change">${formatChange(step)}</span>
+    </div>`).join('');
+
+  let notes = '';
+  if (unknown.length > 0) {
+    const missing = [...new Set(unknown.flatMap(step => step.missing))];
+    notes += `<div class="explanation-rule explanation-unknown" title="${escapeHtml(unknown.map(step => formatRule(step.rule)).join('\n'))}">
+      <span class="explanation-marker">?</span>
+      <span>${unknown.length} Regel(n) nicht auswertbar${missing.length > 0 ? ` (fehlt: ${escapeHtml(missing.join(', '))})` : ''}</span>
+    </div>`;
+  }
+  if (notMatched > 0) {
+    notes += `<div class="explanation-note">${notMatched} weitere Regel(n) trafen nicht zu</div>`;
+  }
+
+  return `<div class="explanation-section">
+    <div class="explanation-section-title">${title}</div>
+    ${items || '<div class="explanation-rule">Keine Regel hat gegriffen</div>'}
+    ${notes}
+  </div>`;
+}
+
+function buildValuesHtml(values) {
+  const hidden = ['street_name', 'time', 'distance', 'osm_way_id'];
+  return Object.entries(values)
+    .filter(([key, value]) => !hidden.includes(key) && value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `<span class="explanation-value">${escapeHtml(key)}=${escapeHtml(String(value))}</span>`)
+    .join('');
+}
+
+function formatRule(rule) {
+  const conditionKey = ['if', 'else_if', 'else'].find(key => rule[key] !== undefined);
+  const operation = rule.multiply_by !== undefined ? 'multiply_by' : 'limit_to';
+  const condition = conditionKey === 'else' ? 'else' : `${conditionKey} ${rule[conditionKey]}`;
+  return `${condition}: ${operation} ${rule[operation]}`;
+}
+
+function formatSpeedChange(before, after) {
+  if (before.factor !== after.factor) {
+    return `×${formatNumber(before.factor)} → ×${formatNumber(after.factor)}`;
+  }
+  const formatLimit = (limit) => (limit === null ? '–' : `${formatNumber(limit)} km/h`);
+  return `max. ${formatLimit(before.limit)} → ${formatLimit(after.limit)}`;
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, '');
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
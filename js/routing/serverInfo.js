@@ -0,0 +1,287 @@
+// Server info: profiles, bounding box and encoded values discovered from the routing backend (GraphHopper /info)
+// Builds the profile buttons, the heightgraph encoded select and the outline of the routable area
+
+import { routeState } from './routeState.js';
+import { getActiveBackend } from './backends/backendRegistry.js';
+import { getGraphHopperProfile } from './customModel.js';
+import { getLabelForEncodedType } from './heightgraph/heightgraphUtils.js';
+import { LAYER_IDS, UI_IDS, ROUTE_CALCULATION } from '../utils/constants.js';
+
+// Options of the encoded select as defined in index.html (used for backends without /info)
+let defaultEncodedOptions = null;
+let backendChangeListenerRegistered = false;
+let loadedBackendId = null;
+
+/**
+ * Create the bounds layer and load the server info of the active backend
+ * Safe to call again after a style change (info is only loaded once per backend)
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function setupServerInfo(map) {
+  setupServerBoundsLayer(map);
+
+  if (!backendChangeListenerRegistered) {
+    backendChangeListenerRegistered = true;
+    window.addEventListener('routingBackendChanged', () => {
+      loadServerInfo(map);
+    });
+  }
+
+  if (loadedBackendId !== getActiveBackend().id) {
+    loadServerInfo(map);
+  }
+}
+
+/**
+ * Load the server info of the active backend and update profiles, encoded select and bounds
+ * Falls back to the defaults from index.html if the backend has no /info or the request fails
+ * @param {maplibregl.Map} map - Map instance
+ */
+export async function loadServerInfo(map) {
+  const backend = getActiveBackend();
+  loadedBackendId = backend.id;
+
+  let info = null;
+  if (typeof backend.fetchInfo === 'function') {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), ROUTE_CALCULATION.MAX_TIMEOUT);
+    try {
+      info = await backend.fetchInfo(controller.signal);
+    } catch (error) {
+      console.warn(`Server info of ${backend.name} could not be loaded, using defaults:`, error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Backend was switched while loading - the new backend loads its own info
+  if (getActiveBackend() !== backend) {
+    return;
+  }
+
+  updateProfileButtons(info ? info.profiles : null);
+  updateEncodedSelect(info ? info.encodedValues : null);
+  updateServerBounds(map);
+}
+
+/**
+ * Get the bounding box of the active backend
+ * @returns {Array<number>|null} [minLng, minLat, maxLng, maxLat] or null if unknown
+ */
+export function getServerBounds() {
+  const info = getActiveBackend().info;
+  return info && info.bbox ? info.bbox : null;
+}
+
+/**
+ * Get the encoded values of the active backend (for checking custom model expressions)
+ * @returns {Object|null} {names: Array<string>, options: Object<string, Array<string>>} or null if unknown
+ */
+export function getServerEncodedValues() {
+  const info = getActiveBackend().info;
+  if (!info || !info.supportedEncodedValues || info.supportedEncodedValues.length === 0) {
+    return null;
+  }
+  return { names: info.supportedEncodedValues, options: info.encodedValueOptions || {} };
+}
+
+/**
+ * Check whether all points lie within the bounding box of the active backend
+ * Always true if the bounding box is unknown
+ * @param {Array<Array<number>>} points - Array of [lng, lat] points
+ * @returns {boolean}
+ */
+export function arePointsInServerBounds(points) {
+  const bbox = getServerBounds();
+  if (!bbox) return true;
+
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  return points.every(([lng, lat]) => lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat);
+}
+
+// ============================================================================
+// PROFILE BUTTONS
+// ============================================================================
+
+// Show the built-in profile buttons the server supports and add generic buttons for other server profiles
+// New buttons are announced via 'profileButtonsChanged' so routingUI.js can bind its click handler
+function updateProfileButtons(serverProfiles) {
+  const selector = document.querySelector('.profile-selector');
+  if (!selector) return;
+
+  // Remove buttons created for a previous server
+  selector.querySelectorAll('.profile-btn[data-server-profile]').forEach(btn => btn.remove());
+
+  const builtInButtons = Array.from(selector.querySelectorAll('.profile-btn'));
+  if (!serverProfiles || serverProfiles.length === 0) {
+    builtInButtons.forEach(btn => btn.classList.remove('unavailable'));
+    ensureActiveProfileAvailable(selector);
+    return;
+  }
+
+  // Built-in profiles (icon, custom model) are available if the server has their GraphHopper profile
+  const coveredProfiles = new Set();
+  builtInButtons.forEach(btn => {
+    const profile = btn.dataset.profile;
+    const graphHopperProfile = getGraphHopperProfile(profile);
+    const available = serverProfiles.includes(graphHopperProfile) || serverProfiles.includes(profile);
+    btn.classList.toggle('unavailable', !available);
+    if (available) {
+      coveredProfiles.add(graphHopperProfile);
+      coveredProfiles.add(profile);
+    }
+  });
+
+  // Other server profiles are routed without custom model
+  const addedButtons = serverProfiles
+    .filter(profile => !coveredProfiles.has(profile))
+    .map(profile => {
+      const btn = document.createElement('button');
+      btn.className = 'profile-btn profile-btn-server';
+      btn.dataset.profile = profile;
+      btn.dataset.serverProfile = 'true';
+      btn.title = `${profile} (Server-Profil)`;
+
+      const label = document.createElement('span');
+      label.className = 'profile-btn-label';
+      label.textContent = profile.substring(0, 3);
+      btn.appendChild(label);
+
+      selector.appendChild(btn);
+      return btn;
+    });
+
+  if (addedButtons.length > 0) {
+    window.dispatchEvent(new CustomEvent('profileButtonsChanged', { detail: { buttons: addedButtons } }));
+  }
+
+  ensureActiveProfileAvailable(selector);
+}
+
+// Mark the selected profile as active, or switch to the first available profile if it's gone
+function ensureActiveProfileAvailable(selector) {
+  const visibleButtons = Array.from(selector.querySelectorAll('.profile-btn'))
+    .filter(btn => !btn.classList.contains('unavailable'));
+  const selectedButton = visibleButtons.find(btn => btn.dataset.profile === routeState.selectedProfile);
+
+  if (selectedButton) {
+    visibleButtons.forEach(btn => btn.classList.toggle('active', btn === selectedButton));
+  } else if (visibleButtons.length > 0) {
+    // Runs the regular profile switch (custom model, toggles, recalculation)
+    visibleButtons[0].click();
+  }
+}
+
+// ============================================================================
+// ENCODED VALUE SELECT
+// ============================================================================
+
+// Fill the heightgraph select with the encoded values of the server (keeps the selection if possible)
+// Options marked data-client-side in index.html are computed in the browser and always kept
+function updateEncodedSelect(encodedValues) {
+  const select = document.getElementById(UI_IDS.ENCODED_SELECT);
+  if (!select) return;
+
+  if (!defaultEncodedOptions) {
+    defaultEncodedOptions = Array.from(select.options).map(option => ({
+      value: option.value,
+      label: option.textContent,
+      clientSide: option.dataset.clientSide === 'true'
+    }));
+  }
+
+  const clientSideOptions = defaultEncodedOptions.filter(option => option.clientSide);
+  const options = encodedValues && encodedValues.length > 0
+    ? [
+      ...encodedValues
+        .filter(value => !clientSideOptions.some(option => option.value === value))
+        .map(value => {
+          const defaultOption = defaultEncodedOptions.find(option => option.value === value);
+          return { value, label: defaultOption ? defaultOption.label : getLabelForEncodedType(value) };
+        }),
+      ...clientSideOptions
+    ]
+    : defaultEncodedOptions;
+
+  const previousValue = select.value;
+  select.innerHTML = '';
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  if (options.some(option => option.value === previousValue)) {
+    select.value = previousValue;
+  } else if (options.length > 0) {
+    // Selected encoded value is not available anymore - redraw with the first one
+    select.value = options[0].value;
+    select.dispatchEvent(new Event('change'));
+  }
+}
+
+// ============================================================================
+// SERVER BOUNDS LAYER
+// ============================================================================
+
+/**
+ * Create source and dashed outline layer for the server bounding box (below the route)
+ * @param {maplibregl.Map} map - Map instance
+ */
+export function setupServerBoundsLayer(map) {
+  if (!map.getSource(LAYER_IDS.SERVER_BOUNDS)) {
+    map.addSource(LAYER_IDS.SERVER_BOUNDS, {
+      type: 'geojson',
+      data: getServerBoundsGeoJSON()
+    });
+  }
+
+  if (!map.getLayer(LAYER_IDS.SERVER_BOUNDS_LAYER)) {
+    const beforeId = [LAYER_IDS.ROUTE_ALTERNATIVES_LAYER, LAYER_IDS.ROUTE_LAYER].find(id => map.getLayer(id));
+    map.addLayer({
+      id: LAYER_IDS.SERVER_BOUNDS_LAYER,
+      type: 'line',
+      source: LAYER_IDS.SERVER_BOUNDS,
+      paint: {
+        'line-color': '#64748b',
+        'line-width': 2,
+        'line-dasharray': [3, 2],
+        'line-opacity': 0.7
+      }
+    }, beforeId);
+  }
+}
+
+function updateServerBounds(map) {
+  const source = map.getSource(LAYER_IDS.SERVER_BOUNDS);
+  if (source) {
+    source.setData(getServerBoundsGeoJSON());
+  }
+}
+
+function getServerBoundsGeoJSON() {
+  const bbox = getServerBounds();
+  if (!bbox) {
+    return { type: 'FeatureCollection', features: [] };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  return {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [minLng, minLat],
+          [maxLng, minLat],
+          [maxLng, maxLat],
+          [minLng, maxLat],
+          [minLng, minLat]
+        ]
+      },
+      properties: {}
+    }]
+  };
+}
@@ -0,0 +1,387 @@
+// Mapillary weight sweep: route the current points for every slider value and chart detour vs. coverage
+// Pareto-optimal weights (no other weight gives more uncovered km for less detour) are highlighted
+
+import { routeState } from './routeState.js';
+import { supportsCustomModel, updateMapillaryPriority, getMapillaryPriority } from './customModel.js';
+import { isRoundTripActive } from './roundTrip.js';
+import { getActiveBackend } from './backends/backendRegistry.js';
+import { recalculateRouteIfReady } from './routeRecalculator.js';
+import { setupCanvas } from './heightgraph/heightgraphCanvas.js';
+import { HEIGHTGRAPH_CONFIG } from './heightgraph/heightgraphConfig.js';
+import {
+  REQUEST_CHANNELS,
+  beginRequest,
+  abortRequest,
+  normalizeRequestError,
+  isAbortedRequestError
+} from './routeRequestManager.js';
+import { MAPILLARY_SLIDER_VALUES, ERROR_MESSAGES, UI_IDS } from '../utils/constants.js';
+
+const CHART_HEIGHT = 170;
+const CHART_PADDING = { top: 16, right: 12, bottom: 30, left: 38 };
+const POINT_RADIUS = 4;
+const PARETO_COLOR = '#ec4899';
+
+// Sweep run counter - a newer sweep (or clearing the route) stops older ones
+let sweepRunId = 0;
+// Chart points in canvas coordinates (for click handling)
+let chartPoints = [];
+let sweepHandlersRegistered = false;
+
+/**
+ * Setup sweep button, metric select and chart click handling (only once)
+ */
+export function setupWeightSweep() {
+  if (sweepHandlersRegistered) return;
+  sweepHandlersRegistered = true;
+
+  const sweepBtn = document.getElementById(UI_IDS.WEIGHT_SWEEP_BTN);
+  if (sweepBtn) {
+    sweepBtn.addEventListener('click', () => {
+      runWeightSweep();
+    });
+  }
+
+  const metricSelect = document.getElementById(UI_IDS.WEIGHT_SWEEP_METRIC);
+  if (metricSelect) {
+    metricSelect.addEventListener('change', () => {
+      drawWeightSweepChart();
+    });
+  }
+
+  const canvas = document.getElementById(UI_IDS.WEIGHT_SWEEP_CANVAS);
+  if (canvas) {
+    canvas.addEventListener('click', (e) => {
+      const point = findChartPoint(canvas, e);
+      if (point) {
+        applySweepWeight(point.applyWeight);
+      }
+    });
+
+    canvas.addEventListener('mousemove', (e) => {
+      const point = findChartPoint(canvas, e);
+      canvas.style.cursor = point ? 'pointer' : '';
+      canvas.title = point ? `Weight ${point.label} übernehmen` : '';
+    });
+  }
+}
+
+/**
+ * Route the last calculated points once per MAPILLARY_SLIDER_VALUES entry and show the chart
+ * Uses the current custom model (toggles etc.) and only varies the Mapillary weight
+ */
+export async function runWeightSweep() {
+  const points = routeState.lastRoutePoints;
+  const backend = getActiveBackend();
+
+  if (!points || points.length === 0 || !routeState.currentRouteData) {
+    alert(routeState.roundTripEnabled ? ERROR_MESSAGES.MISSING_START : ERROR_MESSAGES.MISSING_START_END);
+    return;
+  }
+  if (!backend.capabilities.customModel || !supportsCustomModel(routeState.selectedProfile) || !routeState.customModel) {
+    return;
+  }
+
+  const runId = ++sweepRunId;
+  const profile = routeState.selectedProfile;
+  const roundTrip = isRoundTripActive();
+  const results = [];
+
+  // fetchBackendRoute, parseBackendRoutes and buildRequestCustomModel live in routing.js - import dynamically to avoid circular dependency
+  const { fetchBackendRoute, parseBackendRoutes, buildRequestCustomModel } = await import('./routing.js');
+
+  // Everything but the Mapillary weight - a sweep only belongs to routes with the same model
+  const modelKey = getSweepModelKey(buildRequestCustomModel(routeState.customModel));
+
+  setSweepBusy(true);
+  try {
+    for (let i = 0; i < MAPILLARY_SLIDER_VALUES.length; i++) {
+      const weight = MAPILLARY_SLIDER_VALUES[i];
+      updateSweepStatus(`Berechne ${i + 1}/${MAPILLARY_SLIDER_VALUES.length} (Weight ${weight})...`);
+
+      const customModel = updateMapillaryPriority(JSON.parse(JSON.stringify(routeState.customModel)), weight);
+      const routeRequest = backend.buildRouteRequest({
+        points,
+        profile,
+        customModel: buildRequestCustomModel(customModel),
+        roundTrip
+      });
+
+      // One request per weight, so each gets the full timeout
+      const request = beginRequest(REQUEST_CHANNELS.SWEEP);
+      try {
+        const data = await fetchBackendRoute(request, backend, routeRequest);
+        if (runId !== sweepRunId) return;
+
+        const routes = parseBackendRoutes(backend, data);
+        if (routes.length > 0) {
+          results.push({
+            weight,
+            distance: routes[0].path.distance,
+            time: routes[0].path.time,
+            uncoveredDistance: routes[0].uncoveredDistance
+          });
+        }
+      } catch (caughtError) {
+        const error = normalizeRequestError(request, caughtError);
+        // Cancelled by a new sweep or by clearing the route
+        if (isAbortedRequestError(error) || runId !== sweepRunId) return;
+        console.warn(`Weight sweep: route for weight ${weight} failed`, error);
+      } finally {
+        request.finish();
+      }
+    }
+
+    if (results.length === 0) {
+      updateSweepStatus('Weight-Sweep fehlgeschlagen: keine Route gefunden');
+      return;
+    }
+
+    routeState.weightSweep = { points, profile, modelKey, results };
+    updateSweepStatus('');
+    drawWeightSweepChart();
+  } finally {
+    if (runId === sweepRunId) {
+      setSweepBusy(false);
+    }
+  }
+}
+
+/**
+ * Stop a running sweep and remove the chart
+ */
+export function clearWeightSweep() {
+  sweepRunId++;
+  abortRequest(REQUEST_CHANNELS.SWEEP);
+  routeState.weightSweep = null;
+  chartPoints = [];
+  setSweepBusy(false);
+  updateSweepStatus('');
+
+  const canvas = document.getElementById(UI_IDS.WEIGHT_SWEEP_CANVAS);
+  if (canvas) {
+    canvas.style.display = 'none';
+  }
+}
+
+/**
+ * Group sweep results with identical routes and mark the Pareto-optimal ones
+ * Detour and gained uncovered distance are relative to the result with the highest weight (usually 1.0)
+ * @param {Array<Object>} results - [{weight, distance, time, uncoveredDistance}]
+ * @param {string} metric - 'distance' (detour in m) or 'time' (detour in ms)
+ * @returns {Array<Object>} [{weights, detour, gain, pareto}] sorted by detour
+ */
+export function computeSweepPoints(results, metric = 'distance') {
+  if (!results || results.length === 0) return [];
+
+  const baseline = results.reduce((best, r) => (r.weight > best.weight ? r : best), results[0]);
+
+  // Several weights often give the same route - show them as one point
+  const groups = [];
+  results.forEach(result => {
+    const group = groups.find(g =>
+      Math.round(g.distance) === Math.round(result.distance) &&
+      Math.round(g.uncoveredDistance) === Math.round(result.uncoveredDistance));
+    if (group) {
+      group.weights.push(result.weight);
+    } else {
+      groups.push({ ...result, weights: [result.weight] });
+    }
+  });
+
+  const points = groups.map(group => ({
+    weights: group.weights.sort((a, b) => a - b),
+    detour: group[metric] - baseline[metric],
+    gain: group.uncoveredDistance - baseline.uncoveredDistance,
+    pareto: false
+  }));
+
+  points.forEach(point => {
+    point.pareto = !points.some(other => other !== point &&
+      other.detour <= point.detour && other.gain >= point.gain &&
+      (other.detour < point.detour || other.gain > point.gain));
+  });
+
+  return points.sort((a, b) => a.detour - b.detour);
+}
+
+// Request custom model (areas, tracks, toggle rules) with a neutral Mapillary weight, as comparable string
+function getSweepModelKey(requestCustomModel) {
+  if (!requestCustomModel) return null;
+  return JSON.stringify(updateMapillaryPriority(JSON.parse(JSON.stringify(requestCustomModel)), 1.0));
+}
+
+/**
+ * Draw the detour vs. coverage chart from routeState.weightSweep
+ * Hidden if there are no results or the route points or custom model (apart from the weight) changed since the sweep
+ */
+export function drawWeightSweepChart() {
+  const canvas = document.getElementById(UI_IDS.WEIGHT_SWEEP_CANVAS);
+  if (!canvas) return;
+
+  const sweep = routeState.weightSweep;
+  const isCurrent = sweep && routeState.currentRouteData &&
+    sweep.profile === routeState.selectedProfile &&
+    JSON.stringify(sweep.points) === JSON.stringify(routeState.lastRoutePoints) &&
+    sweep.modelKey === getSweepModelKey(routeState.lastRequestCustomModel);
+  if (!isCurrent) {
+    canvas.style.display = 'none';
+    chartPoints = [];
+    return;
+  }
+
+  const metricSelect = document.getElementById(UI_IDS.WEIGHT_SWEEP_METRIC);
+  const metric = metricSelect ? metricSelect.value : 'distance';
+  const points = computeSweepPoints(sweep.results, metric);
+
+  canvas.style.display = 'block';
+  const width = canvas.parentElement ? canvas.parentElement.clientWidth : HEIGHTGRAPH_CONFIG.canvas.defaultWidth;
+  const ctx = setupCanvas(canvas, width, CHART_HEIGHT);
+  const colors = HEIGHTGRAPH_CONFIG.colors;
+
+  ctx.fillStyle = colors.background;
+  ctx.fillRect(0, 0, width, CHART_HEIGHT);
+
+  // Detour in km or minutes, gain in km
+  const toDetourUnit = value => (metric === 'time' ? value / 60000 : value / 1000);
+  const xValues = points.map(p => toDetourUnit(p.detour));
+  const yValues = points.map(p => p.gain / 1000);
+  const xMin = Math.min(0, ...xValues);
+  const xMax = Math.max(...xValues, xMin + 0.1);
+  const yMin = Math.min(0, ...yValues);
+  const yMax = Math.max(...yValues, yMin + 0.1);
+
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const toX = value => CHART_PADDING.left + ((value - xMin) / (xMax - xMin)) * plotWidth;
+  const toY = value => CHART_PADDING.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+
+  // Axes
+  ctx.strokeStyle = colors.grid;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(CHART_PADDING.left, CHART_PADDING.top);
+  ctx.lineTo(CHART_PADDING.left, CHART_PADDING.top + plotHeight);
+  ctx.lineTo(CHART_PADDING.left + plotWidth, CHART_PADDING.top + plotHeight);
+  ctx.stroke();
+
+  ctx.fillStyle = colors.text;
+  ctx.font = `${HEIGHTGRAPH_CONFIG.font.size} ${HEIGHTGRAPH_CONFIG.font.family}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  [xMin, (xMin + xMax) / 2, xMax].forEach(value => {
+    ctx.fillText(value.toFixed(1), toX(value), CHART_PADDING.top + plotHeight + 4);
+  });
+  ctx.fillText(metric === 'time' ? 'Umweg (min)' : 'Umweg (km)', CHART_PADDING.left + plotWidth / 2, CHART_HEIGHT - 12);
+
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  [yMin, (yMin + yMax) / 2, yMax].forEach(value => {
+    ctx.fillText(value.toFixed(1), CHART_PADDING.left - 4, toY(value));
+  });
+  ctx.save();
+  ctx.translate(10, CHART_PADDING.top + plotHeight / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = 'center';
+  ctx.fillText('+ km ohne Mapillary', 0, 0);
+  ctx.restore();
+
+  // Pareto front
+  const paretoPoints = points.filter(p => p.pareto);
+  ctx.strokeStyle = PARETO_COLOR;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  paretoPoints.forEach((p, i) => {
+    const x = toX(toDetourUnit(p.detour));
+    const y = toY(p.gain / 1000);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+
+  // Points (current weight with ring)
+  const currentWeight = getMapillaryPriority(routeState.customModel);
+  chartPoints = points.map(p => {
+    const x = toX(toDetourUnit(p.detour));
+    const y = toY(p.gain / 1000);
+    const label = p.weights.length > 1
+      ? `${p.weights[0]}–${p.weights[p.weights.length - 1]}`
+      : `${p.weights[0]}`;
+
+    ctx.beginPath();
+    ctx.arc(x, y, POINT_RADIUS, 0, Math.PI * 2);
+    if (p.pareto) {
+      ctx.fillStyle = PARETO_COLOR;
+      ctx.fill();
+    } else {
+      ctx.strokeStyle = colors.text;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+
+    if (p.weights.includes(currentWeight)) {
+      ctx.beginPath();
+      ctx.arc(x, y, POINT_RADIUS + 3, 0, Math.PI * 2);
+      ctx.strokeStyle = colors.elevationLine;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    if (p.pareto) {
+      ctx.fillStyle = colors.text;
+      ctx.textAlign = x > CHART_PADDING.left + plotWidth - 30 ? 'right' : 'left';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(label, x + (ctx.textAlign === 'right' ? -6 : 6), y - 2);
+    }
+
+    // Apply the highest weight of a group - same route, least deviation from the default
+    return { x, y, label, applyWeight: p.weights[p.weights.length - 1] };
+  });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function findChartPoint(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  const x = e.clientX - rect.left;
+  const y = e.clientY - rect.top;
+
+  let closest = null;
+  let minDist = POINT_RADIUS + 6;
+  chartPoints.forEach(point => {
+    const dist = Math.hypot(point.x - x, point.y - y);
+    if (dist <= minDist) {
+      minDist = dist;
+      closest = point;
+    }
+  });
+  return closest;
+}
+
+// Set the slider to the weight and recalculate the route
+function applySweepWeight(weight) {
+  if (!routeState.customModel) return;
+
+  updateMapillaryPriority(routeState.customModel, weight);
+  if (window.setMapillarySliderValue) {
+    window.setMapillarySliderValue(weight);
+  }
+  recalculateRouteIfReady();
+}
+
+function setSweepBusy(busy) {
+  const sweepBtn = document.getElementById(UI_IDS.WEIGHT_SWEEP_BTN);
+  if (sweepBtn) {
+    sweepBtn.disabled = busy;
+  }
+}
+
+function updateSweepStatus(text) {
+  const status = document.getElementById(UI_IDS.WEIGHT_SWEEP_STATUS);
+  if (status) {
+    status.textContent = text;
+    status.style.display = text ? 'block' : 'none';
+  }
+}
@@ -93,7 +93,8 @@ async function restoreContextLayerVisibility(map) {
 async function restoreRoute(map) {
   try {
     const { routeState } = await import('../routing/routeState.js');
-    if (!routeState || !routeState.currentRouteData || !routeState.startPoint || !routeState.endPoint) {
+    if (!routeState || !routeState.currentRouteData || !routeState.startPoint ||
+        (!routeState.endPoint && !routeState.roundTripEnabled)) {
       return; // No route to restore
     }
     
@@ -184,6 +185,12 @@ async function restoreRoute(map) {
       drawHeightgraph([], distance, encodedValues, coordinates);
     }
     
+    // Restore alternative route ghost lines (if any)
+    if (routeState.alternativeRoutes && routeState.alternativeRoutes.length > 1) {
+      const { updateAlternativeRoutes } = await import('../routing/alternativeRoutes.js');
+      updateAlternativeRoutes(map);
+    }
+    
     // Restore context layers opacity
     updateContextLayersOpacity(map, true);
   } catch (err) {
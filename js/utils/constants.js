@@ -3,24 +3,139 @@
 export const GRAPHHOPPER_URL = 'https://ghroute.duckdns.org';
 // const GRAPHHOPPER_URL = 'http://localhost:8989'; // For local development
 
+// Routing backends selectable at runtime (type: 'graphhopper' or 'brouter')
+export const ROUTING_BACKENDS = [
+  { id: 'graphhopper', type: 'graphhopper', name: 'GraphHopper', url: GRAPHHOPPER_URL },
+  { id: 'graphhopper-local', type: 'graphhopper', name: 'GraphHopper (lokal)', url: 'http://localhost:8989' },
+  { id: 'brouter-local', type: 'brouter', name: 'BRouter (lokal)', url: 'http://localhost:17777' }
+];
+export const DEFAULT_ROUTING_BACKEND = 'graphhopper';
+
+// Path details requested from GraphHopper (used until the server /info is loaded)
+export const ROUTE_DETAILS = ['surface', 'mapillary_coverage', 'road_class', 'road_access', 'bicycle_infra', 'osm_way_id'];
+
 // Error messages
 export const ERROR_MESSAGES = {
-  OUT_OF_BOUNDS: 'Aktuell stehen nur Berlin und Brandenburg zur Verfügung.',
+  OUT_OF_BOUNDS: 'Mindestens ein Punkt liegt außerhalb des Gebiets, für das der Routing-Server Daten hat.',
+  OUT_OF_BOUNDS_HINT: 'Das verfügbare Gebiet ist auf der Karte gestrichelt umrandet.',
   NO_ROUTE_FOUND: 'Keine Route gefunden',
   NETWORK_ERROR: 'Netzwerkfehler beim Abrufen der Route',
   INVALID_COORDINATES: 'Ungültige Koordinaten',
-  ROUTE_CALCULATION_IN_PROGRESS: 'Route-Berechnung bereits in Arbeit, ignoriere neue Anfrage',
-  MISSING_START_END: 'Bitte Start- und Endpunkt setzen'
+  ROUTE_TIMEOUT: 'Zeitüberschreitung: Der Routing-Server hat nicht rechtzeitig geantwortet',
+  COMPARISON_TIMEOUT: 'Zeitüberschreitung beim Berechnen der Vergleichsroute (Weight = 1)',
+  MISSING_START_END: 'Bitte Start- und Endpunkt setzen',
+  MISSING_START: 'Bitte Startpunkt setzen',
+  ROUND_TRIP_UNSUPPORTED: 'Rundtouren werden vom gewählten Routing-Backend nicht unterstützt'
 };
 
 // Route calculation settings
 export const ROUTE_CALCULATION = {
   DEBOUNCE_DELAY: 300, // ms
-  MAX_TIMEOUT: 1000, // ms
+  MAX_TIMEOUT: 15000, // ms - route requests taking longer are aborted
   RETRY_DELAY: 100, // ms
   MAX_RETRIES: 50
 };
 
+// Route response cache (in-memory LRU backed by IndexedDB)
+export const ROUTE_CACHE = {
+  TTL: 24 * 60 * 60 * 1000, // ms - cached responses older than this are refetched
+  MAX_MEMORY_ENTRIES: 50,
+  MAX_STORED_ENTRIES: 300,
+  DB_NAME: 'route-cache',
+  STORE_NAME: 'responses'
+};
+
+// Alternative route settings (GraphHopper algorithm=alternative_route)
+export const ALTERNATIVE_ROUTES = {
+  MAX_PATHS: 3,
+  MAX_WEIGHT_FACTOR: 1.4,
+  MAX_SHARE_FACTOR: 0.6,
+  GHOST_COLOR: '#64748b'
+};
+
+// Round trip settings (GraphHopper algorithm=round_trip)
+export const ROUND_TRIP = {
+  DEFAULT_DISTANCE: 10000, // m
+  MIN_DISTANCE: 1000, // m
+  MAX_DISTANCE: 200000, // m
+  HEADING_PENALTY: 120 // s
+};
+
+// Custom areas drawn on the map (GraphHopper custom model `areas` with `in_<id>` priority rules)
+// factor: priority multiplier inside the area (prefer: roads outside all preferred areas get 1/factor)
+export const CUSTOM_AREAS = {
+  TYPES: {
+    avoid: { label: 'Meiden', color: '#f59e0b', defaultFactor: 0.3, minFactor: 0.01, maxFactor: 0.99, step: 0.05 },
+    block: { label: 'Sperren', color: '#ef4444', defaultFactor: 0 },
+    prefer: { label: 'Bevorzugen', color: '#10b981', defaultFactor: 2, minFactor: 1.1, maxFactor: 10, step: 0.5 }
+  },
+  SNAP_DISTANCE: 10, // px - clicking this close to the first vertex closes the polygon
+  URL_PRECISION: 5 // decimals of the vertex coordinates in the permalink
+};
+
+// Imported capture tracks (GPX/GeoJSON): buffered into custom model areas with a lower priority
+export const CAPTURED_TRACKS = {
+  BUFFER_DISTANCE: 15, // m - tracks are widened by this distance on each side
+  SIMPLIFY_TOLERANCE: 8, // m - track simplification before buffering (keeps the request small)
+  DEFAULT_FACTOR: 0.2, // priority multiplier on streets within the buffer
+  MIN_FACTOR: 0.01,
+  MAX_FACTOR: 1,
+  COLOR: '#8b5cf6'
+};
+
+// Client-side Mapillary coverage conflation (see coverageConflation.js)
+// Route segments get the coverage (pano/regular/missing) of the closest roughly parallel missing streets
+// tile feature within MAX_DISTANCE
+export const COVERAGE_CONFLATION = {
+  ENCODED_TYPE: 'mapillary_coverage_type',
+  MAX_DISTANCE: 15, // m
+  MAX_ANGLE: 30, // degrees between route segment and tile feature
+  GRID_SIZE: 50, // m - spatial index cell size
+  LAYER_TOGGLE: 'toggle-missing-streets',
+  SOURCES: [
+    { source: 'mapillary-roads', sourceLayer: 'roads' },
+    { source: 'mapillary-roadspathclasses', sourceLayer: 'roadsPathClasses' },
+    { source: 'bike-lanes', sourceLayer: 'bikelanes' }
+  ]
+};
+
+// Client-side gradient classes (see calculateGradientClasses in heightgraphUtils.js)
+// Slopes are averaged over at least the smoothing distance (m, select in the heightgraph header),
+// a segment gets the first class whose max (%) is above its slope - negative = downhill
+export const GRADIENT_CLASSES = {
+  ENCODED_TYPE: 'gradient',
+  SMOOTHING_DISTANCE: 100, // default (routeState.gradientSmoothing)
+  CLASSES: [
+    { key: 'descent_steep', max: -8 },
+    { key: 'descent', max: -3 },
+    { key: 'flat', max: 3 },
+    { key: 'climb_moderate', max: 6 },
+    { key: 'climb_steep', max: 10 },
+    { key: 'climb_very_steep', max: Infinity }
+  ]
+};
+
+// Max capture speed for car_customizable (Mapillary imagery gets blurry at high speed)
+// ROAD_CLASS_SPEEDS: typical driving speed per road class in km/h - classes above the limit are down-weighted
+// by (limit / typical speed) ^ PENALTY_EXPONENT, but never below MIN_FACTOR
+export const CAPTURE_SPEED = {
+  MIN: 10, // km/h
+  MAX: 130, // km/h
+  ROAD_CLASS_SPEEDS: {
+    MOTORWAY: 120,
+    TRUNK: 100,
+    PRIMARY: 70,
+    SECONDARY: 60,
+    TERTIARY: 50,
+    UNCLASSIFIED: 50,
+    RESIDENTIAL: 30,
+    SERVICE: 20,
+    TRACK: 20
+  },
+  PENALTY_EXPONENT: 2,
+  MIN_FACTOR: 0.05
+};
+
 // Mapillary slider values
 export const MAPILLARY_SLIDER_VALUES = [0.01, 0.02, 0.05, 0.1, 0.15, 0.2, 0.3, 0.4, 0.6, 0.8, 1.0];
 
@@ -68,10 +183,60 @@ export const UI_IDS = {
   EXPORT_GPX_BTN: 'export-gpx',
   ROUTE_INFO: 'route-info',
   HEIGHTGRAPH_CONTAINER: 'heightgraph-container',
+  HEIGHTGRAPH_SELECTION: 'heightgraph-selection',
+  HEIGHTGRAPH_SELECTION_SUMMARY: 'heightgraph-selection-summary',
+  HEIGHTGRAPH_SELECTION_ZOOM: 'heightgraph-selection-zoom',
+  HEIGHTGRAPH_SELECTION_GPX: 'heightgraph-selection-gpx',
+  HEIGHTGRAPH_SELECTION_CLEAR: 'heightgraph-selection-clear',
+  HEIGHTGRAPH_BANDS_TOGGLE: 'heightgraph-bands-toggle',
+  HEIGHTGRAPH_BANDS_PANEL: 'heightgraph-bands-panel',
+  HEIGHTGRAPH_EXPORT_TOGGLE: 'heightgraph-export-toggle',
+  HEIGHTGRAPH_EXPORT_PANEL: 'heightgraph-export-panel',
+  HEIGHTGRAPH_EXPORT_SCALE: 'heightgraph-export-scale',
+  HEIGHTGRAPH_EXPORT_PNG: 'heightgraph-export-png',
+  HEIGHTGRAPH_EXPORT_SVG: 'heightgraph-export-svg',
   MAPILLARY_SLIDER: 'mapillary-priority-slider',
   SLIDER_VALUE: 'slider-value',
   COMPARISON_CONTAINER: 'mapillary-weight-comparison',
-  ENCODED_SELECT: 'heightgraph-encoded-select'
+  COMPARISON_ERROR: 'comparison-error',
+  ENCODED_SELECT: 'heightgraph-encoded-select',
+  GRADIENT_SMOOTHING_SELECT: 'heightgraph-gradient-smoothing',
+  ALTERNATIVE_ROUTES_TOGGLE: 'alternative-routes-toggle',
+  ALTERNATIVE_ROUTES_LIST: 'alternative-routes-list',
+  WEIGHT_SWEEP_BTN: 'weight-sweep-btn',
+  WEIGHT_SWEEP_METRIC: 'weight-sweep-metric',
+  WEIGHT_SWEEP_STATUS: 'weight-sweep-status',
+  WEIGHT_SWEEP_CANVAS: 'weight-sweep-canvas',
+  INSTRUCTION_LIST_CONTAINER: 'instruction-list-container',
+  INSTRUCTION_LIST_TOGGLE: 'instruction-list-toggle',
+  INSTRUCTION_LIST_COUNT: 'instruction-list-count',
+  INSTRUCTION_LIST: 'instruction-list',
+  CUSTOM_AREAS_LIST: 'custom-areas-list',
+  CUSTOM_AREAS_HINT: 'custom-areas-hint',
+  CAPTURED_TRACKS_TOGGLE: 'toggle-captured-tracks',
+  CAPTURED_TRACKS_SEGMENT: 'toggle-captured-tracks-segment',
+  CAPTURED_TRACKS_SEGMENT_CONTENT: 'captured-tracks-segment-content',
+  CAPTURED_TRACKS_INPUT: 'captured-tracks-input',
+  CAPTURED_TRACKS_IMPORT_BTN: 'captured-tracks-import',
+  CAPTURED_TRACKS_FACTOR: 'captured-tracks-factor',
+  CAPTURED_TRACKS_STATUS: 'captured-tracks-status',
+  CAPTURED_TRACKS_LIST: 'captured-tracks-list',
+  CUSTOM_MODEL_EDITOR_TOGGLE: 'custom-model-editor-toggle',
+  CUSTOM_MODEL_EDITOR_BODY: 'custom-model-editor-body',
+  CUSTOM_MODEL_EDITOR_INPUT: 'custom-model-editor-input',
+  CUSTOM_MODEL_EDITOR_HIGHLIGHT: 'custom-model-editor-highlight',
+  CUSTOM_MODEL_EDITOR_ERRORS: 'custom-model-editor-errors',
+  CUSTOM_MODEL_EDITOR_RESET: 'custom-model-editor-reset',
+  CUSTOM_MODEL_EDITOR_DIFF_BTN: 'custom-model-editor-diff-btn',
+  CUSTOM_MODEL_EDITOR_DIFF: 'custom-model-editor-diff',
+  CUSTOM_MODEL_PRESET_SELECT: 'custom-model-preset-select',
+  CUSTOM_MODEL_PRESET_NAME: 'custom-model-preset-name',
+  CUSTOM_MODEL_PRESET_SAVE: 'custom-model-preset-save',
+  CUSTOM_MODEL_PRESET_DELETE: 'custom-model-preset-delete',
+  CUSTOM_MODEL_PRESET_EXPORT: 'custom-model-preset-export',
+  CUSTOM_MODEL_PRESET_IMPORT: 'custom-model-preset-import',
+  CUSTOM_MODEL_PRESET_INPUT: 'custom-model-preset-input',
+  CUSTOM_MODEL_LINT: 'custom-model-lint'
 };
 
 // Layer IDs
@@ -82,6 +247,20 @@ export const LAYER_IDS = {
   ROUTE_HOVER_SEGMENT_LAYER: 'route-hover-segment-layer',
   HEIGHTGRAPH_HOVER_POINT: 'heightgraph-hover-point',
   HEIGHTGRAPH_HOVER_POINT_LAYER: 'heightgraph-hover-point-layer',
+  HEIGHTGRAPH_SELECTION: 'heightgraph-selection',
+  HEIGHTGRAPH_SELECTION_LAYER: 'heightgraph-selection-layer',
+  ROUTE_ALTERNATIVES: 'route-alternatives',
+  ROUTE_ALTERNATIVES_LAYER: 'route-alternatives-layer',
+  SERVER_BOUNDS: 'server-bounds',
+  SERVER_BOUNDS_LAYER: 'server-bounds-layer',
+  CUSTOM_AREAS: 'custom-areas',
+  CUSTOM_AREAS_FILL_LAYER: 'custom-areas-fill-layer',
+  CUSTOM_AREAS_LINE_LAYER: 'custom-areas-line-layer',
+  CUSTOM_AREA_SKETCH: 'custom-area-sketch',
+  CUSTOM_AREA_SKETCH_LINE_LAYER: 'custom-area-sketch-line-layer',
+  CUSTOM_AREA_SKETCH_POINT_LAYER: 'custom-area-sketch-point-layer',
+  CAPTURED_TRACKS: 'captured-tracks',
+  CAPTURED_TRACKS_LAYER: 'captured-tracks-layer',
   HILLSHADE_LAYER: 'hillshade-layer',
   TERRAIN: 'terrain'
 };
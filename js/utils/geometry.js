@@ -0,0 +1,34 @@
+// Planar geometry helpers for short distances (capture track buffers, coverage conflation)
+
+/**
+ * Equirectangular projection to meters around a reference latitude
+ * Accurate enough for distances of a few kilometers
+ * @param {number} refLat - Reference latitude (e.g. of the first point)
+ * @returns {{toXY: Function, toLngLat: Function}} [lng, lat] -> [x, y] in meters and back
+ *   (toLngLat rounds to 6 decimals)
+ */
+export function createLocalProjection(refLat) {
+  const metersPerDegreeLat = 110540;
+  const metersPerDegreeLng = 111320 * Math.cos(refLat * Math.PI / 180);
+  return {
+    toXY: ([lng, lat]) => [lng * metersPerDegreeLng, lat * metersPerDegreeLat],
+    toLngLat: ([x, y]) => [
+      Math.round(x / metersPerDegreeLng * 1e6) / 1e6,
+      Math.round(y / metersPerDegreeLat * 1e6) / 1e6
+    ]
+  };
+}
+
+/**
+ * Distance of a point to a segment (all in the same planar units, e.g. from createLocalProjection)
+ * @param {Array<number>} point - [x, y]
+ * @param {Array<number>} a - Segment start [x, y]
+ * @param {Array<number>} b - Segment end [x, y]
+ * @returns {number}
+ */
+export function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+  const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+  if (lengthSquared === 0) return Math.hypot(px - ax, py - ay);
+  const t = Math.max(0, Math.min(1, ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / lengthSquared));
+  return Math.hypot(px - (ax + t * (bx - ax)), py - (ay + t * (by - ay)));
+}
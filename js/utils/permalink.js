@@ -10,12 +10,18 @@ import {
   isDefaultCustomModel,
   getMapillaryPriority,
   updateMapillaryPriority,
-  updateCarAccessRule,
-  updateUnpavedRoadsRule,
-  updateAvoidPushingRule,
-  defaultCarCustomModel,
-  defaultBikeCustomModel
+  getDefaultCustomModel
 } from '../routing/customModel.js';
+import {
+  getProfiles,
+  getProfileToggles,
+  applyProfileToggles,
+  serializeToggleValue,
+  parseToggleParam
+} from '../routing/profileRegistry.js';
+import { updateProfileToggles } from '../routing/profileToggles.js';
+import { getActiveBackend } from '../routing/backends/backendRegistry.js';
+import { setCustomAreas, serializeCustomArea, parseCustomAreaParam } from '../routing/customAreas.js';
 import { MAPILLARY_SLIDER_VALUES, PERMALINK as PERMALINK_CONFIG } from './constants.js';
 
 export class Permalink {
@@ -105,7 +111,8 @@ export class Permalink {
       endPoint: routeState.endPoint,
       selectedProfile: routeState.selectedProfile,
       currentEncodedType: routeState.currentEncodedType,
-      customModel: routeState.customModel
+      customModel: routeState.customModel,
+      customAreas: routeState.customAreas
     };
   }
 
@@ -159,32 +166,27 @@ export class Permalink {
     if (supportsCustomModel(routeState.selectedProfile) && routeState.customModel) {
       const currentWeight = getMapillaryPriority(routeState.customModel);
       // Get the correct default model for the selected profile
-      const defaultModel = routeState.selectedProfile === 'bike_customizable' 
-        ? defaultBikeCustomModel 
-        : defaultCarCustomModel;
-      const defaultWeight = getMapillaryPriority(defaultModel);
+      const defaultWeight = getMapillaryPriority(getDefaultCustomModel(routeState.selectedProfile));
       
       // Only add to URL if it differs from the default
       if (currentWeight !== null && currentWeight !== undefined && currentWeight !== defaultWeight) {
         paramParts.push(`mapillary_weight=${currentWeight.toString()}`);
       }
       
-      // Car access (only for car_customizable, only if enabled)
-      if (routeState.selectedProfile === 'car_customizable' && routeState.allowCarAccess) {
-        paramParts.push('allowCarAccess=1');
-      }
-      
-      // Unpaved roads (only for car_customizable, only if enabled)
-      if (routeState.selectedProfile === 'car_customizable' && routeState.avoidUnpavedRoads) {
-        paramParts.push('avoidUnpavedRoads=1');
-      }
-      
-      // Avoid pushing (only for bike_customizable, only if enabled)
-      if (routeState.selectedProfile === 'bike_customizable' && routeState.avoidPushing) {
-        paramParts.push('avoidPushing=1');
-      }
+      // Rule toggles of the profile (only if not the default, see profileRegistry.js)
+      getProfileToggles(routeState.selectedProfile).forEach(toggle => {
+        const value = serializeToggleValue(toggle, routeState[toggle.state]);
+        if (value !== null) {
+          paramParts.push(`${toggle.permalinkKey}=${encodeURIComponent(value)}`);
+        }
+      });
     }
     
+    // Custom areas (avoid/block/prefer polygons)
+    routeState.customAreas.forEach(area => {
+      paramParts.push(`area=${serializeCustomArea(area)}`);
+    });
+    
     // Encoded value type
     if (routeState.currentEncodedType && routeState.currentEncodedType !== 'mapillary_coverage') {
       paramParts.push(`encoded=${encodeURIComponent(routeState.currentEncodedType)}`);
@@ -394,72 +396,25 @@ export class Permalink {
       routeState.customModel = ensureCustomModel(routeState.customModel, routeState.selectedProfile);
     }
     
-    // Load car access setting (for car_customizable profile only)
-    const allowCarAccessParam = params.get('allowCarAccess');
-    // Support legacy parameter name for backwards compatibility
-    const legacyParam = params.get('allowDestinationAccess');
-    const paramValue = allowCarAccessParam || legacyParam;
-    if (paramValue === '1' || paramValue === 'true') {
-      routeState.allowCarAccess = true;
-    } else {
-      // Default: false (block restricted roads)
-      routeState.allowCarAccess = false;
-    }
-    
-    // Update custom model with car access rule
-    if (routeState.selectedProfile === 'car_customizable' && routeState.customModel) {
-      routeState.customModel = updateCarAccessRule(
-        routeState.customModel,
-        routeState.allowCarAccess
-      );
-      // Update unpaved roads rule
-      routeState.customModel = updateUnpavedRoadsRule(
-        routeState.customModel,
-        routeState.avoidUnpavedRoads
-      );
-    }
-    
-    // Load unpaved roads setting (for car_customizable profile only)
-    const avoidUnpavedRoadsParam = params.get('avoidUnpavedRoads');
-    if (avoidUnpavedRoadsParam === '1' || avoidUnpavedRoadsParam === 'true') {
-      routeState.avoidUnpavedRoads = true;
-    } else {
-      // Default: false (slightly reduce unpaved roads)
-      routeState.avoidUnpavedRoads = false;
-    }
-    
-    // Update custom model with unpaved roads rule
-    if (routeState.selectedProfile === 'car_customizable' && routeState.customModel) {
-      routeState.customModel = updateUnpavedRoadsRule(
-        routeState.customModel,
-        routeState.avoidUnpavedRoads
-      );
-    }
-    
-    // Load avoid pushing setting (for bike_customizable profile only)
-    const avoidPushingParam = params.get('avoidPushing');
-    if (avoidPushingParam === '1' || avoidPushingParam === 'true') {
-      routeState.avoidPushing = true;
-    } else {
-      // Default: false (no additional penalty)
-      routeState.avoidPushing = false;
-    }
-    
-    // Update custom model with avoid pushing rule
-    if (routeState.selectedProfile === 'bike_customizable' && routeState.customModel) {
-      routeState.customModel = updateAvoidPushingRule(
-        routeState.customModel,
-        routeState.avoidPushing
-      );
-    }
+    // Load the rule toggles (see profileRegistry.js) and apply those of the selected profile
+    // A full legacy custom_model keeps its own bike type rules
+    getProfiles().forEach(profile => {
+      profile.toggles.forEach(toggle => {
+        routeState[toggle.state] = parseToggleParam(toggle, params);
+      });
+    });
+    routeState.customModel = applyProfileToggles(routeState.customModel, routeState.selectedProfile, {
+      fresh: !customModelParam
+    });
     
-    // Initialize slider and car access switch if customizable profile is selected
+    // Initialize slider and rule toggles if customizable profile is selected
     if (supportsCustomModel(routeState.selectedProfile)) {
       // Wait a bit for UI to be ready
       setTimeout(() => {
         const sliderContainer = document.getElementById('customizable-slider-container');
         if (sliderContainer) {
-          sliderContainer.style.display = 'block';
+          // Custom model controls only make sense if the routing backend supports them
+          sliderContainer.style.display = getActiveBackend().capabilities.customModel ? 'block' : 'none';
           const slider = document.getElementById('mapillary-priority-slider');
           const sliderValue = document.getElementById('slider-value');
           const multiplyBy = getMapillaryPriority(routeState.customModel);
@@ -488,34 +443,11 @@ export class Permalink {
             }
           }
           
-          // Initialize car access switch for car_customizable
-          if (routeState.selectedProfile === 'car_customizable') {
-            const carAccessContainer = document.getElementById('car-access-container');
-            const carAccessSwitch = document.getElementById('allow-car-access');
-            if (carAccessContainer && carAccessSwitch) {
-              carAccessContainer.style.display = 'block';
-              carAccessSwitch.checked = routeState.allowCarAccess;
-            }
-            
-            // Initialize unpaved roads switch
-            const unpavedRoadsContainer = document.getElementById('unpaved-roads-container');
-            const unpavedRoadsSwitch = document.getElementById('avoid-unpaved-roads');
-            if (unpavedRoadsContainer && unpavedRoadsSwitch) {
-              unpavedRoadsContainer.style.display = 'block';
-              unpavedRoadsSwitch.checked = routeState.avoidUnpavedRoads;
-            }
-          }
-          
-          // Initialize avoid pushing switch for bike_customizable
-          if (routeState.selectedProfile === 'bike_customizable') {
-            const avoidPushingContainer = document.getElementById('avoid-pushing-container');
-            const avoidPushingSwitch = document.getElementById('avoid-pushing');
-            if (avoidPushingContainer && avoidPushingSwitch) {
-              avoidPushingContainer.style.display = 'block';
-              avoidPushingSwitch.checked = routeState.avoidPushing;
-            }
-          }
+          // Rule toggles of the selected profile
+          updateProfileToggles();
         }
+        // Preset select and editor show the loaded model
+        window.dispatchEvent(new CustomEvent('customModelChanged'));
       }, 100);
     }
     
@@ -530,6 +462,12 @@ export class Permalink {
       }
     }
     
+    // Load custom areas (avoid/block/prefer polygons)
+    const areas = params.getAll('area').map(parseCustomAreaParam).filter(Boolean);
+    if (areas.length > 0) {
+      setCustomAreas(areas);
+    }
+    
     // Load context layers
     // Store state for activation after map loads
     const bikelanesParam = params.get('bikelanes');
@@ -694,32 +632,26 @@ export class Permalink {
     if (supportsCustomModel(routeState.selectedProfile) && routeState.customModel) {
       const currentWeight = getMapillaryPriority(routeState.customModel);
       // Get the correct default model for the selected profile
-      const defaultModel = routeState.selectedProfile === 'bike_customizable' 
-        ? defaultBikeCustomModel 
-        : defaultCarCustomModel;
-      const defaultWeight = getMapillaryPriority(defaultModel);
+      const defaultWeight = getMapillaryPriority(getDefaultCustomModel(routeState.selectedProfile));
       
       // Only add to URL if it differs from the default
       if (currentWeight !== null && currentWeight !== undefined && currentWeight !== defaultWeight) {
         paramParts.push(`mapillary_weight=${currentWeight.toString()}`);
       }
       
-      // Car access (only for car_customizable, only if enabled)
-      if (routeState.selectedProfile === 'car_customizable' && routeState.allowCarAccess) {
-        paramParts.push('allowCarAccess=1');
-      }
-      
-      // Unpaved roads (only for car_customizable, only if enabled)
-      if (routeState.selectedProfile === 'car_customizable' && routeState.avoidUnpavedRoads) {
-        paramParts.push('avoidUnpavedRoads=1');
-      }
-      
-      // Avoid pushing (only for bike_customizable, only if enabled)
-      if (routeState.selectedProfile === 'bike_customizable' && routeState.avoidPushing) {
-        paramParts.push('avoidPushing=1');
-      }
+      // Rule toggles of the profile (only if not the default, see profileRegistry.js)
+      getProfileToggles(routeState.selectedProfile).forEach(toggle => {
+        const value = serializeToggleValue(toggle, routeState[toggle.state]);
+        if (value !== null) {
+          paramParts.push(`${toggle.permalinkKey}=${encodeURIComponent(value)}`);
+        }
+      });
     }
     
+    routeState.customAreas.forEach(area => {
+      paramParts.push(`area=${serializeCustomArea(area)}`);
+    });
+    
     if (routeState.currentEncodedType && routeState.currentEncodedType !== 'mapillary_coverage') {
       paramParts.push(`encoded=${encodeURIComponent(routeState.currentEncodedType)}`);
     }
@@ -1,5 +1,7 @@
 // 📦 Routing
 import { setupRouting } from './js/routing/routing.js';
+import { renderProfileButtons } from './js/routing/profileRegistry.js';
+import { renderRuleToggles } from './js/routing/ruleToggles.js';
 
 // 📦 UI & Interaktion
 import { setupBaseLayerControls } from './js/ui/setupBaseLayerControls.js';
@@ -73,6 +75,10 @@ async function initMap() {
   // Mark that we're using style_light-dark.json
   document.body.setAttribute('data-using-light-dark-style', 'true');
 
+  // Profile buttons and rule switches first - permalink and routing UI bind to them
+  renderProfileButtons();
+  renderRuleToggles();
+
   // Setup permalink functionality (reads URL params and updates URL on map move)
   setupPermalink(map);
 